@@ -1,6 +1,8 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { ShoppingCart, BookOpen, ShieldCheck, Printer, Trash2, Plus, Minus, Percent, Tag, Info, CheckCircle } from "lucide-react";
+import { ShoppingCart, BookOpen, ShieldCheck, Printer, Trash2, Plus, Minus, Percent, Tag, Info, CheckCircle, Download, Share2, Upload, Pencil, Check, X, Users } from "lucide-react";
+import QRCode from "qrcode";
+import { jsPDF } from "jspdf";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
@@ -9,8 +11,21 @@ import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
 import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet";
 import { Label } from "@/components/ui/label";
+import { unitPrice, priceCart, normalizeCode, bundleLines, personSubtotals } from "./pricing";
+import { loadCatalog, normalizeBook, editionsOf, editionTitle, bookStatus } from "./catalog";
+import { waitlistError, MAX_WAITLIST_QUANTITY } from "./waitlist";
+import { IMPORT_FIELDS, readImport, guessMapping, applyMapping, newBookId, exportCatalog } from "./catalog-io";
+import { BACKEND } from "./config";
+import { createBackend } from "./backend";
+import { newSlipNumber, encodeSlipQR } from "./slip";
+import { loadSaved, saveLocal, clearAllSaved, reconcileCart } from "./storage";
+import { decodeCartLink, resolveSharedCart, cartLinkURL, copyLink } from "./share";
+import { LANGUAGES, normalizeLanguage, detectLanguage, t, formatPHP } from "./i18n";
+
+const backend = createBackend(BACKEND);
 
 // ---------- Types
+// Catalog schema v4 (see catalog.js)
 interface Book {
   id: string;
   title: string;
@@ -20,136 +35,707 @@ interface Book {
   price: number; // base price
   discountPct?: number; // 0-100
   image: string; // URL
+  cap?: number | null; // pre-order allotment, null = unlimited
+  reserved?: number;
+  parentId?: string; // set on editions of another book
+  variant?: string; // edition label, e.g. "Hardcover"
+  components?: { id: string; quantity: number }[]; // bundles: titles per set
+  status?: BookStatus; // only "available" titles can be ordered
+  publisher?: string;
+  supplierCost?: number | null; // per copy, for purchase orders; not in the public feed
+  onHand?: number; // copies already in stock
+}
+
+type BookStatus = "available" | "coming_soon" | "sold_out";
+
+// A pickup location as the backend lists it (see schedule.js)
+interface Pickup {
+  location: string;
+  weekdays: number[];
 }
 
 interface CartItem {
   book: Book;
   qty: number;
+  person?: string; // group orders: the participant this line is for
+}
+
+// Group-order mode: books are added for the current participant
+interface GroupState {
+  on: boolean;
+  people: string[];
+  current: string;
+}
+
+// One participant's share of a group order (see personSubtotals in pricing.js)
+interface PersonTotal {
+  person: string;
+  quantity: number;
+  subtotal: number;
+  share: number; // subtotal less their part of the promo discount
+}
+
+// See pricing.js for how each field is applied
+interface Promo {
+  code: string;
+  type: "percent" | "fixed";
+  value: number;
+  minSpend?: number;
+  genres?: string[];
+  authors?: string[];
+  expires?: string; // YYYY-MM-DD
+  usageLimit?: number;
+  used?: number;
+}
+
+// What goes on the printed / PDF pre-order slip
+interface SlipLine {
+  id: string;
+  title: string;
+  author: string;
+  qty: number;
+  price: number; // original unit price
+  unitPrice: number; // after the book's discount
+  lineTotal: number;
+  person?: string;
+  bundle?: string; // the bundle this title came in
 }
 
-// ---------- Sample Catalog (editable)
-const SAMPLE_BOOKS: Book[] = [
-  {
-    id: "1",
-    title: "How Good People Like You Can Become Rich",
-    author: "Bo Sanchez",
-    summary:
-      "Practical, faith-anchored steps to build wealth the right way: generous, joyful, and sustainable.",
-    genre: "Inspirational / Finance",
-    price: 385,
-    discountPct: 20,
-    image:
-      "https://images.unsplash.com/photo-1519681393784-d120267933ba?q=80&w=1080&auto=format&fit=crop",
-  },
-  {
-    id: "2",
-    title: "God, Why Does It Hurt?",
-    author: "Bo Sanchez",
-    summary:
-      "A compassionate guide for seasons of suffering—finding meaning, comfort, and healing in God.",
-    genre: "Faith & Spirituality",
-    price: 375,
-    discountPct: 10,
-    image:
-      "https://images.unsplash.com/photo-1519681390165-cb9e6d23860e?q=80&w=1080&auto=format&fit=crop",
-  },
-  {
-    id: "3",
-    title: "Inside Matters",
-    author: "Rissa Singson Kawpeng",
-    summary:
-      "Discover the beauty that starts within—stories and prompts to help you glow with God-confidence.",
-    genre: "Self‑Discovery / Spiritual",
-    price: 450,
-    discountPct: 15,
-    image:
-      "https://images.unsplash.com/photo-1524995997946-a1c2e315a42f?q=80&w=1080&auto=format&fit=crop",
-  },
-  {
-    id: "4",
-    title: "Trailblazing Success",
-    author: "Rex Mendoza",
-    summary:
-      "Leadership and money mindsets of top performers—build resilient habits and long-term value.",
-    genre: "Business & Leadership",
-    price: 385,
-    discountPct: 0,
-    image:
-      "https://images.unsplash.com/photo-1515879218367-8466d910aaa4?q=80&w=1080&auto=format&fit=crop",
-  },
-];
+interface Slip {
+  number: string;
+  date: string; // YYYY-MM-DD
+  items: SlipLine[];
+  subtotal: number;
+  discount: number;
+  promoCode: string;
+  total: number;
+  people: PersonTotal[]; // empty unless this is a group order
+  note: string;
+  contact: { name: string; email: string; phone: string } | null;
+}
+
+// A file being imported, before the volunteer confirms the column mapping
+interface ImportPreview {
+  fileName: string;
+  headers: string[];
+  rows: Record<string, unknown>[];
+  mapping: Record<string, string>; // header -> field, "" to ignore
+}
+
+// What survives a reload (storage.js); contact fields are never saved
+interface SavedState {
+  cart: { book: Book; quantity: number; person?: string }[];
+  note: string;
+  customBooks: Book[];
+  group?: GroupState;
+}
+
+const STORAGE_KEY = "app";
+const LANG_KEY = "lang"; // shared with the vanilla storefront (script.js)
 
 // ---------- Utilities
-const formatPHP = (n: number) =>
-  new Intl.NumberFormat("en-PH", { style: "currency", currency: "PHP", maximumFractionDigits: 2 }).format(n);
+// Local YYYY-MM-DD, as pricing.js compares promo expiry dates
+const today = () => new Date().toLocaleDateString("en-CA");
+
+// Cart lines are one per book, or one per book and participant in group orders
+const lineKey = (it: { book: Book; person?: string }) => `${it.book.id}|${it.person || ""}`;
+
+// Built with jsPDF in the browser, so the slip never leaves the device.
+// The standard PDF fonts have no ₱ sign, hence "PHP".
+const downloadSlipPdf = (slip: Slip, qrDataUrl: string) => {
+  const money = (n: number) => "PHP " + n.toFixed(2);
+  const doc = new jsPDF({ unit: "mm", format: "a5" });
+  const right = 138;
+  let y = 16;
+
+  doc.setFontSize(14);
+  doc.text("Feast Books - Pre-Order Slip", 10, y);
+  doc.setFontSize(9);
+  doc.text(`Slip No. ${slip.number}`, 10, (y += 7));
+  doc.text(`Date: ${slip.date}`, 10, (y += 5));
+  if (qrDataUrl) doc.addImage(qrDataUrl, "PNG", right - 30, 8, 30, 30);
+
+  y = 44;
+  doc.setFont("helvetica", "bold");
+  doc.text("Qty  Title", 10, y);
+  doc.text("Price", 100, y, { align: "right" });
+  doc.text("Amount", right, y, { align: "right" });
+  doc.setFont("helvetica", "normal");
+  slip.items.forEach((item) => {
+    const who = item.person ? `[${item.person}] ` : "";
+    const from = item.bundle ? ` - in ${item.bundle}` : "";
+    const title = doc.splitTextToSize(`${item.qty} x  ${who}${item.title} (${item.author})${from}`, 72);
+    y += 6;
+    doc.text(title, 10, y);
+    const price = item.price !== item.unitPrice ? `${money(item.unitPrice)} (was ${money(item.price)})` : money(item.unitPrice);
+    doc.text(price, 100, y, { align: "right" });
+    doc.text(money(item.lineTotal), right, y, { align: "right" });
+    y += (title.length - 1) * 4;
+  });
+
+  y += 8;
+  if (slip.discount) {
+    doc.text(`Subtotal: ${money(slip.subtotal)}`, right, y, { align: "right" });
+    doc.text(`Promo ${slip.promoCode}: -${money(slip.discount)}`, right, (y += 5), { align: "right" });
+    y += 5;
+  }
+  doc.setFont("helvetica", "bold");
+  doc.text(`Total: ${money(slip.total)}`, right, y, { align: "right" });
+  doc.setFont("helvetica", "normal");
+
+  if (slip.people.length) {
+    doc.text("Per person (to pay):", 10, (y += 10));
+    slip.people.forEach((p) => {
+      doc.text(`${p.person} - ${p.quantity} book(s)`, 14, (y += 5));
+      doc.text(money(p.share), right, y, { align: "right" });
+    });
+  }
+
+  if (slip.note) {
+    doc.text("Notes:", 10, (y += 10));
+    const lines = doc.splitTextToSize(slip.note, 128);
+    doc.text(lines, 10, (y += 5));
+    y += lines.length * 4;
+  }
+  if (slip.contact) {
+    doc.text(`Name: ${slip.contact.name || "-"}`, 10, (y += 8));
+    doc.text(`Email: ${slip.contact.email || "-"}`, 10, (y += 5));
+    doc.text(`Phone: ${slip.contact.phone || "-"}`, 10, (y += 5));
+  }
 
-const discounted = (book: Book) => {
-  const pct = Math.max(0, Math.min(100, book.discountPct || 0));
-  return Math.round((book.price * (100 - pct)) / 100);
+  doc.save(`${slip.number}.pdf`);
 };
 
+// Print-only slip layout; everything else on the page is hidden when printing.
+// Like the PDF, it stays in English for the volunteers who check it at pickup.
+function PreorderSlip({ slip, qrDataUrl }: { slip: Slip; qrDataUrl: string }) {
+  return (
+    <div className="slip-print p-6 text-sm text-black">
+      <div className="flex justify-between items-start">
+        <div>
+          <div className="text-lg font-bold">Feast Books — Pre‑Order Slip</div>
+          <div>Slip No. <span className="font-mono">{slip.number}</span></div>
+          <div>Date: {slip.date}</div>
+        </div>
+        {qrDataUrl && <img src={qrDataUrl} alt="Order QR code" className="w-28 h-28" />}
+      </div>
+      <table className="w-full mt-4 border-collapse">
+        <thead>
+          <tr className="border-b text-left">
+            <th className="py-1">Qty</th>
+            <th>Title</th>
+            <th className="text-right">Price</th>
+            <th className="text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {slip.items.map((item) => (
+            <tr key={`${item.id}|${item.person || ""}|${item.bundle || ""}`} className="border-b align-top">
+              <td className="py-1">{item.qty}</td>
+              <td>
+                {item.title}
+                <div className="text-xs">
+                  {item.author}
+                  {item.bundle && <> · in {item.bundle}</>}
+                  {item.person && <> · for {item.person}</>}
+                </div>
+              </td>
+              <td className="text-right">
+                {item.price !== item.unitPrice && <div className="line-through text-xs">{formatPHP(item.price)}</div>}
+                {formatPHP(item.unitPrice)}
+              </td>
+              <td className="text-right">{formatPHP(item.lineTotal)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 text-right">
+        {slip.discount ? (
+          <>
+            <div>Subtotal: {formatPHP(slip.subtotal)}</div>
+            <div>Promo {slip.promoCode}: −{formatPHP(slip.discount)}</div>
+          </>
+        ) : null}
+        <div className="font-bold">Total: {formatPHP(slip.total)}</div>
+      </div>
+      {slip.people.length > 0 && (
+        <table className="w-full mt-4 border-collapse">
+          <thead>
+            <tr className="border-b text-left">
+              <th className="py-1">Person</th>
+              <th className="text-right">Books</th>
+              <th className="text-right">Subtotal</th>
+              <th className="text-right">To pay</th>
+            </tr>
+          </thead>
+          <tbody>
+            {slip.people.map((p) => (
+              <tr key={p.person} className="border-b">
+                <td className="py-1">{p.person}</td>
+                <td className="text-right">{p.quantity}</td>
+                <td className="text-right">{formatPHP(p.subtotal)}</td>
+                <td className="text-right">{formatPHP(p.share)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {slip.note && (
+        <div className="mt-4">
+          <div className="font-medium">Notes</div>
+          <div className="whitespace-pre-wrap">{slip.note}</div>
+        </div>
+      )}
+      {slip.contact && (
+        <div className="mt-4 space-y-1">
+          <div><span className="font-medium">Name:</span> {slip.contact.name || "—"}</div>
+          <div><span className="font-medium">Email:</span> {slip.contact.email || "—"}</div>
+          <div><span className="font-medium">Phone:</span> {slip.contact.phone || "—"}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ---------- Component
 export default function BookPreorderSite() {
-  const [catalog, setCatalog] = useState<Book[]>(SAMPLE_BOOKS);
+  const [saved] = useState<SavedState | null>(() => loadSaved(STORAGE_KEY));
+  const [lang, setLang] = useState<string>(() => normalizeLanguage(loadSaved(LANG_KEY) || detectLanguage(navigator.languages)));
+  const tr = (key: string, params?: Record<string, string | number>) => t(lang, key, params);
+  const money = (n: number) => formatPHP(n, lang);
+  const [liveBooks, setLiveBooks] = useState<Book[]>([]);
+  const [customBooks, setCustomBooks] = useState<Book[]>(saved?.customBooks || []);
+  const [catalogStatus, setCatalogStatus] = useState<"loading" | "ready" | "failed">("loading");
+  const [catalogErrors, setCatalogErrors] = useState<string[]>([]);
   const [cart, setCart] = useState<CartItem[]>([]);
-  const [note, setNote] = useState("");
+  const [cartNotices, setCartNotices] = useState<string[]>([]);
+  const [restored, setRestored] = useState(false);
+  const [note, setNote] = useState(saved?.note || "");
+  const [group, setGroup] = useState<GroupState>(saved?.group || { on: false, people: [], current: "" });
+  const [personInput, setPersonInput] = useState("");
   const [showContact, setShowContact] = useState(false); // Honor privacy-by-default
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [phone, setPhone] = useState("");
 
-  const total = useMemo(
-    () => cart.reduce((sum, it) => sum + discounted(it.book) * it.qty, 0),
-    [cart]
+  const [promoInput, setPromoInput] = useState("");
+  const [promo, setPromo] = useState<Promo | null>(null);
+  const [promoNotice, setPromoNotice] = useState(""); // i18n key: unknown code, or the lookup failed
+
+  useEffect(() => {
+    saveLocal(LANG_KEY, lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const pricing = useMemo(
+    () => priceCart(cart.map((it) => ({ book: it.book, quantity: it.qty })), promo, today(), lang),
+    [cart, promo, lang]
   );
+  const total = pricing.total;
+
+  // Codes come from the Promos sheet, the same lookup as the storefront, so
+  // a slip shows the discount the order backend will honor; priceCart then
+  // applies pricing.js's promoError (expiry, usage limit, minimum spend)
+  const applyPromo = () => {
+    const code = normalizeCode(promoInput);
+    setPromoNotice("");
+    if (!code) {
+      setPromo(null);
+      return;
+    }
+    backend
+      .fetchPromo(code)
+      .then((data) => {
+        setPromo(data.error ? null : data);
+        if (data.error) setPromoNotice("promo.missing");
+      })
+      .catch((err) => {
+        setPromoNotice("promo.checkFailed");
+        console.error(err);
+      });
+  };
+
+  // Quick Add and imported books stay on top of the live catalog; a local
+  // book with a sheet book's id is an edited copy and hides the original
+  const catalog = useMemo(() => {
+    const localIds = new Set(customBooks.map((b) => b.id));
+    return [...customBooks, ...liveBooks.filter((b) => !localIds.has(b.id))];
+  }, [customBooks, liveBooks]);
+
+  // Restore a saved cart into state, as { book, qty }
+  const restoreCart = (lines: SavedState["cart"], notices: string[]) => {
+    setCart(lines.map((l) => ({ book: l.book, qty: l.quantity, ...(l.person ? { person: l.person } : {}) })));
+    setCartNotices(notices);
+    setRestored(true);
+  };
+
+  // Live catalog from the Apps Script feed. The cart from a shared link,
+  // or else the saved one, is checked against it once it arrives, so
+  // missing titles and price or stock changes are flagged.
+  useEffect(() => {
+    backend
+      .fetchCatalog()
+      .then((feed) => {
+        const { books, errors } = loadCatalog(feed);
+        const all = [...(saved?.customBooks || []), ...books];
+        setLiveBooks(books);
+        setCatalogErrors(errors);
+        setCatalogStatus("ready");
+
+        const shared = decodeCartLink(window.location.hash);
+        if (shared) {
+          const { lines, notices } = resolveSharedCart(shared, all, lang);
+          const people = [...new Set(lines.map((l: { person?: string }) => l.person).filter(Boolean))] as string[];
+          setGroup({ on: people.length > 0, people, current: people[0] || "" });
+          if (shared.note) setNote(shared.note);
+          restoreCart(lines, notices);
+          window.history.replaceState(null, "", window.location.pathname + window.location.search);
+          return;
+        }
+        const { lines, notices } = reconcileCart(saved?.cart, all, lang);
+        restoreCart(lines, notices);
+      })
+      .catch((err) => {
+        console.error(err);
+        setCatalogStatus("failed");
+        const lines = saved?.cart || [];
+        restoreCart(lines, lines.length ? [t(lang, "catalog.unchecked")] : []);
+      });
+  }, []);
+
+  // Saved only after the restore, so the empty initial cart never overwrites it
+  useEffect(() => {
+    if (!restored) return;
+    saveLocal(STORAGE_KEY, {
+      cart: cart.map((it) => ({ book: it.book, quantity: it.qty, ...(it.person ? { person: it.person } : {}) })),
+      note,
+      customBooks,
+      group,
+    });
+  }, [restored, cart, note, customBooks, group]);
+
+  // Share list: the cart (and, if chosen, the notes) in a link fragment
+  const [shareNote, setShareNote] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const shareList = () => {
+    const url = cartLinkURL(cart.map((it) => ({ id: it.book.id, qty: it.qty, person: it.person })), shareNote ? note : "");
+    copyLink(url).then((copied) => {
+      setLinkCopied(copied);
+      if (copied) setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
+
+  const clearAllData = () => {
+    if (!window.confirm(tr("app.clearConfirm"))) return;
+    clearAllSaved();
+    window.location.reload();
+  };
 
   const addToCart = (book: Book) => {
+    if (group.on && !group.current) {
+      window.alert(tr("app.addFirst"));
+      return;
+    }
+    const line: CartItem = group.on ? { book, qty: 1, person: group.current } : { book, qty: 1 };
     setCart((prev) => {
-      const i = prev.findIndex((x) => x.book.id === book.id);
+      const i = prev.findIndex((x) => lineKey(x) === lineKey(line));
       if (i >= 0) {
         const copy = [...prev];
         copy[i] = { ...copy[i], qty: copy[i].qty + 1 };
         return copy;
       }
-      return [...prev, { book, qty: 1 }];
+      return [...prev, line];
     });
   };
 
-  const setQty = (bookId: string, qty: number) => {
+  const setQty = (key: string, qty: number) => {
     setCart((prev) =>
       prev
-        .map((x) => (x.book.id === bookId ? { ...x, qty: Math.max(1, qty) } : x))
+        .map((x) => (lineKey(x) === key ? { ...x, qty: Math.max(1, qty) } : x))
         .filter((x) => x.qty > 0)
     );
   };
 
-  const removeItem = (bookId: string) => setCart((prev) => prev.filter((x) => x.book.id !== bookId));
+  const removeItem = (key: string) => setCart((prev) => prev.filter((x) => lineKey(x) !== key));
+
+  // ---------- Waitlist
+  // Titles that are coming soon or sold out open this form instead of
+  // going into the cart. Unlike the slip, joining sends the details entered
+  // to the order backend.
+  const [waitlistBook, setWaitlistBook] = useState<Book | null>(null);
+  const [pickups, setPickups] = useState<Pickup[]>([]);
+  const emptyEntry = { fullname: "", email: "", contact: "", pickup: "", quantity: 1 };
+  const [entry, setEntry] = useState(emptyEntry);
+  const [waitlistMessage, setWaitlistMessage] = useState("");
+  const [joining, setJoining] = useState(false);
+
+  const openWaitlist = (book: Book) => {
+    setWaitlistBook(book);
+    setEntry({ ...emptyEntry, fullname: name, email, contact: phone });
+    setWaitlistMessage("");
+    if (pickups.length === 0) {
+      backend.fetchPickups().then(setPickups).catch((err) => console.error(err));
+    }
+  };
+
+  const joinWaitlist = () => {
+    if (!waitlistBook) return;
+    const error = waitlistError(entry, waitlistBook, pickups, lang);
+    if (error) {
+      setWaitlistMessage(error);
+      return;
+    }
+    setJoining(true);
+    backend
+      .joinWaitlist({ ...entry, bookId: waitlistBook.id, lang })
+      .then((response) => {
+        if (response.error) {
+          setWaitlistMessage(response.error);
+          return;
+        }
+        setEntry(emptyEntry);
+        setWaitlistMessage(tr("waitlist.joined", { title: editionTitle(waitlistBook) }));
+      })
+      .catch((err) => {
+        console.error(err);
+        setWaitlistMessage(tr("waitlist.failed"));
+      })
+      .finally(() => setJoining(false));
+  };
+
+  // Edition picked on each title's card, by parent book id
+  const [chosenEdition, setChosenEdition] = useState<Record<string, string>>({});
+
+  // "1× Title, 1× Title" for a bundle
+  const bundleContents = (book: Book) =>
+    (book.components || [])
+      .map((c) => {
+        const part = catalog.find((b) => b.id === c.id);
+        return `${c.quantity}× ${part ? editionTitle(part) : c.id}`;
+      })
+      .join(", ");
+
+  // ---------- Group orders
+  const setGroupMode = (on: boolean) => {
+    setGroup((g) => ({ ...g, on }));
+    // Leaving group mode merges each book's lines back into one
+    if (!on) {
+      setCart((prev) =>
+        prev.reduce<CartItem[]>((merged, it) => {
+          const found = merged.find((m) => m.book.id === it.book.id);
+          if (found) found.qty += it.qty;
+          else merged.push({ book: it.book, qty: it.qty });
+          return merged;
+        }, [])
+      );
+    }
+  };
+
+  const addPerson = () => {
+    const person = personInput.trim().slice(0, 60);
+    if (!person || group.people.includes(person)) return;
+    // Books picked before the first participant was added are theirs
+    if (group.people.length === 0) setCart((prev) => prev.map((it) => ({ ...it, person })));
+    setGroup((g) => ({ ...g, people: [...g.people, person], current: person }));
+    setPersonInput("");
+  };
+
+  const removePerson = (person: string) => {
+    const lines = cart.filter((it) => it.person === person).length;
+    if (lines && !window.confirm(tr("group.removeConfirm", { person, count: lines }))) return;
+    setCart((prev) => prev.filter((it) => it.person !== person));
+    setGroup((g) => {
+      const people = g.people.filter((p) => p !== person);
+      return { ...g, people, current: g.current === person ? people[0] || "" : g.current };
+    });
+  };
+
+  const grouped = cart.some((it) => it.person);
+
+  // A fresh slip number for each new pre-order
+  const [slipNumber, setSlipNumber] = useState(() => newSlipNumber(new Date()));
+
+  const clearCart = () => {
+    setCart([]);
+    setSlipNumber(newSlipNumber(new Date()));
+  };
+
+  const slip = useMemo<Slip>(
+    () => ({
+      number: slipNumber,
+      date: today(),
+      // Bundles are printed as the titles inside them, at the bundle price
+      items: cart.flatMap((it) => {
+        const forPerson = it.person ? { person: it.person } : {};
+        const parts = (it.book.components || []).map((c) => ({ book: catalog.find((b) => b.id === c.id), quantity: c.quantity }));
+        if (parts.length === 0 || parts.some((p) => !p.book)) {
+          return [{
+            id: it.book.id,
+            title: editionTitle(it.book),
+            author: it.book.author,
+            qty: it.qty,
+            price: it.book.price,
+            unitPrice: unitPrice(it.book),
+            lineTotal: unitPrice(it.book) * it.qty,
+            ...forPerson,
+          }];
+        }
+        return bundleLines(it.book, it.qty, parts).map((line: { book: Book; quantity: number; unitPrice: number; lineTotal: number }) => ({
+          id: line.book.id,
+          title: editionTitle(line.book),
+          author: line.book.author,
+          qty: line.quantity,
+          price: line.book.price,
+          unitPrice: line.unitPrice,
+          lineTotal: line.lineTotal,
+          bundle: editionTitle(it.book),
+          ...forPerson,
+        }));
+      }),
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      promoCode: promo?.code || "",
+      total: pricing.total,
+      people: grouped
+        ? personSubtotals(
+            cart.map((it) => ({ person: it.person, quantity: it.qty, lineTotal: unitPrice(it.book) * it.qty })),
+            pricing.discount
+          )
+        : [],
+      note,
+      contact: showContact ? { name, email, phone } : null,
+    }),
+    [slipNumber, cart, catalog, grouped, pricing, promo, note, showContact, name, email, phone]
+  );
 
-  const clearCart = () => setCart([]);
+  // QR code for staff to scan at pickup; generated locally. Slips are made
+  // before the order is placed, so they have no order ID and check-in finds
+  // them by the name on them; the receipt's QR code carries the ID.
+  const [qrDataUrl, setQrDataUrl] = useState("");
+  useEffect(() => {
+    if (slip.items.length === 0) {
+      setQrDataUrl("");
+      return;
+    }
+    QRCode.toDataURL(encodeSlipQR({ ...slip, name: slip.contact?.name }), { margin: 1, width: 240 })
+      .then(setQrDataUrl)
+      .catch((err) => console.error(err));
+  }, [slip]);
 
   const printSlip = () => {
-    // Pure client-side: encourages Print / Save as PDF
+    // Pure client-side: the print styles below show only the slip
     window.print();
   };
 
+  const downloadPdf = () => downloadSlipPdf(slip, qrDataUrl);
+
   // Add-your-own-book input (optional, stays on-device)
   const [newBook, setNewBook] = useState<Partial<Book>>({ discountPct: 0 });
+  const [addError, setAddError] = useState("");
   const canAdd = newBook.title && newBook.author && newBook.price && newBook.image;
 
   const addCustomBook = () => {
     if (!canAdd) return;
-    const b: Book = {
-      id: Math.random().toString(36).slice(2),
-      title: newBook.title!,
-      author: newBook.author!,
-      summary: newBook.summary || "",
-      genre: newBook.genre || "",
-      price: Number(newBook.price),
-      discountPct: Number(newBook.discountPct || 0),
-      image: newBook.image!,
-    };
-    setCatalog((prev) => [b, ...prev]);
+    const id = newBookId(newBook.title, new Set(catalog.map((b) => b.id)));
+    const { book, error } = normalizeBook({ ...newBook, id, addedAt: today() });
+    if (error) {
+      setAddError(error);
+      return;
+    }
+    setCustomBooks((prev) => [book, ...prev]);
     setNewBook({ discountPct: 0 });
+    setAddError("");
+  };
+
+  // Put a changed book into the local catalog and refresh cart lines for it
+  const saveLocalBook = (book: Book) => {
+    setCustomBooks((prev) => [book, ...prev.filter((b) => b.id !== book.id)]);
+    setCart((prev) => prev.map((it) => (it.book.id === book.id ? { ...it, book } : it)));
+  };
+
+  // Deleting a local edit of a sheet book brings the sheet version back
+  const deleteLocalBook = (id: string) => {
+    setCustomBooks((prev) => prev.filter((b) => b.id !== id));
+    const original = liveBooks.find((b) => b.id === id);
+    setCart((prev) =>
+      original
+        ? prev.map((it) => (it.book.id === id ? { ...it, book: original } : it))
+        : prev.filter((it) => it.book.id !== id)
+    );
+  };
+
+  // Inline editing in the catalog table; values stay strings until saved
+  const [editing, setEditing] = useState<{ id: string; draft: Record<string, string> } | null>(null);
+  const [editError, setEditError] = useState("");
+
+  const startEdit = (book: Book) => {
+    setEditing({
+      id: book.id,
+      draft: {
+        title: book.title,
+        author: book.author,
+        genre: book.genre,
+        price: String(book.price),
+        discountPct: String(Number((book.discountPct || 0).toFixed(2))),
+        cap: book.cap == null ? "" : String(book.cap),
+        publisher: book.publisher || "",
+        supplierCost: book.supplierCost == null ? "" : String(book.supplierCost),
+        onHand: String(book.onHand || 0),
+      },
+    });
+    setEditError("");
+  };
+
+  const saveEdit = () => {
+    const original = catalog.find((b) => b.id === editing!.id)!;
+    const { book, error } = normalizeBook({ ...original, ...editing!.draft });
+    if (error) {
+      setEditError(error);
+      return;
+    }
+    saveLocalBook(book);
+    setEditing(null);
+  };
+
+  // CSV / JSON import: read the file, preview the mapping, then merge
+  const [importing, setImporting] = useState<ImportPreview | null>(null);
+  const [importError, setImportError] = useState("");
+
+  const importFile = (file: File) => {
+    file
+      .text()
+      .then((text) => {
+        const format = /\.json$/i.test(file.name) ? "json" : "csv";
+        const { headers, rows } = readImport(text, format);
+        setImporting({ fileName: file.name, headers, rows, mapping: guessMapping(headers) });
+        setImportError("");
+      })
+      .catch((err) => {
+        setImporting(null);
+        setImportError(tr("quickAdd.readFailed", { file: file.name, error: err.message }));
+      });
+  };
+
+  const imported = useMemo(
+    () => (importing ? applyMapping(importing.rows, importing.mapping, catalog.map((b) => b.id)) : null),
+    [importing, catalog]
+  );
+
+  // Rows whose id is already in the catalog replace that book
+  const confirmImport = () => {
+    imported!.books.forEach(saveLocalBook);
+    setImporting(null);
+  };
+
+  const downloadCatalog = (format: "csv" | "json") => {
+    const type = format === "json" ? "application/json" : "text/csv";
+    const url = URL.createObjectURL(new Blob([exportCatalog(catalog, format, new Set(liveBooks.map((b) => b.id)))], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `catalog-${today()}.${format}`;
+    a.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   };
 
   return (
@@ -159,31 +745,41 @@ export default function BookPreorderSite() {
         <div className="max-w-7xl mx-auto flex items-center justify-between px-4 py-3">
           <div className="flex items-center gap-3">
             <BookOpen className="h-6 w-6" />
-            <span className="font-semibold tracking-tight">Feast Books — Pre‑Order</span>
+            <span className="font-semibold tracking-tight">{tr("app.brand")}</span>
             <Badge className="ml-2" variant="secondary">
-              <ShieldCheck className="h-3.5 w-3.5 mr-1" /> No data leaves your device
+              <ShieldCheck className="h-3.5 w-3.5 mr-1" /> {tr("app.privacyBadge")}
             </Badge>
           </div>
 
           <div className="flex items-center gap-2">
+            <select
+              aria-label={tr("lang.label")}
+              className="border rounded-md px-2 py-2 text-sm bg-white"
+              value={lang}
+              onChange={(e) => setLang(normalizeLanguage(e.target.value))}
+            >
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
             <Sheet>
               <SheetTrigger asChild>
                 <Button variant="outline" className="gap-2">
                   <ShoppingCart className="h-4 w-4" />
-                  Cart ({cart.reduce((n, x) => n + x.qty, 0)})
+                  {tr("app.cart", { count: cart.reduce((n, x) => n + x.qty, 0) })}
                 </Button>
               </SheetTrigger>
               <SheetContent className="w-full sm:max-w-lg">
                 <SheetHeader>
-                  <SheetTitle>Your Pre‑Order</SheetTitle>
+                  <SheetTitle>{tr("order.heading")}</SheetTitle>
                 </SheetHeader>
                 <div className="mt-4 space-y-4">
                   {cart.length === 0 ? (
-                    <p className="text-sm text-slate-600">Your cart is empty.</p>
+                    <p className="text-sm text-slate-600">{tr("app.cartEmpty")}</p>
                   ) : (
                     <div className="space-y-3">
                       {cart.map((item) => (
-                        <Card key={item.book.id}>
+                        <Card key={lineKey(item)}>
                           <CardContent className="p-4 flex gap-4">
                             <img
                               src={item.book.image}
@@ -191,20 +787,23 @@ export default function BookPreorderSite() {
                               className="w-16 h-16 object-cover rounded-xl"
                             />
                             <div className="flex-1">
-                              <div className="font-medium leading-tight">{item.book.title}</div>
-                              <div className="text-xs text-slate-500">{item.book.author}</div>
+                              <div className="font-medium leading-tight">{editionTitle(item.book)}</div>
+                              <div className="text-xs text-slate-500">
+                                {item.book.author}
+                                {item.person && <> · <span className="font-medium">{tr("app.forPerson", { person: item.person })}</span></>}
+                              </div>
                               <div className="mt-1 flex items-center gap-2 text-sm">
-                                <span className="font-semibold">{formatPHP(discounted(item.book))}</span>
+                                <span className="font-semibold">{money(unitPrice(item.book))}</span>
                                 {item.book.discountPct ? (
                                   <>
-                                    <span className="line-through text-slate-400">{formatPHP(item.book.price)}</span>
-                                    <Badge variant="outline" className="gap-1"><Percent className="h-3 w-3" />{item.book.discountPct}%</Badge>
+                                    <span className="line-through text-slate-400">{money(item.book.price)}</span>
+                                    <Badge variant="outline" className="gap-1"><Percent className="h-3 w-3" />{Math.round(item.book.discountPct)}%</Badge>
                                   </>
                                 ) : null}
                               </div>
                             </div>
                             <div className="flex items-center gap-2">
-                              <Button size="icon" variant="outline" onClick={() => setQty(item.book.id, item.qty - 1)}>
+                              <Button size="icon" variant="outline" onClick={() => setQty(lineKey(item), item.qty - 1)}>
                                 <Minus className="h-4 w-4" />
                               </Button>
                               <Input
@@ -212,12 +811,12 @@ export default function BookPreorderSite() {
                                 type="number"
                                 min={1}
                                 value={item.qty}
-                                onChange={(e) => setQty(item.book.id, Number(e.target.value))}
+                                onChange={(e) => setQty(lineKey(item), Number(e.target.value))}
                               />
-                              <Button size="icon" variant="outline" onClick={() => setQty(item.book.id, item.qty + 1)}>
+                              <Button size="icon" variant="outline" onClick={() => setQty(lineKey(item), item.qty + 1)}>
                                 <Plus className="h-4 w-4" />
                               </Button>
-                              <Button size="icon" variant="ghost" onClick={() => removeItem(item.book.id)}>
+                              <Button size="icon" variant="ghost" onClick={() => removeItem(lineKey(item))}>
                                 <Trash2 className="h-4 w-4" />
                               </Button>
                             </div>
@@ -226,19 +825,28 @@ export default function BookPreorderSite() {
                       ))}
 
                       <div className="flex items-center justify-between pt-2">
-                        <div className="text-sm text-slate-600">Subtotal</div>
-                        <div className="text-lg font-semibold">{formatPHP(total)}</div>
+                        <div className="text-sm text-slate-600">{tr("col.subtotal")}</div>
+                        <div className="text-lg font-semibold">{money(pricing.subtotal)}</div>
                       </div>
+                      {pricing.discount ? (
+                        <div className="flex items-center justify-between text-sm text-emerald-700">
+                          <span>{tr("app.promo", { code: promo?.code || "" })}</span>
+                          <span>−{money(pricing.discount)}</span>
+                        </div>
+                      ) : null}
                       <div className="flex gap-2">
                         <Button variant="outline" onClick={clearCart} className="w-full">
-                          Clear
+                          {tr("app.clear")}
                         </Button>
                         <Button onClick={printSlip} className="w-full">
-                          <Printer className="h-4 w-4 mr-2" /> Print / Save PDF
+                          <Printer className="h-4 w-4 mr-2" /> {tr("app.print")}
+                        </Button>
+                        <Button onClick={downloadPdf} className="w-full">
+                          <Download className="h-4 w-4 mr-2" /> {tr("app.pdf")}
                         </Button>
                       </div>
                       <p className="text-[11px] text-slate-500 leading-relaxed">
-                        Tip: This site is client‑side only. Use “Print / Save PDF” to generate a pre‑order slip. No data is uploaded.
+                        {tr("app.cartTip")}
                       </p>
                     </div>
                   )}
@@ -260,15 +868,15 @@ export default function BookPreorderSite() {
                 transition={{ duration: 0.4 }}
                 className="text-3xl md:text-5xl font-bold tracking-tight"
               >
-                Pre‑Order Your Next Read
+                {tr("app.heroTitle")}
               </motion.h1>
               <p className="mt-3 text-slate-600 max-w-prose">
-                Browse featured Feast titles. Add to your pre‑order and generate a printable slip. 
-                <span className="font-semibold"> We don’t record any personal information by default.</span>
+                {tr("app.heroText")}
+                <span className="font-semibold"> {tr("app.heroPrivacy")}</span>
               </p>
               <div className="mt-4 flex items-center gap-2 text-sm text-slate-600">
                 <ShieldCheck className="h-4 w-4" />
-                <span>Privacy‑first • Offline‑friendly • No sign‑in</span>
+                <span>{tr("app.heroTags")}</span>
               </div>
             </div>
             <div className="md:justify-self-end">
@@ -276,11 +884,11 @@ export default function BookPreorderSite() {
                 <div className="flex items-center gap-3">
                   <Switch id="contact-switch" checked={showContact} onCheckedChange={setShowContact} />
                   <Label htmlFor="contact-switch" className="cursor-pointer">
-                    Optional contact fields
+                    {tr("app.contactToggle")}
                   </Label>
                 </div>
                 <p className="text-xs text-slate-500 mt-2">
-                  Leave this off to keep it anonymous. Toggle on only if you want to include contact info in your printed slip.
+                  {tr("app.contactHelp")}
                 </p>
                 <AnimatePresence>
                   {showContact && (
@@ -290,12 +898,61 @@ export default function BookPreorderSite() {
                       exit={{ height: 0, opacity: 0 }}
                       className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3"
                     >
-                      <Input placeholder="Full name (optional)" value={name} onChange={(e) => setName(e.target.value)} />
-                      <Input placeholder="Email (optional)" value={email} onChange={(e) => setEmail(e.target.value)} />
-                      <Input placeholder="Phone (optional)" value={phone} onChange={(e) => setPhone(e.target.value)} />
+                      <Input placeholder={tr("app.namePlaceholder")} value={name} onChange={(e) => setName(e.target.value)} />
+                      <Input placeholder={tr("app.emailPlaceholder")} value={email} onChange={(e) => setEmail(e.target.value)} />
+                      <Input placeholder={tr("app.phonePlaceholder")} value={phone} onChange={(e) => setPhone(e.target.value)} />
                     </motion.div>
                   )}
                 </AnimatePresence>
+
+                <div className="mt-4 pt-4 border-t">
+                  <div className="flex items-center gap-3">
+                    <Switch id="group-switch" checked={group.on} onCheckedChange={setGroupMode} />
+                    <Label htmlFor="group-switch" className="cursor-pointer flex items-center gap-1">
+                      <Users className="h-4 w-4" /> {tr("app.groupToggle")}
+                    </Label>
+                  </div>
+                  <p className="text-xs text-slate-500 mt-2">
+                    {tr("app.groupHelp")}
+                  </p>
+                  {group.on && (
+                    <div className="mt-3 space-y-2">
+                      <div className="flex gap-2">
+                        <Input
+                          placeholder={tr("app.participantPlaceholder")}
+                          value={personInput}
+                          onChange={(e) => setPersonInput(e.target.value)}
+                          onKeyDown={(e) => e.key === "Enter" && addPerson()}
+                        />
+                        <Button variant="outline" onClick={addPerson}>{tr("app.add")}</Button>
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {group.people.map((person) => (
+                          <Badge
+                            key={person}
+                            variant={person === group.current ? "default" : "outline"}
+                            className="gap-1 cursor-pointer"
+                            onClick={() => setGroup((g) => ({ ...g, current: person }))}
+                          >
+                            {person}
+                            <X
+                              className="h-3 w-3"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                removePerson(person);
+                              }}
+                            />
+                          </Badge>
+                        ))}
+                      </div>
+                      {group.current && (
+                        <p className="text-xs text-slate-600">
+                          {tr("app.addingFor", { person: group.current })}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
           </div>
@@ -307,64 +964,275 @@ export default function BookPreorderSite() {
         <div className="bg-white border rounded-2xl p-4 shadow-sm">
           <div className="flex items-center gap-2 mb-3">
             <Tag className="h-4 w-4" />
-            <h2 className="font-semibold">Quick Add a Book (local only)</h2>
+            <h2 className="font-semibold">{tr("quickAdd.heading")}</h2>
           </div>
-          <div className="grid md:grid-cols-6 gap-3">
-            <Input placeholder="Title" value={newBook.title || ""} onChange={(e) => setNewBook((s) => ({ ...s, title: e.target.value }))} />
-            <Input placeholder="Author" value={newBook.author || ""} onChange={(e) => setNewBook((s) => ({ ...s, author: e.target.value }))} />
-            <Input placeholder="Genre" value={newBook.genre || ""} onChange={(e) => setNewBook((s) => ({ ...s, genre: e.target.value }))} />
-            <Input type="number" placeholder="Price (PHP)" value={newBook.price as any as string || ""} onChange={(e) => setNewBook((s) => ({ ...s, price: Number(e.target.value) }))} />
-            <Input type="number" placeholder="Discount %" value={newBook.discountPct as any as string || 0} onChange={(e) => setNewBook((s) => ({ ...s, discountPct: Number(e.target.value) }))} />
-            <Input placeholder="Image URL" value={newBook.image || ""} onChange={(e) => setNewBook((s) => ({ ...s, image: e.target.value }))} />
+          <div className="grid md:grid-cols-4 gap-3">
+            <Input placeholder={tr("col.title")} value={newBook.title || ""} onChange={(e) => setNewBook((s) => ({ ...s, title: e.target.value }))} />
+            <Input placeholder={tr("col.author")} value={newBook.author || ""} onChange={(e) => setNewBook((s) => ({ ...s, author: e.target.value }))} />
+            <Input placeholder={tr("quickAdd.genre")} value={newBook.genre || ""} onChange={(e) => setNewBook((s) => ({ ...s, genre: e.target.value }))} />
+            <Input type="number" placeholder={tr("quickAdd.pricePHP")} value={newBook.price as any as string || ""} onChange={(e) => setNewBook((s) => ({ ...s, price: Number(e.target.value) }))} />
+            <Input type="number" placeholder={tr("quickAdd.discountPct")} value={newBook.discountPct as any as string || 0} onChange={(e) => setNewBook((s) => ({ ...s, discountPct: Number(e.target.value) }))} />
+            <Input placeholder={tr("quickAdd.image")} value={newBook.image || ""} onChange={(e) => setNewBook((s) => ({ ...s, image: e.target.value }))} />
+            <Input placeholder={tr("quickAdd.publisher")} value={newBook.publisher || ""} onChange={(e) => setNewBook((s) => ({ ...s, publisher: e.target.value }))} />
+            <Input type="number" placeholder={tr("quickAdd.supplierCost")} value={newBook.supplierCost as any as string || ""} onChange={(e) => setNewBook((s) => ({ ...s, supplierCost: e.target.value === "" ? null : Number(e.target.value) }))} />
           </div>
-          <Textarea className="mt-3" placeholder="Short highlights / summary (optional)" value={newBook.summary || ""} onChange={(e) => setNewBook((s) => ({ ...s, summary: e.target.value }))} />
-          <div className="mt-3 flex justify-end">
-            <Button onClick={addCustomBook} disabled={!canAdd}>Add to Catalog</Button>
+          <Textarea className="mt-3" placeholder={tr("quickAdd.summary")} value={newBook.summary || ""} onChange={(e) => setNewBook((s) => ({ ...s, summary: e.target.value }))} />
+          <div className="mt-3 flex items-center justify-end gap-3">
+            {addError && <span className="text-xs text-red-600">{addError}</span>}
+            <Button onClick={addCustomBook} disabled={!canAdd}>{tr("quickAdd.add")}</Button>
           </div>
-          <p className="text-[11px] text-slate-500 mt-2">
-            This catalog is stored only in your browser memory and resets on refresh. No upload.
-          </p>
+
+          {/* Bulk import / export */}
+          <div className="mt-4 border-t pt-4 flex flex-wrap items-center gap-3">
+            <Label htmlFor="catalog-import" className="flex items-center gap-2 cursor-pointer text-sm">
+              <Upload className="h-4 w-4" /> {tr("quickAdd.import")}
+            </Label>
+            <Input
+              id="catalog-import"
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              className="max-w-xs"
+              onChange={(e) => {
+                if (e.target.files?.[0]) importFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+            <div className="ml-auto flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => downloadCatalog("csv")} disabled={catalog.length === 0}>
+                <Download className="h-4 w-4 mr-1" /> {tr("quickAdd.exportCsv")}
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => downloadCatalog("json")} disabled={catalog.length === 0}>
+                <Download className="h-4 w-4 mr-1" /> {tr("quickAdd.exportJson")}
+              </Button>
+            </div>
+          </div>
+          {importError && <p className="text-xs text-red-600 mt-2">{importError}</p>}
+
+          {importing && imported && (
+            <div className="mt-4 rounded-xl border p-3 space-y-3">
+              <div className="text-sm font-medium">{tr("quickAdd.importing", { file: importing.fileName, count: importing.rows.length })}</div>
+              <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-2">
+                {importing.headers.map((header) => (
+                  <label key={header} className="text-xs flex flex-col gap-1">
+                    <span className="text-slate-500">{tr("quickAdd.column", { header })}</span>
+                    <select
+                      className="border rounded-md px-2 py-1 text-sm bg-white"
+                      value={importing.mapping[header]}
+                      onChange={(e) =>
+                        setImporting((prev) => prev && { ...prev, mapping: { ...prev.mapping, [header]: e.target.value } })
+                      }
+                    >
+                      <option value="">{tr("quickAdd.ignore")}</option>
+                      {IMPORT_FIELDS.map((f) => <option key={f} value={f}>{f}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {imported.books.length > 0 && (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="py-1">{tr("quickAdd.id")}</th><th>{tr("col.title")}</th><th>{tr("col.author")}</th>
+                      <th className="text-right">{tr("col.price")}</th><th className="text-right">{tr("quickAdd.discount")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {imported.books.slice(0, 5).map((b) => (
+                      <tr key={b.id} className="border-t">
+                        <td className="py-1">{b.id}</td>
+                        <td>{b.title}</td>
+                        <td>{b.author}</td>
+                        <td className="text-right">{money(b.price)}</td>
+                        <td className="text-right">{Math.round(b.discountPct || 0)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {imported.books.length > 5 && <p className="text-[11px] text-slate-500">{tr("quickAdd.more", { count: imported.books.length - 5 })}</p>}
+              {imported.errors.length > 0 && (
+                <details className="text-xs text-amber-700">
+                  <summary>{tr("quickAdd.skipped", { count: imported.errors.length })}</summary>
+                  <ul className="mt-1 list-disc pl-5">
+                    {imported.errors.map((e) => <li key={e}>{e}</li>)}
+                  </ul>
+                </details>
+              )}
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={() => setImporting(null)}>{tr("quickAdd.cancel")}</Button>
+                <Button onClick={confirmImport} disabled={imported.books.length === 0}>
+                  {tr("quickAdd.confirmImport", { count: imported.books.length })}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {/* Inline catalog editing */}
+          {catalog.length > 0 && (
+            <details className="mt-4">
+              <summary className="text-sm cursor-pointer">{tr("quickAdd.edit", { count: catalog.length })}</summary>
+              <div className="mt-2 overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="py-1">{tr("col.title")}</th><th>{tr("col.author")}</th><th>{tr("quickAdd.genre")}</th>
+                      <th>{tr("col.price")}</th><th>{tr("quickAdd.discountPct")}</th><th>{tr("quickAdd.cap")}</th>
+                      <th>{tr("quickAdd.publisher")}</th><th>{tr("quickAdd.cost")}</th><th>{tr("quickAdd.onHand")}</th>
+                      <th>{tr("quickAdd.source")}</th><th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {catalog.map((book) => {
+                      const local = customBooks.some((b) => b.id === book.id);
+                      const fromSheet = liveBooks.some((b) => b.id === book.id);
+                      if (editing?.id === book.id) {
+                        const field = (key: string) => (
+                          <Input
+                            className="h-8 text-xs"
+                            value={editing.draft[key]}
+                            onChange={(e) => setEditing({ ...editing, draft: { ...editing.draft, [key]: e.target.value } })}
+                          />
+                        );
+                        return (
+                          <tr key={book.id} className="border-t align-top">
+                            <td className="py-1 pr-1">{field("title")}</td>
+                            <td className="pr-1">{field("author")}</td>
+                            <td className="pr-1">{field("genre")}</td>
+                            <td className="pr-1">{field("price")}</td>
+                            <td className="pr-1">{field("discountPct")}</td>
+                            <td className="pr-1">{field("cap")}</td>
+                            <td className="pr-1">{field("publisher")}</td>
+                            <td className="pr-1">{field("supplierCost")}</td>
+                            <td className="pr-1">{field("onHand")}</td>
+                            <td>{editError && <span className="text-red-600">{editError}</span>}</td>
+                            <td className="whitespace-nowrap">
+                              <Button size="icon" variant="ghost" onClick={saveEdit}><Check className="h-4 w-4" /></Button>
+                              <Button size="icon" variant="ghost" onClick={() => setEditing(null)}><X className="h-4 w-4" /></Button>
+                            </td>
+                          </tr>
+                        );
+                      }
+                      return (
+                        <tr key={book.id} className="border-t">
+                          <td className="py-1">{editionTitle(book)}</td>
+                          <td>{book.author}</td>
+                          <td>{book.genre}</td>
+                          <td>{money(book.price)}</td>
+                          <td>{Math.round(book.discountPct || 0)}</td>
+                          <td>{book.cap ?? "—"}</td>
+                          <td>{book.publisher || "—"}</td>
+                          <td>{book.supplierCost == null ? "—" : money(book.supplierCost)}</td>
+                          <td>{book.onHand || 0}</td>
+                          <td>{tr(local ? (fromSheet ? "quickAdd.editedLocally" : "quickAdd.local") : "quickAdd.sheet")}</td>
+                          <td className="whitespace-nowrap">
+                            <Button size="icon" variant="ghost" onClick={() => startEdit(book)}><Pencil className="h-4 w-4" /></Button>
+                            {local && (
+                              <Button size="icon" variant="ghost" onClick={() => deleteLocalBook(book.id)}>
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-[11px] text-slate-500 mt-2">{tr("quickAdd.sheetNote")}</p>
+            </details>
+          )}
+
+          <p className="text-[11px] text-slate-500 mt-2">{tr("quickAdd.help")}</p>
         </div>
       </section>
 
       {/* Catalog */}
       <section className="max-w-7xl mx-auto px-4 py-6">
         <div className="flex items-center justify-between mb-4">
-          <h2 className="text-xl font-semibold">Featured Books</h2>
+          <h2 className="text-xl font-semibold">{tr("app.featured")}</h2>
           <div className="text-xs text-slate-500 flex items-center gap-2">
-            <Info className="h-3.5 w-3.5" /> Click a card to add to pre‑order
+            <Info className="h-3.5 w-3.5" /> {tr("app.clickToAdd")}
           </div>
         </div>
+        {catalogStatus === "loading" && <p className="text-sm text-slate-600 mb-4">{tr("catalog.loading")}</p>}
+        {catalogStatus === "failed" && (
+          <p className="text-sm text-red-600 mb-4">{tr("catalog.loadFailed")}</p>
+        )}
+        {catalogErrors.length > 0 && (
+          <details className="text-xs text-amber-700 mb-4">
+            <summary>{tr("app.skippedRows", { count: catalogErrors.length })}</summary>
+            <ul className="mt-1 list-disc pl-5">
+              {catalogErrors.map((e) => <li key={e}>{e}</li>)}
+            </ul>
+          </details>
+        )}
         <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5">
-          {catalog.map((book) => (
-            <motion.div key={book.id} whileHover={{ y: -2 }}>
-              <Card className="cursor-pointer group" onClick={() => addToCart(book)}>
-                <CardHeader className="p-0">
-                  <div className="relative">
-                    <img src={book.image} alt={book.title} className="w-full h-48 object-cover rounded-t-2xl" />
-                    {book.discountPct ? (
-                      <Badge className="absolute top-3 left-3">-{book.discountPct}%</Badge>
-                    ) : null}
-                  </div>
-                </CardHeader>
-                <CardContent className="p-4">
-                  <CardTitle className="text-base leading-tight line-clamp-2">{book.title}</CardTitle>
-                  <p className="text-xs text-slate-500 mt-1">{book.author} • {book.genre}</p>
-                  <p className="text-sm text-slate-600 mt-2 line-clamp-3">{book.summary}</p>
-                  <div className="mt-3 flex items-center gap-2">
-                    <span className="font-semibold">{formatPHP(discounted(book))}</span>
-                    {book.discountPct ? (
-                      <>
-                        <span className="text-xs line-through text-slate-400">{formatPHP(book.price)}</span>
-                        <Badge variant="secondary" className="text-[10px]">Save {formatPHP(book.price - discounted(book))}</Badge>
-                      </>
+          {catalog.filter((b) => !b.parentId).map((parent) => {
+            // Editions are picked on their parent's card
+            const editions = editionsOf(parent, catalog);
+            const book = editions.find((e: Book) => e.id === chosenEdition[parent.id]) || parent;
+            const status: BookStatus = bookStatus(book);
+            const orderable = status === "available";
+            return (
+              <motion.div key={parent.id} whileHover={{ y: -2 }}>
+                <Card className="cursor-pointer group" onClick={() => (orderable ? addToCart(book) : openWaitlist(book))}>
+                  <CardHeader className="p-0">
+                    <div className="relative">
+                      <img src={book.image} alt={book.title} className="w-full h-48 object-cover rounded-t-2xl" />
+                      {book.discountPct ? (
+                        <Badge className="absolute top-3 left-3">-{Math.round(book.discountPct)}%</Badge>
+                      ) : null}
+                      {!orderable && (
+                        <Badge variant={status === "sold_out" ? "destructive" : "secondary"} className="absolute top-3 right-3">
+                          {tr("status." + status)}
+                        </Badge>
+                      )}
+                    </div>
+                  </CardHeader>
+                  <CardContent className="p-4">
+                    <CardTitle className="text-base leading-tight line-clamp-2">{book.title}</CardTitle>
+                    <p className="text-xs text-slate-500 mt-1">{book.author} • {book.genre}</p>
+                    <p className="text-sm text-slate-600 mt-2 line-clamp-3">{book.summary}</p>
+                    {editions.length > 1 && (
+                      <div className="mt-3 flex flex-wrap gap-1">
+                        {editions.map((e: Book) => (
+                          <Badge
+                            key={e.id}
+                            variant={e.id === book.id ? "default" : "outline"}
+                            className="cursor-pointer"
+                            onClick={(ev) => {
+                              ev.stopPropagation();
+                              setChosenEdition((prev) => ({ ...prev, [parent.id]: e.id }));
+                            }}
+                          >
+                            {e.variant || tr("edition.standard")}
+                          </Badge>
+                        ))}
+                      </div>
+                    )}
+                    {book.components?.length ? (
+                      <p className="text-xs text-slate-500 mt-2">{tr("bundle.includes", { parts: bundleContents(book) })}</p>
                     ) : null}
-                  </div>
-                  <Button className="mt-3 w-full opacity-0 group-hover:opacity-100 transition-opacity">Add to Pre‑Order</Button>
-                </CardContent>
-              </Card>
-            </motion.div>
-          ))}
+                    <div className="mt-3 flex items-center gap-2">
+                      <span className="font-semibold">{money(unitPrice(book))}</span>
+                      {book.discountPct ? (
+                        <>
+                          <span className="text-xs line-through text-slate-400">{money(book.price)}</span>
+                          <Badge variant="secondary" className="text-[10px]">{tr("app.save", { amount: money(book.price - unitPrice(book)) })}</Badge>
+                        </>
+                      ) : null}
+                    </div>
+                    <Button
+                      variant={orderable ? "default" : "outline"}
+                      className="mt-3 w-full opacity-0 group-hover:opacity-100 transition-opacity"
+                    >
+                      {orderable ? tr("app.addToOrder") : tr("waitlist.submit")}
+                    </Button>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            );
+          })}
         </div>
       </section>
 
@@ -373,64 +1241,136 @@ export default function BookPreorderSite() {
         <div className="grid md:grid-cols-3 gap-6">
           <Card className="md:col-span-2">
             <CardHeader>
-              <CardTitle>Order Notes (printed only)</CardTitle>
+              <CardTitle>{tr("app.notesTitle")}</CardTitle>
             </CardHeader>
             <CardContent>
               <Textarea
-                placeholder="Pickup schedule, branch, or special requests.\n(These notes stay in your browser until you print.)"
+                placeholder={tr("app.notesPlaceholder")}
                 value={note}
                 onChange={(e) => setNote(e.target.value)}
                 rows={5}
               />
               <div className="mt-4 flex flex-wrap items-center gap-2">
                 <Button onClick={printSlip} disabled={cart.length === 0}>
-                  <Printer className="h-4 w-4 mr-2" /> Print / Save Pre‑Order PDF
+                  <Printer className="h-4 w-4 mr-2" /> {tr("app.printSlip")}
+                </Button>
+                <Button variant="outline" onClick={downloadPdf} disabled={cart.length === 0}>
+                  <Download className="h-4 w-4 mr-2" /> {tr("app.downloadPdf")}
                 </Button>
                 <Badge variant="outline" className="gap-1">
-                  <ShieldCheck className="h-3.5 w-3.5" /> Privacy by default
+                  <ShieldCheck className="h-3.5 w-3.5" /> {tr("app.privacyDefault")}
                 </Badge>
               </div>
               <p className="text-[11px] text-slate-500 mt-3">
-                🔒 Privacy Notice: This form does not record or store any type of personal information. Everything stays on your device until you print or save a PDF.
+                {tr("app.privacyNotice")}
               </p>
+              <Button variant="link" className="px-0 text-[11px] h-auto" onClick={clearAllData}>
+                {tr("data.clear")}
+              </Button>
             </CardContent>
           </Card>
 
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
-                <CheckCircle className="h-5 w-5" /> Summary
+                <CheckCircle className="h-5 w-5" /> {tr("app.summary")}
               </CardTitle>
             </CardHeader>
             <CardContent>
               <div className="space-y-2">
+                {cartNotices.length > 0 && (
+                  <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 text-xs text-amber-800">
+                    <ul className="list-disc pl-4 space-y-1">
+                      {cartNotices.map((n) => <li key={n}>{n}</li>)}
+                    </ul>
+                    <Button variant="link" className="px-0 h-auto text-xs" onClick={() => setCartNotices([])}>
+                      {tr("app.dismiss")}
+                    </Button>
+                  </div>
+                )}
                 {cart.length === 0 ? (
-                  <p className="text-sm text-slate-600">No items yet. Add books to generate a slip.</p>
+                  <p className="text-sm text-slate-600">{tr("app.noItems")}</p>
                 ) : (
                   <ul className="space-y-2">
                     {cart.map((item) => (
-                      <li key={item.book.id} className="text-sm">
+                      <li key={lineKey(item)} className="text-sm">
                         <div className="flex justify-between">
                           <span>
-                            {item.qty}× {item.book.title}
+                            {item.qty}× {editionTitle(item.book)}
                           </span>
-                          <span>{formatPHP(item.qty * discounted(item.book))}</span>
+                          <span>{money(item.qty * unitPrice(item.book))}</span>
                         </div>
-                        <div className="text-[11px] text-slate-500">{item.book.author}</div>
+                        <div className="text-[11px] text-slate-500">
+                          {item.book.author}
+                          {item.person && <> · {tr("app.forPerson", { person: item.person })}</>}
+                        </div>
+                        {item.book.components?.length ? (
+                          <div className="text-[11px] text-slate-500">{tr("bundle.includes", { parts: bundleContents(item.book) })}</div>
+                        ) : null}
                       </li>
                     ))}
                   </ul>
                 )}
+                <div className="flex gap-2 pt-2">
+                  <Input
+                    placeholder={tr("promo.placeholder")}
+                    value={promoInput}
+                    onChange={(e) => setPromoInput(e.target.value)}
+                  />
+                  <Button variant="outline" onClick={applyPromo}>{tr("promo.apply")}</Button>
+                </div>
+                {promoNotice ? (
+                  <p className="text-[11px] text-red-600">{tr(promoNotice)}</p>
+                ) : pricing.promoError ? (
+                  <p className="text-[11px] text-red-600">{pricing.promoError}</p>
+                ) : null}
                 <hr className="my-2" />
+                {pricing.discount ? (
+                  <>
+                    <div className="flex justify-between text-sm">
+                      <span>{tr("col.subtotal")}</span>
+                      <span>{money(pricing.subtotal)}</span>
+                    </div>
+                    <div className="flex justify-between text-sm text-emerald-700">
+                      <span>{tr("app.promo", { code: promo?.code || "" })}</span>
+                      <span>−{money(pricing.discount)}</span>
+                    </div>
+                  </>
+                ) : null}
+                {slip.people.length > 0 && (
+                  <div className="space-y-1 text-sm">
+                    <div className="text-xs text-slate-500">{tr("app.perPerson")}</div>
+                    {slip.people.map((p) => (
+                      <div key={p.person} className="flex justify-between">
+                        <span>{p.person} <span className="text-xs text-slate-500">({p.quantity})</span></span>
+                        <span>{money(p.share)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div className="flex justify-between font-semibold">
-                  <span>Total</span>
-                  <span>{formatPHP(total)}</span>
+                  <span>{tr(slip.people.length > 0 ? "app.grandTotal" : "app.total")}</span>
+                  <span>{money(total)}</span>
                 </div>
+                {cart.length > 0 && (
+                  <div className="pt-2 space-y-2">
+                    <Button variant="outline" className="w-full gap-2" onClick={shareList}>
+                      <Share2 className="h-4 w-4" /> {linkCopied ? tr("share.copied") : tr("share.button")}
+                    </Button>
+                    <div className="flex items-center gap-2">
+                      <Switch id="share-note-switch" checked={shareNote} onCheckedChange={setShareNote} />
+                      <Label htmlFor="share-note-switch" className="text-xs cursor-pointer">{tr("app.shareNote")}</Label>
+                    </div>
+                    <p className="text-[11px] text-slate-500">
+                      {tr("app.shareHelp")}
+                    </p>
+                  </div>
+                )}
                 {showContact && (
                   <div className="mt-4 text-xs text-slate-600 space-y-1">
-                    <div><span className="font-medium">Name:</span> {name || "—"}</div>
-                    <div><span className="font-medium">Email:</span> {email || "—"}</div>
-                    <div><span className="font-medium">Phone:</span> {phone || "—"}</div>
+                    <div><span className="font-medium">{tr("app.name")}</span> {name || "—"}</div>
+                    <div><span className="font-medium">{tr("app.email")}</span> {email || "—"}</div>
+                    <div><span className="font-medium">{tr("app.phone")}</span> {phone || "—"}</div>
                   </div>
                 )}
               </div>
@@ -439,12 +1379,67 @@ export default function BookPreorderSite() {
         </div>
       </section>
 
+      {/* Waitlist for titles that cannot be ordered yet */}
+      <Sheet open={waitlistBook !== null} onOpenChange={(open) => !open && setWaitlistBook(null)}>
+        <SheetContent className="w-full sm:max-w-md">
+          <SheetHeader>
+            <SheetTitle>{tr("app.waitlistTitle")}</SheetTitle>
+          </SheetHeader>
+          {waitlistBook && (
+            <div className="mt-4 space-y-3">
+              <p className="text-sm">
+                {tr("app.waitlistIntro", {
+                  title: editionTitle(waitlistBook),
+                  status: tr("edition.note." + bookStatus(waitlistBook)),
+                })}
+              </p>
+              <Input placeholder={tr("app.fullname")} value={entry.fullname} onChange={(e) => setEntry({ ...entry, fullname: e.target.value })} />
+              <Input type="email" placeholder={tr("app.emailField")} value={entry.email} onChange={(e) => setEntry({ ...entry, email: e.target.value })} />
+              <Input type="tel" placeholder={tr("app.phoneField")} value={entry.contact} onChange={(e) => setEntry({ ...entry, contact: e.target.value })} />
+              <label className="text-xs flex flex-col gap-1">
+                <span className="text-slate-500">{tr("app.preferredPickup")}</span>
+                <select
+                  className="border rounded-md px-2 py-2 text-sm bg-white"
+                  value={entry.pickup}
+                  onChange={(e) => setEntry({ ...entry, pickup: e.target.value })}
+                >
+                  <option value="">{tr("app.choose")}</option>
+                  {pickups.map((p) => <option key={p.location} value={p.location}>{p.location}</option>)}
+                </select>
+              </label>
+              <label className="text-xs flex flex-col gap-1">
+                <span className="text-slate-500">{tr("app.copies")}</span>
+                <Input
+                  type="number"
+                  min={1}
+                  max={MAX_WAITLIST_QUANTITY}
+                  value={entry.quantity}
+                  onChange={(e) => setEntry({ ...entry, quantity: Number(e.target.value) })}
+                />
+              </label>
+              <Button className="w-full" onClick={joinWaitlist} disabled={joining}>
+                {joining ? tr("app.joining") : tr("waitlist.submit")}
+              </Button>
+              {waitlistMessage && <p className="text-sm">{waitlistMessage}</p>}
+              <p className="text-[11px] text-slate-500">
+                {tr("app.waitlistPrivacy")}
+              </p>
+            </div>
+          )}
+        </SheetContent>
+      </Sheet>
+
+      {/* Pre-order slip (print only) */}
+      {cart.length > 0 && <PreorderSlip slip={slip} qrDataUrl={qrDataUrl} />}
+
       {/* Print Styles */}
       <style>{`
+        .slip-print { display: none; }
         @media print {
-          header, .print-hide { display: none !important; }
           body { background: white; }
-          .card, .Card { box-shadow: none !important; border: 1px solid #e5e7eb !important; }
+          body * { visibility: hidden; }
+          .slip-print, .slip-print * { visibility: visible; }
+          .slip-print { display: block; position: absolute; top: 0; left: 0; width: 100%; }
         }
       `}</style>
 
@@ -453,7 +1448,7 @@ export default function BookPreorderSite() {
         <div className="max-w-7xl mx-auto px-4 py-6 text-xs text-slate-600 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
           <div className="flex items-center gap-2">
             <ShieldCheck className="h-4 w-4" />
-            <span>We do not collect or transmit personal information. Use the Print button to generate your own slip.</span>
+            <span>{tr("app.footer")}</span>
           </div>
           <div className="text-[11px]">© {new Date().getFullYear()} Feast Books (Demo)</div>
         </div>
@@ -0,0 +1,794 @@
+// Google Apps Script backend for the book pre-order page.
+// Deploy as a web app and point API_URL in script.js at the /exec URL.
+// schedule.js, payment.js, pricing.js, catalog.js, waitlist.js, manage.js, validation.js,
+// i18n.js, release.js, qr.js and receipt.js are shared with the storefront and must be
+// pushed to the same Apps Script project.
+//
+// Sheets:
+//   Books   - id | title | author | genre | summary | image | price | discounted | retired | cap | reserved | addedAt | parent | variant | components | status | publisher | supplierCost | onHand
+//   Orders  - orderId | timestamp | fullname | email | contact | fb | pickup | pickupdate | items | total | key | status | promoCode | discount | manageToken | history | lang | released
+//   Pickups - location | weekdays | blackouts | cutoffDays | editCutoffDays
+//   Payments - orderId | timestamp | wallet | reference | amount | receiptUrl
+//   Promos  - code | type | value | minSpend | genres | authors | expires | usageLimit | used
+//   Waitlist - id | timestamp | bookId | title | fullname | email | contact | pickup | quantity | status | orderId
+//
+// A blank cap means the title has no allotment limit. Editions and bundles
+// (parent, variant, components) are described in catalog.js; a bundle's
+// cap counts sets, which are packed ahead and reserved as a whole. Pickup
+// weekdays and blackouts are comma-separated, e.g. "Saturday, Sunday" and
+// "2026-12-26"; so are promo genres and authors. See pricing.js for how promos apply.
+// Order items are stored as JSON; in a group order each item also names
+// the person it is for. Order status is one of ORDER_STATUSES, in
+// lifecycle order. Receipt screenshots are saved to the Drive folder in the
+// RECEIPTS_FOLDER_ID script property. Books whose status is coming_soon or
+// sold_out cannot be ordered, only waitlisted; admins later convert waitlist
+// entries into draft orders (see waitlist.js). Customers change or cancel
+// their own orders with the manageToken returned when they order; each
+// change is appended to the order's history (see manage.js). Customer
+// details are checked and cleaned by validation.js; an order that fails
+// gets { error, fields } back with a message per field, in the order's
+// lang (see i18n.js), which is stored for follow-ups. On pickup day
+// volunteers hand orders out from the check-in page, recording each
+// released line in the order's released column (see release.js).
+// Placed orders are confirmed by email (see receipt.js) through the
+// MAIL_TRANSPORT script property's transport in MAIL_TRANSPORTS ("mailapp"
+// unless set); links in it point at the STOREFRONT_URL script property.
+
+const BOOKS_SHEET = "Books";
+const ORDERS_SHEET = "Orders";
+const PICKUPS_SHEET = "Pickups";
+const PAYMENTS_SHEET = "Payments";
+const PROMOS_SHEET = "Promos";
+const WAITLIST_SHEET = "Waitlist";
+
+const ORDER_STATUSES = ["draft", "pending_payment", "paid", "ready", "picked_up", "cancelled"];
+
+// GET → catalog of orderable books (schema in catalog.js), without supplier
+// costs and stock on hand
+//   ?since=…                          the same, or { notModified } if unchanged
+//   ?action=pickups                   pickup schedule
+//   ?action=order&orderId=…&email=…   one order, for the tracking page
+//   ?action=promo&code=…              one promo code, to preview at checkout
+//   ?action=manage&orderId=…&token=…  one order, for its manage link
+function doGet(e) {
+  if (e.parameter.action === "pickups") {
+    return json(readPickups());
+  }
+  if (e.parameter.action === "promo") {
+    return json(readPromo(e.parameter.code) || { error: "That promo code does not exist." });
+  }
+  if (e.parameter.action === "order") {
+    return json(lookupOrder(e.parameter.orderId, e.parameter.email));
+  }
+  if (e.parameter.action === "manage") {
+    try {
+      return json(manageView(findManagedOrder(e.parameter.orderId, e.parameter.token)));
+    } catch (err) {
+      return json({ error: err.message });
+    }
+  }
+  return json(catalogReply(loadCatalog(readRows(BOOKS_SHEET).filter(b => !b.retired)), e.parameter.since));
+}
+
+// POST → place an order, or run a customer or admin action when body.action
+// is set.
+// Everything runs under one script lock so pricing, stock reservation and
+// sheet writes from two requests never interleave.
+function doPost(e) {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(10000);
+    const body = JSON.parse(e.postData.contents);
+
+    if (CUSTOMER_ACTIONS.hasOwnProperty(body.action)) {
+      return json(CUSTOMER_ACTIONS[body.action](body));
+    }
+    if (CHECKIN_ACTIONS.hasOwnProperty(body.action)) {
+      requireStaff(body.checkinKey);
+      return json(CHECKIN_ACTIONS[body.action](body));
+    }
+    if (body.action) {
+      const handler = ADMIN_ACTIONS.hasOwnProperty(body.action) && ADMIN_ACTIONS[body.action];
+      if (!handler) throw new Error("Unknown action: " + body.action);
+      requireAdmin(body.adminKey);
+      return json(handler(body));
+    }
+    return json(placeOrder(body));
+  } catch (err) {
+    return json({ error: err.message, lines: err.lines, fields: err.fields });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// status is "draft" for orders converted from the waitlist, which the
+// customer has not confirmed yet
+function placeOrder(order, status = "pending_payment") {
+  // A replayed idempotency key gets the original order back
+  const existing = order.key && findOrderByKey(order.key);
+  if (existing) {
+    return {
+      orderId: existing.orderId,
+      manageToken: existing.manageToken,
+      items: JSON.parse(existing.items),
+      discount: Number(existing.discount || 0),
+      promoCode: existing.promoCode,
+      total: existing.total
+    };
+  }
+
+  // Drafts converted from the waitlist keep what the entry had; the
+  // customer confirms their details with the order
+  const lang = normalizeLanguage(order.lang);
+  const customer = status === "draft" ? order : checkCustomer(order, lang);
+  checkPickup(order.pickup, order.pickupdate, lang);
+  if (order.payment) checkPayment(order.payment, lang);
+  const priced = priceOrder(order.items, order.promoCode, false, lang);
+  reserveStock(priced.reserve, [], lang);
+  const orderId = "PO-" + Date.now().toString(36).toUpperCase();
+  const manageToken = Utilities.getUuid();
+
+  appendObject(ORDERS_SHEET, {
+    orderId,
+    timestamp: new Date(),
+    fullname: customer.fullname,
+    email: customer.email,
+    contact: customer.contact,
+    fb: customer.fb,
+    pickup: order.pickup,
+    pickupdate: order.pickupdate,
+    items: JSON.stringify(priced.items),
+    total: priced.total,
+    key: order.key || "",
+    status,
+    promoCode: priced.promoCode,
+    discount: priced.discount,
+    manageToken,
+    history: "[]",
+    lang,
+    released: "[]"
+  });
+  if (order.payment) recordPayment(orderId, order.payment);
+  if (priced.promoCode) countPromoUse(priced.promoCode);
+  if (status !== "draft") {
+    sendConfirmation({
+      orderId,
+      fullname: customer.fullname,
+      email: customer.email,
+      pickup: order.pickup,
+      pickupdate: order.pickupdate,
+      items: priced.items,
+      discount: priced.discount,
+      promoCode: priced.promoCode,
+      total: priced.total,
+      manageToken,
+      paymentSent: Boolean(order.payment),
+      createdAt: new Date().toISOString()
+    }, lang);
+  }
+
+  return {
+    orderId,
+    manageToken,
+    items: priced.items,
+    discount: priced.discount,
+    promoCode: priced.promoCode,
+    total: priced.total
+  };
+}
+
+// ---------- Customer actions
+// Identified by order ID + email, the same pair the tracking page uses, or
+// by order ID + manage token for changes to the order itself.
+
+const CUSTOMER_ACTIONS = {
+  addPayment: body => {
+    const order = lookupOrder(body.orderId, body.email);
+    if (order.error) throw new Error(order.error);
+    checkPayment(body.payment);
+    recordPayment(order.orderId, body.payment);
+    return { orderId: order.orderId };
+  },
+  changeOrder: body => changeOrder(body),
+  cancelOrder: body => cancelOrder(body.orderId, body.token),
+  joinWaitlist: body => {
+    const book = loadCatalog(readRows(BOOKS_SHEET).filter(b => !b.retired)).books
+      .find(b => b.id === String(body.bookId));
+    const lang = normalizeLanguage(body.lang);
+    const error = waitlistError(body, book, readPickups(), lang);
+    if (error) throw new Error(error);
+
+    const { customer } = validateCustomer(body, lang);
+    const id = "WL-" + Date.now().toString(36).toUpperCase();
+    appendObject(WAITLIST_SHEET, {
+      id,
+      timestamp: new Date(),
+      bookId: book.id,
+      title: editionTitle(book),
+      fullname: customer.fullname,
+      email: customer.email,
+      contact: customer.contact,
+      pickup: body.pickup,
+      quantity: Number(body.quantity),
+      status: "waiting",
+      orderId: ""
+    });
+    return { id };
+  }
+};
+
+// ---------- Order changes (manage link)
+
+// In English, like the manage page (track.js); there is no order yet to
+// take a language from
+function findManagedOrder(orderId, token) {
+  const row = readRows(ORDERS_SHEET).find(o =>
+    o.orderId === String(orderId || "").trim().toUpperCase() &&
+    o.manageToken && o.manageToken === String(token || "")
+  );
+  if (!row) throw new Error(t("en", "manage.invalidLink"));
+  return row;
+}
+
+// What the manage page shows: the order, its email for payments, the lines
+// as ordered, those already handed over and the last day they can be changed
+function manageView(row) {
+  const view = orderView(row);
+  const loc = readPickups().find(l => l.location === view.pickup);
+  return {
+    ...view,
+    email: row.email,
+    released: releasedOf(row),
+    lines: orderedLines(view.items, loadCatalog(readRows(BOOKS_SHEET)).books),
+    editableUntil: editDeadline(loc, view.pickupdate)
+  };
+}
+
+// Throws unless the order can still be changed by its customer, in the
+// order's language
+function checkChangeable(row) {
+  const view = { ...orderView(row), released: releasedOf(row) };
+  const loc = readPickups().find(l => l.location === view.pickup);
+  const error = orderChangeError(view, loc, todayString(), normalizeLanguage(row.lang));
+  if (error) throw new Error(error);
+}
+
+// Re-price the order with its new lines and pickup, move its stock
+// reservation over and record what changed
+function changeOrder(body) {
+  const row = findManagedOrder(body.orderId, body.token);
+  const view = orderView(row);
+  const lang = normalizeLanguage(row.lang);
+  checkChangeable(row);
+
+  const books = loadCatalog(readRows(BOOKS_SHEET)).books;
+  const before = {
+    lines: orderedLines(view.items, books),
+    pickup: view.pickup,
+    pickupdate: view.pickupdate,
+    total: Number(view.total)
+  };
+  const pickup = body.pickup || view.pickup;
+  const pickupdate = body.pickupdate || view.pickupdate;
+  if (pickup !== view.pickup || pickupdate !== view.pickupdate) checkPickup(pickup, pickupdate, lang);
+
+  const lines = Array.isArray(body.items) ? body.items : before.lines;
+  const priced = priceOrder(lines, view.promoCode, true, lang);
+  const after = {
+    lines: orderedLines(priced.items, books),
+    pickup,
+    pickupdate,
+    total: priced.total
+  };
+  const changes = describeChanges(before, after, books);
+  if (changes.length === 0) throw new Error(t(lang, "manage.unchanged"));
+
+  reserveStock(priced.reserve, before.lines, lang);
+  updateRows(ORDERS_SHEET, r => r.orderId === view.orderId, {
+    pickup,
+    pickupdate,
+    items: JSON.stringify(priced.items),
+    total: priced.total,
+    discount: priced.discount,
+    history: JSON.stringify([...view.history, { at: new Date().toISOString(), action: "changed", changes }])
+  });
+  return manageView(findManagedOrder(view.orderId, body.token));
+}
+
+// Cancel the order, handing its copies and promo use back
+function cancelOrder(orderId, token) {
+  const row = findManagedOrder(orderId, token);
+  const view = orderView(row);
+  checkChangeable(row);
+
+  reserveStock([], orderedLines(view.items, loadCatalog(readRows(BOOKS_SHEET)).books));
+  if (view.promoCode) countPromoUse(view.promoCode, -1);
+  updateRows(ORDERS_SHEET, r => r.orderId === view.orderId, {
+    status: "cancelled",
+    history: JSON.stringify([...view.history, { at: new Date().toISOString(), action: "cancelled", changes: ["Cancelled by the customer"] }])
+  });
+  return manageView(findManagedOrder(orderId, token));
+}
+
+// ---------- Payments
+
+// Also refuses receipts that are not screenshots or are over
+// MAX_RECEIPT_BYTES (see payment.js), before anything is written
+function checkPayment(payment, lang) {
+  const error = paymentError(payment, lang);
+  if (error) throw new Error(error);
+}
+
+function recordPayment(orderId, payment) {
+  appendObject(PAYMENTS_SHEET, {
+    orderId,
+    timestamp: new Date(),
+    wallet: payment.wallet,
+    reference: normalizeReference(payment.reference),
+    amount: Number(payment.amount),
+    receiptUrl: payment.receipt ? saveReceipt(orderId, payment.receipt) : ""
+  });
+}
+
+// The order is already written by the time the receipt is saved, so a Drive
+// failure is logged rather than failing the whole request.
+function saveReceipt(orderId, receipt) {
+  try {
+    return uploadReceipt(orderId, receipt);
+  } catch (err) {
+    console.error("Receipt upload failed for " + orderId + ": " + err.message);
+    return "upload failed";
+  }
+}
+
+function uploadReceipt(orderId, receipt) {
+  const bytes = Utilities.base64Decode(receipt.data);
+  const error = receiptFileError(receipt.type, bytes.length);
+  if (error) throw new Error(error);
+  const folderId = PropertiesService.getScriptProperties().getProperty("RECEIPTS_FOLDER_ID");
+  const blob = Utilities.newBlob(
+    bytes,
+    receipt.type,
+    orderId + " - " + receipt.name
+  );
+  return DriveApp.getFolderById(folderId).createFile(blob).getUrl();
+}
+
+// ---------- Confirmation email
+
+const MAIL_TRANSPORTS = {
+  mailapp: message => MailApp.sendEmail({
+    to: message.to,
+    subject: message.subject,
+    body: message.text,
+    htmlBody: message.html,
+    name: SHOP_NAME
+  }),
+  off: () => {}
+};
+
+// Like the receipt upload, a mail failure must not undo a placed order, so
+// it is only logged.
+function sendConfirmation(order, lang) {
+  if (!order.email) return;
+  const props = PropertiesService.getScriptProperties();
+  const transport = MAIL_TRANSPORTS[props.getProperty("MAIL_TRANSPORT") || "mailapp"];
+  try {
+    if (!transport) throw new Error("unknown MAIL_TRANSPORT");
+    transport(confirmationEmail(order, { lang, storefrontUrl: props.getProperty("STOREFRONT_URL") || "" }));
+  } catch (err) {
+    console.error("Confirmation email failed for " + order.orderId + ": " + err.message);
+  }
+}
+
+// ---------- Admin
+// Admin requests carry the ADMIN_KEY script property as body.adminKey.
+
+const ADMIN_ACTIONS = {
+  listOrders: () => readRows(ORDERS_SHEET).map(adminOrderView),
+  updateStatus: body => ({ updated: updateStatuses(body.orderIds, body.status) }),
+  listPayments: () => readRows(PAYMENTS_SHEET),
+  listWaitlist: () => readRows(WAITLIST_SHEET),
+  // Every book, retired ones too, with supplier costs for purchase orders
+  listBooks: () => loadCatalog(readRows(BOOKS_SHEET)),
+  convertWaitlist: body => convertWaitlist(body.entryIds)
+};
+
+// Statuses admins can set from the console; pending_payment confirms a draft
+const ADMIN_STATUSES = ["pending_payment", "paid", "ready", "picked_up"];
+
+function requireAdmin(key) {
+  const expected = PropertiesService.getScriptProperties().getProperty("ADMIN_KEY");
+  if (!expected || key !== expected) throw new Error("Not authorized.");
+}
+
+function adminOrderView(row) {
+  return {
+    ...orderView(row),
+    fullname: row.fullname,
+    email: row.email,
+    contact: row.contact,
+    fb: row.fb,
+    lang: row.lang || DEFAULT_LANGUAGE,
+    released: releasedOf(row)
+  };
+}
+
+function updateStatuses(orderIds, status) {
+  if (!ADMIN_STATUSES.includes(status)) throw new Error("Invalid status: " + status);
+  if (!Array.isArray(orderIds)) throw new Error("No orders selected.");
+  // A cancelled order's copies went back to stock, so it cannot come back
+  const cancelled = readRows(ORDERS_SHEET)
+    .filter(row => orderIds.includes(row.orderId) && row.status === "cancelled")
+    .map(row => row.orderId);
+  if (cancelled.length) throw new Error("Cancelled orders cannot be reopened: " + cancelled.join(", ") + ".");
+  return updateRows(ORDERS_SHEET, row => orderIds.includes(row.orderId), { status });
+}
+
+// Turn waitlist entries into draft orders for the first pickup date open at
+// their location, oldest entry first so earlier sign-ups get the stock. An
+// entry that cannot be converted yet (still not orderable, not enough stock,
+// no pickup date) is skipped with the reason and stays on the waitlist.
+function convertWaitlist(entryIds) {
+  if (!Array.isArray(entryIds)) throw new Error("No waitlist entries selected.");
+  const pickups = readPickups();
+  const converted = [];
+  const skipped = [];
+
+  entriesToConvert(readRows(WAITLIST_SHEET), entryIds).forEach(entry => {
+    const loc = pickups.find(l => l.location === entry.pickup);
+    const pickupdate = loc ? upcomingPickupDates(loc, todayString(), 1)[0] : "";
+    try {
+      if (!pickupdate) throw new Error("No upcoming pick-up date at " + entry.pickup + ".");
+      const order = placeOrder({
+        fullname: entry.fullname,
+        email: entry.email,
+        contact: entry.contact,
+        fb: "",
+        pickup: entry.pickup,
+        pickupdate,
+        items: [{ id: String(entry.bookId), quantity: Number(entry.quantity) }],
+        key: "waitlist:" + entry.id
+      }, "draft");
+      updateRows(WAITLIST_SHEET, row => row.id === entry.id, { status: "converted", orderId: order.orderId });
+      converted.push({ id: entry.id, orderId: order.orderId });
+    } catch (err) {
+      skipped.push({ id: entry.id, reason: err.message });
+    }
+  });
+  return { converted, skipped };
+}
+
+// ---------- Check-in
+// Volunteers at the venue sign in with the CHECKIN_KEY script property as
+// body.checkinKey, which opens only these actions; the ADMIN_KEY works too.
+
+const CHECKIN_ACTIONS = {
+  checkinOrders: body => checkinOrders(body.pickup, body.pickupdate),
+  releaseItems: body => releaseItems(body.releases)
+};
+
+function requireStaff(key) {
+  const props = PropertiesService.getScriptProperties();
+  const keys = [props.getProperty("CHECKIN_KEY"), props.getProperty("ADMIN_KEY")].filter(Boolean);
+  if (!key || !keys.includes(key)) throw new Error("Not authorized.");
+}
+
+// Orders placed before check-in have no released column value
+function releasedOf(row) {
+  return row.released ? JSON.parse(row.released) : [];
+}
+
+// An order as a volunteer needs it at the table: who it is for, what is
+// left to hand over and what is still owed
+function checkinView(row, payments) {
+  const view = orderView(row);
+  return {
+    ...view,
+    fullname: row.fullname,
+    fb: row.fb,
+    contact: row.contact,
+    released: releasedOf(row),
+    ...paymentSummary(view, payments)
+  };
+}
+
+// Every order for one location and pickup date except cancelled ones, by name
+function checkinOrders(pickup, pickupdate) {
+  const payments = readRows(PAYMENTS_SHEET);
+  return readRows(ORDERS_SHEET)
+    .map(row => checkinView(row, payments))
+    .filter(o => o.pickup === pickup && o.pickupdate === pickupdate && o.status !== "cancelled")
+    .sort((a, b) => String(a.fullname).localeCompare(String(b.fullname)));
+}
+
+// Apply check-ins queued on a volunteer's device, in the order they were
+// made: [{ id, orderId, lines, at }] (see release.js). Each is synced or
+// skipped with the reason; the device drops both, so a skipped one is not
+// retried.
+function releaseItems(releases) {
+  if (!Array.isArray(releases)) throw new Error("No check-ins to sync.");
+  const rows = readRows(ORDERS_SHEET);
+  const synced = [];
+  const skipped = [];
+
+  releases.forEach(release => {
+    const row = rows.find(o => o.orderId === String(release.orderId || "").trim().toUpperCase());
+    try {
+      if (!row) throw new Error("Unknown order: " + release.orderId);
+      const order = { ...orderView(row), released: releasedOf(row) };
+      const error = releaseError(order, release.lines);
+      if (error) throw new Error(error);
+
+      const result = applyRelease(order, release.lines, String(release.at || new Date().toISOString()));
+      updateRows(ORDERS_SHEET, r => r.orderId === order.orderId, {
+        released: JSON.stringify(result.released),
+        status: result.status
+      });
+      // Later check-ins in this batch may be for the same order
+      row.released = JSON.stringify(result.released);
+      row.status = result.status;
+      synced.push({ id: release.id, orderId: order.orderId, ...result });
+    } catch (err) {
+      skipped.push({ id: release.id, orderId: release.orderId, reason: err.message });
+    }
+  });
+  return { synced, skipped };
+}
+
+// Look up each { id, quantity } line against the sheet and recompute totals,
+// re-validating the promo code if one was entered. Client-supplied prices are
+// never read. promoCounted is set when re-pricing an order whose use of the
+// promo is already counted: its expiry and usage limit were checked when the
+// order was placed, so they are not checked again and the order keeps its
+// discount after the promo closes (otherwise the customer could not even
+// move the pickup date). lang picks the language of the errors thrown.
+function priceOrder(lines, promoCode, promoCounted = false, lang) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error(t(lang, "order.noItems"));
+  }
+
+  // Normalized books, so editions carry their parent's title and bundles
+  // their parsed components
+  const rows = readRows(BOOKS_SHEET);
+  const byId = {};
+  loadCatalog(rows.filter(b => !b.retired)).books.forEach(b => { byId[b.id] = b; });
+
+  const cartLines = mergeOrderLines(lines).map(line => {
+    const book = byId[line.id];
+    if (!book) {
+      const retired = rows.find(b => String(b.id) === line.id);
+      throw new Error(retired ? t(lang, "book.retired", { title: retired.title }) : t(lang, "book.unknown", { id: line.id }));
+    }
+    const unavailable = statusError(book, lang);
+    if (unavailable) throw new Error(unavailable);
+
+    const invalid = quantityError(line.quantity, lang);
+    if (invalid) throw new Error(book.title + ": " + invalid);
+    return { book, quantity: line.quantity, person: line.person };
+  });
+
+  let promo = null;
+  if (normalizeCode(promoCode)) {
+    promo = readPromo(promoCode);
+    if (promo && promoCounted) promo = { ...promo, expires: "", usageLimit: 0 };
+    const error = promoError(promo, cartLines, todayString(), lang);
+    if (error) throw new Error(error);
+  }
+
+  // Group orders keep who each line is for, so packing can be split.
+  // Bundles are listed as their component titles, each naming the bundle.
+  const items = [];
+  cartLines.forEach(({ book, quantity, person }) => {
+    const forPerson = person ? { person } : {};
+    if (book.components.length === 0) {
+      items.push({
+        id: book.id,
+        title: editionTitle(book),
+        author: book.author,
+        quantity,
+        unitPrice: unitPrice(book),
+        lineTotal: unitPrice(book) * quantity,
+        ...forPerson
+      });
+      return;
+    }
+    const components = book.components.map(c => ({ book: byId[c.id], quantity: c.quantity }));
+    bundleLines(book, quantity, components).forEach(line => items.push({
+      id: line.book.id,
+      title: editionTitle(line.book),
+      author: line.book.author,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      lineTotal: line.lineTotal,
+      bundle: { id: book.id, title: editionTitle(book) },
+      ...forPerson
+    }));
+  });
+
+  const priced = priceCart(cartLines, promo, todayString());
+  return {
+    items,
+    // Stock is held per ordered edition or bundle, not per component
+    reserve: quantitiesByBook(cartLines.map(l => ({ id: l.book.id, title: editionTitle(l.book), quantity: l.quantity }))),
+    discount: priced.discount,
+    promoCode: promo ? promo.code : "",
+    total: priced.total
+  };
+}
+
+// A promo row in the shape pricing.js expects, or null
+function readPromo(code) {
+  const row = readRows(PROMOS_SHEET).find(p => normalizeCode(p.code) === normalizeCode(code));
+  if (!row) return null;
+  return {
+    code: normalizeCode(row.code),
+    type: row.type,
+    value: Number(row.value),
+    minSpend: Number(row.minSpend || 0),
+    genres: splitList(row.genres),
+    authors: splitList(row.authors),
+    expires: row.expires instanceof Date ? formatSheetDate(row.expires) : String(row.expires),
+    usageLimit: Number(row.usageLimit || 0),
+    used: Number(row.used || 0)
+  };
+}
+
+// by is -1 when a cancelled order hands its use back
+function countPromoUse(code, by = 1) {
+  const promo = readPromo(code);
+  if (!promo) return;
+  updateRows(PROMOS_SHEET, row => normalizeCode(row.code) === promo.code, { used: Math.max(0, promo.used + by) });
+}
+
+// Pickup locations from the sheet in the shape schedule.js expects
+function readPickups() {
+  return readRows(PICKUPS_SHEET).map(row => ({
+    location: row.location,
+    weekdays: splitList(row.weekdays).map(w => WEEKDAY_NAMES.indexOf(w)).filter(w => w >= 0),
+    blackouts: row.blackouts instanceof Date
+      ? [formatSheetDate(row.blackouts)]
+      : splitList(row.blackouts),
+    cutoffDays: Number(row.cutoffDays || 0),
+    editCutoffDays: row.editCutoffDays === "" || row.editCutoffDays == null ? null : Number(row.editCutoffDays)
+  }));
+}
+
+// The cleaned customer details, or throw with err.fields
+function checkCustomer(order, lang) {
+  const { customer, fields } = validateCustomer(order, lang);
+  if (Object.keys(fields).length) {
+    const err = new Error(fieldsErrorMessage(fields, lang));
+    err.fields = fields;
+    throw err;
+  }
+  return customer;
+}
+
+function checkPickup(location, date, lang) {
+  const loc = readPickups().find(l => l.location === location);
+  if (!loc) throw new Error(t(lang, "pickup.unknown", { location }));
+  const error = pickupDateError(loc, date, todayString(), lang);
+  if (error) throw new Error(error);
+}
+
+// An order is only returned when the email matches too, so IDs alone
+// cannot be used to browse other customers' orders.
+function lookupOrder(orderId, email) {
+  const row = readRows(ORDERS_SHEET).find(o =>
+    o.orderId === String(orderId || "").trim().toUpperCase() &&
+    String(o.email).trim().toLowerCase() === String(email || "").trim().toLowerCase()
+  );
+  if (!row) return { error: "No order found with that Order ID and email." };
+  return orderView(row);
+}
+
+// What a customer may see of an order row
+function orderView(row) {
+  return {
+    orderId: row.orderId,
+    createdAt: row.timestamp,
+    items: JSON.parse(row.items),
+    discount: Number(row.discount || 0),
+    promoCode: row.promoCode,
+    total: row.total,
+    pickup: row.pickup,
+    pickupdate: row.pickupdate instanceof Date ? formatSheetDate(row.pickupdate) : String(row.pickupdate),
+    status: row.status || "pending_payment",
+    history: row.history ? JSON.parse(row.history) : []
+  };
+}
+
+function findOrderByKey(key) {
+  return readRows(ORDERS_SHEET).find(o => o.key === key);
+}
+
+// Add each line's quantity to the book's reserved count, or throw with the
+// lines that no longer fit. release holds lines to hand back first (an
+// order's previous lines when it changes), so a change only fails if the
+// new lines do not fit once the old ones are returned. lang picks the
+// language of the error. Must be called while holding the script lock.
+function reserveStock(items, release = [], lang) {
+  const sh = sheet(BOOKS_SHEET);
+  const [headers, ...rows] = sh.getDataRange().getValues();
+  const col = name => headers.indexOf(name);
+  const reserved = rows.map(row => Number(row[col("reserved")] || 0));
+
+  release.forEach(item => {
+    const r = rows.findIndex(row => String(row[col("id")]) === String(item.id));
+    if (r >= 0 && rows[r][col("cap")] !== "") reserved[r] = Math.max(0, reserved[r] - item.quantity);
+  });
+
+  const shortages = [];
+  items.forEach(item => {
+    const r = rows.findIndex(row => String(row[col("id")]) === item.id);
+    const cap = rows[r][col("cap")];
+    if (cap === "") return;
+
+    const available = Math.max(0, Number(cap) - reserved[r]);
+    if (item.quantity > available) {
+      shortages.push({ id: item.id, title: item.title, requested: item.quantity, available });
+    } else {
+      reserved[r] += item.quantity;
+    }
+  });
+
+  if (shortages.length) {
+    const err = new Error(t(lang, "stock.short", { titles: shortages.map(s => s.title).join(", ") }));
+    err.lines = shortages;
+    throw err;
+  }
+
+  sh.getRange(2, col("reserved") + 1, reserved.length, 1)
+    .setValues(reserved.map(n => [n]));
+}
+
+// ---------- Helpers
+
+function sheet(name) {
+  return SpreadsheetApp.getActive().getSheetByName(name);
+}
+
+// Rows as objects keyed by the header row
+function readRows(name) {
+  const [headers, ...rows] = sheet(name).getDataRange().getValues();
+  return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+}
+
+// Append a row, placing each value under its matching header
+function appendObject(name, obj) {
+  const sh = sheet(name);
+  const headers = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+  sh.appendRow(headers.map(h => (h in obj ? obj[h] : "")));
+}
+
+// Set `changes` on every row matching `match`; returns how many matched
+function updateRows(name, match, changes) {
+  const sh = sheet(name);
+  const [headers, ...rows] = sh.getDataRange().getValues();
+  let count = 0;
+  rows.forEach((row, i) => {
+    if (!match(Object.fromEntries(headers.map((h, j) => [h, row[j]])))) return;
+    Object.keys(changes).forEach(key => {
+      sh.getRange(i + 2, headers.indexOf(key) + 1).setValue(changes[key]);
+    });
+    count++;
+  });
+  return count;
+}
+
+// "a, b, c" → ["a", "b", "c"]
+function splitList(value) {
+  return String(value).split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// A single date typed into a cell comes back as a Date
+function formatSheetDate(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+function json(data) {
+  return ContentService
+    .createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,552 @@
+// Admin console: lists orders (✓ marks items released at pickup, see
+// checkin.js), bulk-updates their status, builds the
+// per-location packing list for a pickup day, reconciles GCash/Maya
+// payments against order totals, totals what to buy from each publisher and
+// turns waitlist entries into draft orders once stock arrives. The admin
+// key is kept in
+// sessionStorage so it is forgotten when the tab closes.
+
+const ADMIN_KEY_STORAGE = "preorder-admin-key";
+
+const STATUS_LABELS = {
+  draft: "Draft (from waitlist)",
+  pending_payment: "Pending payment",
+  paid: "Paid",
+  ready: "Ready for pickup",
+  picked_up: "Picked up",
+  cancelled: "Cancelled"
+};
+
+let orders = [];
+let payments = [];
+let waitlist = [];
+let catalogBooks = [];
+let selected = new Set();
+let selectedEntries = new Set();
+
+const signinForm = document.getElementById("signin-form");
+const adminPanel = document.getElementById("admin-panel");
+const locationFilter = document.getElementById("location-filter");
+const dateFilter = document.getElementById("date-filter");
+const statusFilter = document.getElementById("status-filter");
+const ordersTable = document.getElementById("orders-table");
+const packingList = document.getElementById("packing-list");
+const reconciliation = document.getElementById("reconciliation");
+const waitlistTable = document.getElementById("waitlist-table");
+const poFrom = document.getElementById("po-from");
+const poTo = document.getElementById("po-to");
+const poLocations = document.getElementById("po-locations");
+const purchaseOrderBox = document.getElementById("purchase-order");
+const waitingOnly = document.getElementById("waitlist-waiting-only");
+
+const backend = createBackend(BACKEND);
+
+// Run an admin action; rejects with the backend's error message
+function adminPost({ action, ...body }) {
+  return backend.admin(action, { ...body, adminKey: sessionStorage.getItem(ADMIN_KEY_STORAGE) })
+  .then(response => {
+    if (response.error) throw new Error(response.error);
+    return response;
+  });
+}
+
+signinForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  sessionStorage.setItem(ADMIN_KEY_STORAGE, this.adminKey.value);
+  this.reset();
+  loadOrders();
+});
+
+document.getElementById("signout-btn").addEventListener("click", () => {
+  sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+  orders = [];
+  payments = [];
+  waitlist = [];
+  catalogBooks = [];
+  selected.clear();
+  selectedEntries.clear();
+  adminPanel.style.display = "none";
+  signinForm.style.display = "block";
+});
+
+document.getElementById("refresh-btn").addEventListener("click", loadOrders);
+
+function loadOrders() {
+  Promise.all([
+    adminPost({ action: "listOrders" }),
+    adminPost({ action: "listPayments" }),
+    adminPost({ action: "listWaitlist" }),
+    adminPost({ action: "listBooks" })
+  ])
+    .then(([orderData, paymentData, waitlistData, bookData]) => {
+      orders = orderData;
+      payments = paymentData;
+      waitlist = waitlistData;
+      catalogBooks = loadCatalog(bookData).books;
+      selected.clear();
+      selectedEntries.clear();
+      signinForm.style.display = "none";
+      adminPanel.style.display = "block";
+      populateFilters();
+      renderAdmin();
+    })
+    .catch(err => {
+      if (err.message === "Not authorized.") {
+        sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+      }
+      alert("Could not load orders: " + err.message);
+      console.error(err);
+    });
+}
+
+// Fill a filter dropdown with the distinct values found in the orders,
+// keeping the current choice if it still exists
+function fillFilter(select, allLabel, values, labelOf = v => v) {
+  const current = select.value;
+  select.innerHTML = `<option value="">${allLabel}</option>`;
+  values.forEach(v => {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = labelOf(v);
+    select.appendChild(opt);
+  });
+  select.value = values.includes(current) ? current : "";
+}
+
+function populateFilters() {
+  const distinct = key => [...new Set(orders.map(o => o[key]))].sort();
+  fillFilter(locationFilter, "All locations", distinct("pickup"));
+  fillFilter(dateFilter, "All pick-up dates", distinct("pickupdate"));
+  fillFilter(statusFilter, "All statuses", Object.keys(STATUS_LABELS), s => STATUS_LABELS[s]);
+  fillLocationChecks();
+}
+
+// One checkbox per pickup location for the purchase order, keeping ticks
+function fillLocationChecks() {
+  const ticked = new Set(poLocationValues());
+  poLocations.innerHTML = "";
+  [...new Set(orders.map(o => o.pickup))].sort().forEach(loc => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = loc;
+    box.checked = ticked.has(loc);
+    box.addEventListener("change", renderPurchaseOrder);
+    label.append(box, " " + loc);
+    poLocations.appendChild(label);
+  });
+}
+
+function poLocationValues() {
+  return [...poLocations.querySelectorAll("input:checked")].map(box => box.value);
+}
+
+[locationFilter, dateFilter, statusFilter].forEach(select => {
+  select.addEventListener("change", renderAdmin);
+});
+
+function filteredOrders() {
+  return orders.filter(o =>
+    (!locationFilter.value || o.pickup === locationFilter.value) &&
+    (!dateFilter.value || o.pickupdate === dateFilter.value) &&
+    (!statusFilter.value || o.status === statusFilter.value)
+  );
+}
+
+function renderAdmin() {
+  renderOrdersTable();
+  renderPackingList();
+  renderReconciliation();
+  renderPurchaseOrder();
+  renderWaitlist();
+}
+
+function renderOrdersTable() {
+  const visible = filteredOrders();
+  if (visible.length === 0) {
+    ordersTable.innerHTML = "<p>No orders match these filters.</p>";
+    return;
+  }
+
+  const allChecked = visible.every(o => selected.has(o.orderId)) ? "checked" : "";
+  let html = `
+    <table>
+      <tr>
+        <th><input type="checkbox" ${allChecked} onchange="toggleAll(this.checked)"></th>
+        <th>Order ID</th>
+        <th>Name</th>
+        <th>Contact</th>
+        <th>Pick-up</th>
+        <th>Date</th>
+        <th>Items</th>
+        <th>Total</th>
+        <th>Status</th>
+      </tr>
+  `;
+
+  visible.forEach(o => {
+    const checked = selected.has(o.orderId) ? "checked" : "";
+    const items = o.items
+      .map((i, line) => {
+        const notes = [i.bundle && `from ${i.bundle.title}`, i.person && `for ${i.person}`].filter(Boolean);
+        const released = (o.released || []).some(r => r.line === line) ? " ✓" : "";
+        const small = notes.length ? ` <small>(${escapeHTML(notes.join(", "))})</small>` : "";
+        return `${i.quantity}× ${escapeHTML(i.title)}${small}${released}`;
+      })
+      .join("<br>");
+    html += `
+      <tr>
+        <td><input type="checkbox" ${checked} onchange="toggleSelected('${escapeHTML(o.orderId)}', this.checked)"></td>
+        <td>${escapeHTML(o.orderId)}</td>
+        <td>${escapeHTML(o.fullname)}${o.fb ? `<br><small>FB: ${escapeHTML(o.fb)}</small>` : ""}</td>
+        <td>${escapeHTML(o.contact)}<br><small>${escapeHTML(o.email)}</small>${languageNote(o)}</td>
+        <td>${escapeHTML(o.pickup)}</td>
+        <td>${escapeHTML(o.pickupdate)}</td>
+        <td class="items-cell">${items}</td>
+        <td>₱${escapeHTML(o.total)}</td>
+        <td>${escapeHTML(STATUS_LABELS[o.status] || o.status)}${changedNote(o)}</td>
+      </tr>
+    `;
+  });
+
+  html += `</table><p>${selected.size} selected</p>`;
+  ordersTable.innerHTML = html;
+}
+
+// The customer's language when it is not English, so follow-ups use it
+function languageNote(order) {
+  const lang = normalizeLanguage(order.lang);
+  return lang === DEFAULT_LANGUAGE ? "" : `<br><small>Prefers ${LANGUAGES[lang].label}</small>`;
+}
+
+// "changed by customer" under the status, the changes in its tooltip
+function changedNote(order) {
+  const history = order.history || [];
+  if (history.length === 0) return "";
+  const lines = history.map(h => `${h.at.slice(0, 10)}: ${h.changes.join("; ")}`).join("\n");
+  return `<br><small title="${escapeHTML(lines)}">changed by customer (${history.length})</small>`;
+}
+
+function toggleSelected(orderId, checked) {
+  if (checked) selected.add(orderId);
+  else selected.delete(orderId);
+  renderOrdersTable();
+}
+
+function toggleAll(checked) {
+  filteredOrders().forEach(o => {
+    if (checked) selected.add(o.orderId);
+    else selected.delete(o.orderId);
+  });
+  renderOrdersTable();
+}
+
+// Bulk status buttons
+document.querySelectorAll(".bulk-actions button").forEach(btn => {
+  btn.addEventListener("click", () => {
+    if (selected.size === 0) {
+      alert("Select at least one order first.");
+      return;
+    }
+    const status = btn.dataset.status;
+    adminPost({ action: "updateStatus", orderIds: [...selected], status })
+      .then(() => {
+        orders.forEach(o => {
+          if (selected.has(o.orderId)) o.status = status;
+        });
+        selected.clear();
+        renderAdmin();
+      })
+      .catch(err => {
+        alert("Could not update orders: " + err.message);
+        console.error(err);
+      });
+  });
+});
+
+// Sum book quantities per location for the chosen pickup day, skipping
+// cancelled orders
+function renderPackingList() {
+  const date = dateFilter.value;
+  if (!date) {
+    packingList.innerHTML = "<p>Choose a pick-up date to see what to pack.</p>";
+    return;
+  }
+
+  const byLocation = {};
+  orders
+    .filter(o => o.pickupdate === date && o.status !== "cancelled")
+    .filter(o => !locationFilter.value || o.pickup === locationFilter.value)
+    .forEach(o => {
+      const titles = byLocation[o.pickup] = byLocation[o.pickup] || {};
+      o.items.forEach(i => {
+        titles[i.title] = (titles[i.title] || 0) + i.quantity;
+      });
+    });
+
+  const locations = Object.keys(byLocation).sort();
+  if (locations.length === 0) {
+    packingList.innerHTML = "<p>Nothing to pack for this date.</p>";
+    return;
+  }
+
+  packingList.innerHTML = locations.map(loc => {
+    const rows = Object.entries(byLocation[loc])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([title, qty]) => `<tr><td>${escapeHTML(title)}</td><td>${qty}</td></tr>`)
+      .join("");
+    return `
+      <h4>${escapeHTML(loc)} – ${escapeHTML(date)}</h4>
+      <table>
+        <tr><th>Title</th><th>Qty</th></tr>
+        ${rows}
+      </table>
+    `;
+  }).join("");
+}
+
+// Match recorded payments to the filtered orders. Flags orders paid short of
+// (or over) their total, and any reference number used more than once.
+function renderReconciliation() {
+  const refCounts = {};
+  payments.forEach(p => {
+    const ref = p.wallet + ":" + p.reference;
+    refCounts[ref] = (refCounts[ref] || 0) + 1;
+  });
+
+  const rows = filteredOrders()
+    .filter(o => o.status !== "cancelled")
+    .map(o => ({ order: o, paid: payments.filter(p => p.orderId === o.orderId) }))
+    .filter(r => r.paid.length > 0);
+
+  if (rows.length === 0) {
+    reconciliation.innerHTML = "<p>No payments recorded for these orders.</p>";
+    return;
+  }
+
+  let html = `
+    <table>
+      <tr>
+        <th>Order ID</th>
+        <th>Name</th>
+        <th>Expected</th>
+        <th>Paid</th>
+        <th>References</th>
+        <th>Flags</th>
+      </tr>
+  `;
+
+  rows.forEach(({ order, paid }) => {
+    const amount = paid.reduce((sum, p) => sum + Number(p.amount), 0);
+    const flags = [];
+    if (amount < order.total) flags.push(`Underpaid by ₱${order.total - amount}`);
+    if (amount > order.total) flags.push(`Overpaid by ₱${amount - order.total}`);
+
+    const refs = paid.map(p => {
+      const duplicate = refCounts[p.wallet + ":" + p.reference] > 1;
+      if (duplicate) flags.push(`Duplicate reference ${p.reference}`);
+      const receipt = /^https?:\/\//.test(p.receiptUrl)
+        ? ` <a href="${escapeHTML(p.receiptUrl)}" target="_blank" rel="noopener">receipt</a>`
+        : "";
+      const wallet = WALLETS[p.wallet] ? WALLETS[p.wallet].label : p.wallet;
+      return `${escapeHTML(`${wallet} ${p.reference} (₱${p.amount})`)}${receipt}`;
+    });
+
+    html += `
+      <tr class="${flags.length ? "flagged" : ""}">
+        <td>${escapeHTML(order.orderId)}</td>
+        <td>${escapeHTML(order.fullname)}</td>
+        <td>₱${escapeHTML(order.total)}</td>
+        <td>₱${amount}</td>
+        <td class="items-cell">${refs.join("<br>")}</td>
+        <td class="items-cell">${flags.map(escapeHTML).join("<br>") || "OK"}</td>
+      </tr>
+    `;
+  });
+
+  html += "</table>";
+  reconciliation.innerHTML = html;
+}
+
+// ---------- Purchase order
+// Built from every order in the chosen pickup dates and locations (none
+// ticked means all), not from the filters above.
+
+function currentPurchaseOrder() {
+  return purchaseOrder(orders, catalogBooks, { from: poFrom.value, to: poTo.value, locations: poLocationValues() });
+}
+
+[poFrom, poTo].forEach(input => input.addEventListener("change", renderPurchaseOrder));
+
+// Tables per publisher, shared by the page and the printable copy
+function purchaseOrderHTML(po) {
+  if (po.publishers.length === 0) return "<p>No orders for these dates and locations.</p>";
+  const money = n => (n == null ? "—" : `₱${n}`);
+  const sections = po.publishers.map(p => {
+    const rows = p.lines.map(l => `
+      <tr>
+        <td>${escapeHTML(l.title)}</td>
+        <td>${l.ordered}</td>
+        <td>${l.onHand}</td>
+        <td><b>${l.toOrder}</b></td>
+        <td>${money(l.unitCost)}</td>
+        <td>${money(l.lineCost)}</td>
+      </tr>
+    `).join("");
+    return `
+      <h4>${escapeHTML(p.publisher)}</h4>
+      <table>
+        <tr><th>Title</th><th>Ordered</th><th>On hand</th><th>To buy</th><th>Unit cost</th><th>Cost</th></tr>
+        ${rows}
+        <tr><td colspan="5">Subtotal</td><td>₱${p.cost}</td></tr>
+      </table>
+    `;
+  }).join("");
+  const unpriced = po.unpriced ? ` (${po.unpriced} title(s) have no supplier cost yet)` : "";
+  return `${sections}<p><b>Total cost: ₱${po.cost}</b>${unpriced}</p>`;
+}
+
+function renderPurchaseOrder() {
+  purchaseOrderBox.innerHTML = purchaseOrderHTML(currentPurchaseOrder());
+}
+
+document.getElementById("po-csv-btn").addEventListener("click", () => {
+  const blob = new Blob([purchaseOrderCSV(currentPurchaseOrder())], { type: "text/csv" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `purchase-order-${todayString()}.csv`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+// A printable copy in its own window; the browser's print dialog saves it as PDF
+document.getElementById("po-print-btn").addEventListener("click", () => {
+  const locations = poLocationValues();
+  const win = window.open("", "_blank");
+  if (!win) {
+    alert("Allow pop-ups for this page to print the purchase order.");
+    return;
+  }
+  win.document.write(`
+    <html>
+    <head><title>Purchase Order ${todayString()}</title><link rel="stylesheet" href="style.css"></head>
+    <body class="po-print">
+      <h2>Purchase Order – ${todayString()}</h2>
+      <p>Pick-ups ${poFrom.value || "from the start"} to ${poTo.value || "the end"}${locations.length ? ` at ${escapeHTML(locations.join(", "))}` : ", all locations"}</p>
+      ${purchaseOrderHTML(currentPurchaseOrder())}
+    </body>
+    </html>
+  `);
+  win.document.close();
+  win.onload = () => win.print();
+});
+
+// Waitlist entries at the filtered location, oldest first (the order they
+// convert in)
+function filteredWaitlist() {
+  return waitlist
+    .filter(w => !locationFilter.value || w.pickup === locationFilter.value)
+    .filter(w => !waitingOnly.checked || w.status === "waiting")
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+waitingOnly.addEventListener("change", renderWaitlist);
+
+function renderWaitlist() {
+  const visible = filteredWaitlist();
+  if (visible.length === 0) {
+    waitlistTable.innerHTML = "<p>No one is on the waitlist.</p>";
+    return;
+  }
+
+  const waiting = visible.filter(w => w.status === "waiting");
+  const allChecked = waiting.length && waiting.every(w => selectedEntries.has(w.id)) ? "checked" : "";
+  let html = `
+    <table>
+      <tr>
+        <th><input type="checkbox" ${allChecked} onchange="toggleAllEntries(this.checked)"></th>
+        <th>Joined</th>
+        <th>Title</th>
+        <th>Name</th>
+        <th>Contact</th>
+        <th>Pick-up</th>
+        <th>Qty</th>
+        <th>Status</th>
+      </tr>
+  `;
+
+  visible.forEach(w => {
+    // Converted entries already have an order and cannot be picked again
+    const box = w.status === "waiting"
+      ? `<input type="checkbox" ${selectedEntries.has(w.id) ? "checked" : ""} onchange="toggleEntry('${escapeHTML(w.id)}', this.checked)">`
+      : "";
+    html += `
+      <tr>
+        <td>${box}</td>
+        <td>${escapeHTML(String(w.timestamp).slice(0, 10))}</td>
+        <td>${escapeHTML(w.title)}</td>
+        <td>${escapeHTML(w.fullname)}</td>
+        <td>${escapeHTML(w.contact)}<br><small>${escapeHTML(w.email)}</small></td>
+        <td>${escapeHTML(w.pickup)}</td>
+        <td>${escapeHTML(w.quantity)}</td>
+        <td>${w.status === "converted" ? `Draft order ${escapeHTML(w.orderId)}` : "Waiting"}</td>
+      </tr>
+    `;
+  });
+
+  html += `</table><p>${selectedEntries.size} selected</p>`;
+  waitlistTable.innerHTML = html;
+}
+
+function toggleEntry(id, checked) {
+  if (checked) selectedEntries.add(id);
+  else selectedEntries.delete(id);
+  renderWaitlist();
+}
+
+function toggleAllEntries(checked) {
+  filteredWaitlist().filter(w => w.status === "waiting").forEach(w => {
+    if (checked) selectedEntries.add(w.id);
+    else selectedEntries.delete(w.id);
+  });
+  renderWaitlist();
+}
+
+// Each selected entry becomes a draft order for the first open pickup date
+// at its location. Entries the backend skips stay on the waitlist.
+document.getElementById("convert-waitlist-btn").addEventListener("click", () => {
+  if (selectedEntries.size === 0) {
+    alert("Select at least one waitlist entry first.");
+    return;
+  }
+  adminPost({ action: "convertWaitlist", entryIds: [...selectedEntries] })
+    .then(result => {
+      const lines = [`${result.converted.length} draft order(s) created.`];
+      result.skipped.forEach(s => lines.push(`${s.id} skipped: ${s.reason}`));
+      alert(lines.join("\n"));
+      loadOrders();
+    })
+    .catch(err => {
+      alert("Could not convert the waitlist: " + err.message);
+      console.error(err);
+    });
+});
+
+// Download the entries shown as a CSV file
+document.getElementById("export-waitlist-btn").addEventListener("click", () => {
+  const columns = ["id", "timestamp", "bookId", "title", "fullname", "email", "contact", "pickup", "quantity", "status", "orderId"];
+  const rows = filteredWaitlist().map(w => columns.map(c => w[c]));
+  const blob = new Blob([toCSV([columns, ...rows])], { type: "text/csv" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `waitlist-${todayString()}.csv`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+// Resume a session from this tab
+if (sessionStorage.getItem(ADMIN_KEY_STORAGE)) {
+  loadOrders();
+}
@@ -0,0 +1,561 @@
+// Order backends. The pages never call fetch(API_URL) directly; each one
+// calls createBackend(BACKEND) (see config.js) and uses what it returns:
+//
+//   appsScriptBackend(url)        the Google Apps Script web app (Code.gs)
+//   restBackend(baseUrl)          any server speaking the REST routes below,
+//                                 e.g. mock-server.js
+//   mockBackend(fixtures, store)  in-memory, seeded from fixtures/demo.json
+//
+// Every backend has the same methods. Each resolves with the parsed JSON
+// reply, which carries { error } when the request was refused, and rejects
+// only when the backend could not be reached (the outbox relies on this):
+//
+//   fetchCatalog(since)                 catalog feed, or { notModified } when its version is since (see catalog.js)
+//   fetchPickups()                      pickup locations (see schedule.js)
+//   fetchPromo(code)                    one promo (see pricing.js)
+//   submitOrder(order)                  priced order { orderId, manageToken, items, discount, promoCode, total },
+//                                       or { error, fields } for customer details that fail validation.js;
+//                                       order.lang picks the language of those messages (see i18n.js) and
+//                                       of the confirmation email the backend sends (see receipt.js)
+//   lookupOrder(orderId, email)         one order, for the tracking page
+//   manageOrder(orderId, token)         one order with its lines and edit deadline (see manage.js)
+//   changeOrder(orderId, token, changes) re-price with new { items, pickup, pickupdate }
+//   cancelOrder(orderId, token)         cancel before the edit deadline
+//   addPayment(orderId, email, payment) record a payment against an order
+//   joinWaitlist(entry)                 waitlist a title that cannot be ordered (see waitlist.js)
+//   admin(action, body)                 admin console actions; body carries adminKey
+//   checkin(action, body)               pickup-day check-in actions (see release.js); body carries
+//                                       checkinKey, which may also be the admin key
+
+// Node and bundlers require the shared rule files; browsers load them as globals
+const rules = typeof require === "function"
+  ? {
+      ...require("./catalog"), ...require("./pricing"), ...require("./schedule"), ...require("./payment"),
+      ...require("./waitlist"), ...require("./manage"), ...require("./validation"), ...require("./i18n"),
+      ...require("./release"), ...require("./receipt")
+    }
+  : globalThis;
+
+function postJSON(url, body) {
+  return fetch(url, {
+    method: "POST",
+    body: JSON.stringify(body),
+    headers: { "Content-Type": "application/json" }
+  }).then(res => res.json());
+}
+
+function getJSON(url) {
+  return fetch(url).then(res => res.json());
+}
+
+function appsScriptBackend(url) {
+  const get = params => getJSON(params ? url + "?" + new URLSearchParams(params) : url);
+  return {
+    fetchCatalog: since => get(since ? { since } : null),
+    fetchPickups: () => get({ action: "pickups" }),
+    fetchPromo: code => get({ action: "promo", code }),
+    submitOrder: order => postJSON(url, order),
+    lookupOrder: (orderId, email) => get({ action: "order", orderId, email }),
+    manageOrder: (orderId, token) => get({ action: "manage", orderId, token }),
+    changeOrder: (orderId, token, changes) => postJSON(url, { ...changes, action: "changeOrder", orderId, token }),
+    cancelOrder: (orderId, token) => postJSON(url, { action: "cancelOrder", orderId, token }),
+    addPayment: (orderId, email, payment) => postJSON(url, { action: "addPayment", orderId, email, payment }),
+    joinWaitlist: entry => postJSON(url, { ...entry, action: "joinWaitlist" }),
+    admin: (action, body) => postJSON(url, { ...body, action }),
+    checkin: (action, body) => postJSON(url, { ...body, action })
+  };
+}
+
+// GET  /catalog?since=…         POST /orders
+// GET  /pickups                 GET  /orders/:orderId?email=…
+// GET  /promos/:code            POST /orders/:orderId/payments  { email, payment }
+//                               GET  /orders/:orderId/manage?token=…
+//                               POST /orders/:orderId/changes   { token, items, pickup, pickupdate }
+//                               POST /orders/:orderId/cancel    { token }
+//                               POST /waitlist
+//                               POST /admin/:action
+//                               POST /checkin/:action
+function restBackend(baseUrl) {
+  const base = baseUrl.replace(/\/$/, "");
+  const enc = encodeURIComponent;
+  return {
+    fetchCatalog: since => getJSON(`${base}/catalog${since ? `?since=${enc(since)}` : ""}`),
+    fetchPickups: () => getJSON(`${base}/pickups`),
+    fetchPromo: code => getJSON(`${base}/promos/${enc(code)}`),
+    submitOrder: order => postJSON(`${base}/orders`, order),
+    lookupOrder: (orderId, email) => getJSON(`${base}/orders/${enc(orderId)}?email=${enc(email)}`),
+    manageOrder: (orderId, token) => getJSON(`${base}/orders/${enc(orderId)}/manage?token=${enc(token)}`),
+    changeOrder: (orderId, token, changes) => postJSON(`${base}/orders/${enc(orderId)}/changes`, { ...changes, token }),
+    cancelOrder: (orderId, token) => postJSON(`${base}/orders/${enc(orderId)}/cancel`, { token }),
+    addPayment: (orderId, email, payment) => postJSON(`${base}/orders/${enc(orderId)}/payments`, { email, payment }),
+    joinWaitlist: entry => postJSON(`${base}/waitlist`, entry),
+    admin: (action, body) => postJSON(`${base}/admin/${enc(action)}`, body),
+    checkin: (action, body) => postJSON(`${base}/checkin/${enc(action)}`, body)
+  };
+}
+
+// In-memory stand-in for Code.gs, for demos without connectivity and for
+// testing checkout locally. `fixtures` may be a promise; `store` is an
+// optional localStorage-like object that keeps orders across reloads.
+// Confirmation emails go out only when the options name a `mailer` with a
+// send(message) method (see mailer.js); `storefrontUrl` makes their links
+// absolute.
+function mockBackend(fixtures, store, { mailer, storefrontUrl = "" } = {}) {
+  const STORE_KEY = "preorder-mock-backend";
+
+  const ready = Promise.resolve(fixtures).then(f => {
+    const saved = store && store.getItem(STORE_KEY);
+    // Saved state from before the waitlist or check-in has none
+    if (saved) return { waitlist: [], checkinKey: f.checkinKey, ...JSON.parse(saved) };
+    return {
+      adminKey: f.adminKey,
+      checkinKey: f.checkinKey,
+      books: rules.loadCatalog(f.catalog).books,
+      pickups: f.pickups,
+      promos: f.promos,
+      orders: [],
+      payments: [],
+      waitlist: []
+    };
+  });
+
+  // Run fn against the state, persist it, and hand back a copy as a
+  // network reply would be
+  const call = fn => (...args) => ready.then(state => {
+    let result;
+    try {
+      result = fn(state, ...args);
+    } catch (err) {
+      result = { error: err.message, lines: err.lines, fields: err.fields };
+    }
+    if (store) store.setItem(STORE_KEY, JSON.stringify(state));
+    return JSON.parse(JSON.stringify(result));
+  });
+
+  const findPromo = (state, code) =>
+    state.promos.find(p => rules.normalizeCode(p.code) === rules.normalizeCode(code)) || null;
+
+  const findOrder = (state, orderId, email) => {
+    const order = state.orders.find(o =>
+      o.orderId === String(orderId || "").trim().toUpperCase() &&
+      o.email.trim().toLowerCase() === String(email || "").trim().toLowerCase()
+    );
+    if (!order) throw new Error("No order found with that Order ID and email.");
+    return order;
+  };
+
+  // Orders saved before manage links have no history
+  const customerView = order => {
+    const { fullname, email, contact, fb, key, manageToken, lang, released, ...view } = order;
+    return { ...view, history: view.history || [] };
+  };
+
+  const checkCustomer = (order, lang) => {
+    const { customer, fields } = rules.validateCustomer(order, lang);
+    if (Object.keys(fields).length) {
+      const err = new Error(rules.fieldsErrorMessage(fields, lang));
+      err.fields = fields;
+      throw err;
+    }
+    return customer;
+  };
+
+  const checkPayment = (payment, lang) => {
+    const error = rules.paymentError(payment, lang);
+    if (error) throw new Error(error);
+  };
+
+  const recordPayment = (state, orderId, payment) => {
+    state.payments.push({
+      orderId,
+      timestamp: new Date().toISOString(),
+      wallet: payment.wallet,
+      reference: rules.normalizeReference(payment.reference),
+      amount: Number(payment.amount),
+      receiptUrl: ""
+    });
+  };
+
+  // Mirrors priceOrder in Code.gs
+  const priceOrder = (state, items, promoCode, promoCounted = false, lang) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error(rules.t(lang, "order.noItems"));
+    }
+    const lines = rules.mergeOrderLines(items).map(line => {
+      const book = state.books.find(b => b.id === line.id);
+      if (!book) throw new Error(rules.t(lang, "book.unknown", { id: line.id }));
+      const unavailable = rules.statusError(book, lang);
+      if (unavailable) throw new Error(unavailable);
+      const invalid = rules.quantityError(line.quantity, lang);
+      if (invalid) throw new Error(book.title + ": " + invalid);
+      return { book, quantity: line.quantity, person: line.person };
+    });
+
+    let promo = null;
+    if (rules.normalizeCode(promoCode)) {
+      promo = findPromo(state, promoCode);
+      if (promo && promoCounted) promo = { ...promo, expires: "", usageLimit: 0 };
+      const error = rules.promoError(promo, lines, rules.todayString(), lang);
+      if (error) throw new Error(error);
+    }
+
+    const bookOf = id => state.books.find(b => b.id === id);
+    const priced = rules.priceCart(lines, promo, rules.todayString());
+    return {
+      items: lines.flatMap(({ book, quantity, person }) => {
+        const forPerson = person ? { person } : {};
+        // Saved mock state from before editions has no components
+        const parts = book.components || [];
+        if (parts.length === 0) {
+          return [{
+            id: book.id,
+            title: rules.editionTitle(book),
+            author: book.author,
+            quantity,
+            unitPrice: rules.unitPrice(book),
+            lineTotal: rules.unitPrice(book) * quantity,
+            ...forPerson
+          }];
+        }
+        const components = parts.map(c => ({ book: bookOf(c.id), quantity: c.quantity }));
+        return rules.bundleLines(book, quantity, components).map(line => ({
+          id: line.book.id,
+          title: rules.editionTitle(line.book),
+          author: line.book.author,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          lineTotal: line.lineTotal,
+          bundle: { id: book.id, title: rules.editionTitle(book) },
+          ...forPerson
+        }));
+      }),
+      // Stock is held per ordered edition or bundle, not per component
+      reserve: rules.quantitiesByBook(lines.map(l => ({ id: l.book.id, title: rules.editionTitle(l.book), quantity: l.quantity }))),
+      discount: priced.discount,
+      promoCode: promo ? promo.code : "",
+      total: priced.total
+    };
+  };
+
+  // Mirrors reserveStock in Code.gs: release is handed back first
+  const reserveStock = (state, items, release = [], lang) => {
+    const reserved = {};
+    state.books.forEach(b => { reserved[b.id] = b.reserved; });
+    release.forEach(item => {
+      const book = state.books.find(b => b.id === item.id);
+      if (book && book.cap != null) reserved[book.id] = Math.max(0, reserved[book.id] - item.quantity);
+    });
+
+    const shortages = [];
+    items.forEach(item => {
+      const book = state.books.find(b => b.id === item.id);
+      if (book.cap == null) return;
+      const available = Math.max(0, book.cap - reserved[book.id]);
+      if (item.quantity > available) {
+        shortages.push({ id: item.id, title: item.title, requested: item.quantity, available });
+      } else {
+        reserved[book.id] += item.quantity;
+      }
+    });
+    if (shortages.length) {
+      const err = new Error(rules.t(lang, "stock.short", { titles: shortages.map(s => s.title).join(", ") }));
+      err.lines = shortages;
+      throw err;
+    }
+    state.books.forEach(b => { b.reserved = reserved[b.id]; });
+  };
+
+  const newToken = () => (typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Date.now().toString(36) + Math.random().toString(36).slice(2));
+
+  // Mirrors placeOrder in Code.gs
+  const placeOrder = (state, order, status = "pending_payment") => {
+    const existing = order.key && state.orders.find(o => o.key === order.key);
+    if (existing) return { ...customerView(existing), manageToken: existing.manageToken };
+
+    const lang = rules.normalizeLanguage(order.lang);
+    const customer = status === "draft" ? order : checkCustomer(order, lang);
+    const loc = state.pickups.find(l => l.location === order.pickup);
+    if (!loc) throw new Error(rules.t(lang, "pickup.unknown", { location: order.pickup }));
+    const dateError = rules.pickupDateError(loc, order.pickupdate, rules.todayString(), lang);
+    if (dateError) throw new Error(dateError);
+    if (order.payment) checkPayment(order.payment, lang);
+
+    const priced = priceOrder(state, order.items, order.promoCode, false, lang);
+    reserveStock(state, priced.reserve, [], lang);
+    const saved = {
+      orderId: "PO-" + (Date.now() + state.orders.length).toString(36).toUpperCase(),
+      createdAt: new Date().toISOString(),
+      fullname: customer.fullname,
+      email: customer.email,
+      contact: customer.contact,
+      fb: customer.fb,
+      pickup: order.pickup,
+      pickupdate: order.pickupdate,
+      items: priced.items,
+      discount: priced.discount,
+      promoCode: priced.promoCode,
+      total: priced.total,
+      key: order.key || "",
+      status,
+      manageToken: newToken(),
+      history: [],
+      lang,
+      released: []
+    };
+    state.orders.push(saved);
+    if (order.payment) recordPayment(state, saved.orderId, order.payment);
+    if (priced.promoCode) {
+      const promo = findPromo(state, priced.promoCode);
+      promo.used = Number(promo.used || 0) + 1;
+    }
+    if (status !== "draft" && mailer && saved.email) {
+      // Sent after replying; a failure is logged and the order stands
+      const message = rules.confirmationEmail(
+        { ...saved, paymentSent: Boolean(order.payment) }, { lang, storefrontUrl });
+      Promise.resolve()
+        .then(() => mailer.send(message))
+        .catch(err => console.error("Confirmation email failed for " + saved.orderId + ": " + err.message));
+    }
+
+    return { ...customerView(saved), manageToken: saved.manageToken };
+  };
+
+  // Mirrors the manage-link functions in Code.gs
+  // In English, like the manage page (track.js); there is no order yet to
+  // take a language from
+  const findManagedOrder = (state, orderId, token) => {
+    const order = state.orders.find(o =>
+      o.orderId === String(orderId || "").trim().toUpperCase() &&
+      o.manageToken && o.manageToken === String(token || "")
+    );
+    if (!order) throw new Error(rules.t("en", "manage.invalidLink"));
+    return order;
+  };
+
+  const manageView = (state, order) => {
+    const loc = state.pickups.find(l => l.location === order.pickup);
+    return {
+      ...customerView(order),
+      email: order.email,
+      released: order.released || [],
+      lines: rules.orderedLines(order.items, state.books),
+      editableUntil: rules.editDeadline(loc, order.pickupdate)
+    };
+  };
+
+  const checkChangeable = (state, order) => {
+    const loc = state.pickups.find(l => l.location === order.pickup);
+    const error = rules.orderChangeError(order, loc, rules.todayString(), order.lang);
+    if (error) throw new Error(error);
+  };
+
+  const changeOrder = (state, orderId, token, changes) => {
+    const order = findManagedOrder(state, orderId, token);
+    checkChangeable(state, order);
+
+    const before = {
+      lines: rules.orderedLines(order.items, state.books),
+      pickup: order.pickup,
+      pickupdate: order.pickupdate,
+      total: order.total
+    };
+    const pickup = changes.pickup || order.pickup;
+    const pickupdate = changes.pickupdate || order.pickupdate;
+    if (pickup !== order.pickup || pickupdate !== order.pickupdate) {
+      const loc = state.pickups.find(l => l.location === pickup);
+      if (!loc) throw new Error(rules.t(order.lang, "pickup.unknown", { location: pickup }));
+      const dateError = rules.pickupDateError(loc, pickupdate, rules.todayString(), order.lang);
+      if (dateError) throw new Error(dateError);
+    }
+
+    const priced = priceOrder(state, Array.isArray(changes.items) ? changes.items : before.lines, order.promoCode, true, order.lang);
+    const after = { lines: rules.orderedLines(priced.items, state.books), pickup, pickupdate, total: priced.total };
+    const described = rules.describeChanges(before, after, state.books);
+    if (described.length === 0) throw new Error(rules.t(order.lang, "manage.unchanged"));
+
+    reserveStock(state, priced.reserve, before.lines, order.lang);
+    Object.assign(order, {
+      pickup,
+      pickupdate,
+      items: priced.items,
+      total: priced.total,
+      discount: priced.discount,
+      history: [...(order.history || []), { at: new Date().toISOString(), action: "changed", changes: described }]
+    });
+    return manageView(state, order);
+  };
+
+  const cancelOrder = (state, orderId, token) => {
+    const order = findManagedOrder(state, orderId, token);
+    checkChangeable(state, order);
+
+    reserveStock(state, [], rules.orderedLines(order.items, state.books));
+    const promo = order.promoCode && findPromo(state, order.promoCode);
+    if (promo) promo.used = Math.max(0, Number(promo.used || 0) - 1);
+    order.status = "cancelled";
+    order.history = [...(order.history || []), { at: new Date().toISOString(), action: "cancelled", changes: ["Cancelled by the customer"] }];
+    return manageView(state, order);
+  };
+
+  const adminActions = {
+    listOrders: state => state.orders.map(({ key, manageToken, ...order }) => ({
+      ...order,
+      history: order.history || [],
+      released: order.released || []
+    })),
+    listPayments: state => state.payments,
+    updateStatus: (state, body) => {
+      if (!["pending_payment", "paid", "ready", "picked_up"].includes(body.status)) {
+        throw new Error("Invalid status: " + body.status);
+      }
+      const matched = state.orders.filter(o => (body.orderIds || []).includes(o.orderId));
+      const cancelled = matched.filter(o => o.status === "cancelled").map(o => o.orderId);
+      if (cancelled.length) throw new Error("Cancelled orders cannot be reopened: " + cancelled.join(", ") + ".");
+      matched.forEach(o => { o.status = body.status; });
+      return { updated: matched.length };
+    },
+    listWaitlist: state => state.waitlist,
+    listBooks: state => rules.loadCatalog(state.books),
+    // Mirrors convertWaitlist in Code.gs
+    convertWaitlist: (state, body) => {
+      if (!Array.isArray(body.entryIds)) throw new Error("No waitlist entries selected.");
+      const converted = [];
+      const skipped = [];
+      rules.entriesToConvert(state.waitlist, body.entryIds).forEach(entry => {
+        const loc = state.pickups.find(l => l.location === entry.pickup);
+        const pickupdate = loc ? rules.upcomingPickupDates(loc, rules.todayString(), 1)[0] : "";
+        try {
+          if (!pickupdate) throw new Error("No upcoming pick-up date at " + entry.pickup + ".");
+          const order = placeOrder(state, {
+            fullname: entry.fullname,
+            email: entry.email,
+            contact: entry.contact,
+            fb: "",
+            pickup: entry.pickup,
+            pickupdate,
+            items: [{ id: entry.bookId, quantity: entry.quantity }],
+            key: "waitlist:" + entry.id
+          }, "draft");
+          entry.status = "converted";
+          entry.orderId = order.orderId;
+          converted.push({ id: entry.id, orderId: order.orderId });
+        } catch (err) {
+          skipped.push({ id: entry.id, reason: err.message });
+        }
+      });
+      return { converted, skipped };
+    }
+  };
+
+  // Mirrors the check-in functions in Code.gs
+  const checkinActions = {
+    checkinOrders: (state, body) => state.orders
+      .filter(o => o.pickup === body.pickup && o.pickupdate === body.pickupdate && o.status !== "cancelled")
+      .map(o => ({
+        ...customerView(o),
+        fullname: o.fullname,
+        fb: o.fb,
+        contact: o.contact,
+        released: o.released || [],
+        ...rules.paymentSummary(o, state.payments)
+      }))
+      .sort((a, b) => a.fullname.localeCompare(b.fullname)),
+    releaseItems: (state, body) => {
+      if (!Array.isArray(body.releases)) throw new Error("No check-ins to sync.");
+      const synced = [];
+      const skipped = [];
+      body.releases.forEach(release => {
+        const order = state.orders.find(o => o.orderId === String(release.orderId || "").trim().toUpperCase());
+        try {
+          if (!order) throw new Error("Unknown order: " + release.orderId);
+          const error = rules.releaseError(order, release.lines);
+          if (error) throw new Error(error);
+          Object.assign(order, rules.applyRelease(order, release.lines, String(release.at || new Date().toISOString())));
+          synced.push({ id: release.id, orderId: order.orderId, released: order.released, status: order.status });
+        } catch (err) {
+          skipped.push({ id: release.id, orderId: release.orderId, reason: err.message });
+        }
+      });
+      return { synced, skipped };
+    }
+  };
+
+  // Mirrors CUSTOMER_ACTIONS.joinWaitlist in Code.gs
+  const joinWaitlist = (state, entry) => {
+    const book = state.books.find(b => b.id === String(entry.bookId));
+    const lang = rules.normalizeLanguage(entry.lang);
+    const error = rules.waitlistError(entry, book, state.pickups, lang);
+    if (error) throw new Error(error);
+    const { customer } = rules.validateCustomer(entry, lang);
+    const saved = {
+      id: "WL-" + (Date.now() + state.waitlist.length).toString(36).toUpperCase(),
+      timestamp: new Date().toISOString(),
+      bookId: book.id,
+      title: rules.editionTitle(book),
+      fullname: customer.fullname,
+      email: customer.email,
+      contact: customer.contact,
+      pickup: entry.pickup,
+      quantity: Number(entry.quantity),
+      status: "waiting",
+      orderId: ""
+    };
+    state.waitlist.push(saved);
+    return { id: saved.id };
+  };
+
+  return {
+    fetchCatalog: call((state, since) => rules.catalogReply(rules.loadCatalog(state.books), since)),
+    fetchPickups: call(state => state.pickups),
+    fetchPromo: call((state, code) => findPromo(state, code) || { error: "That promo code does not exist." }),
+    submitOrder: call(placeOrder),
+    lookupOrder: call((state, orderId, email) => customerView(findOrder(state, orderId, email))),
+    manageOrder: call((state, orderId, token) => manageView(state, findManagedOrder(state, orderId, token))),
+    changeOrder: call(changeOrder),
+    cancelOrder: call(cancelOrder),
+    addPayment: call((state, orderId, email, payment) => {
+      const order = findOrder(state, orderId, email);
+      checkPayment(payment);
+      recordPayment(state, order.orderId, payment);
+      return { orderId: order.orderId };
+    }),
+    joinWaitlist: call(joinWaitlist),
+    admin: call((state, action, body) => {
+      const handler = adminActions.hasOwnProperty(action) && adminActions[action];
+      if (!handler) throw new Error("Unknown action: " + action);
+      if (!body || body.adminKey !== state.adminKey) throw new Error("Not authorized.");
+      return handler(state, body);
+    }),
+    checkin: call((state, action, body) => {
+      const handler = checkinActions.hasOwnProperty(action) && checkinActions[action];
+      if (!handler) throw new Error("Unknown action: " + action);
+      const keys = [state.checkinKey, state.adminKey].filter(Boolean);
+      if (!body || !keys.includes(body.checkinKey)) throw new Error("Not authorized.");
+      return handler(state, body);
+    })
+  };
+}
+
+// Build the backend named by BACKEND in config.js. Adding ?backend=mock (or
+// =apps-script) to a page URL overrides it for that browser tab.
+function createBackend(config) {
+  let type = config.type;
+  if (typeof location !== "undefined" && typeof sessionStorage !== "undefined") {
+    const override = new URLSearchParams(location.search).get("backend");
+    if (override) sessionStorage.setItem("preorder-backend", override);
+    type = sessionStorage.getItem("preorder-backend") || type;
+  }
+
+  if (type === "rest") return restBackend(config.restUrl);
+  if (type === "mock") {
+    const fixtures = fetch(config.fixtures).then(res => res.json());
+    return mockBackend(fixtures, typeof localStorage !== "undefined" ? localStorage : null);
+  }
+  return appsScriptBackend(config.url);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { appsScriptBackend, restBackend, mockBackend, createBackend };
+}
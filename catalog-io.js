@@ -0,0 +1,218 @@
+// Catalog import and export for the Quick Add manager in App.jsx. Reads CSV
+// or JSON publisher lists, maps their columns onto the catalog schema (see
+// catalog.js) and writes the catalog back out as CSV with the Books sheet's
+// headers, in its column order, for pasting into the sheet that feeds
+// script.js. Plain script; module.exports at the bottom.
+
+const catalogIORules = typeof require === "function"
+  ? { ...require("./catalog"), ...require("./pricing") }
+  : globalThis;
+
+// Fields a column can be mapped to; discounted is the sheet's sale price
+const IMPORT_FIELDS = [
+  "id", "title", "author", "genre", "summary", "image", "price", "discounted", "discountPct", "cap", "addedAt",
+  "parentId", "variant", "components", "status", "publisher", "supplierCost", "onHand"
+];
+
+// Books sheet columns, in order (see Code.gs)
+const SHEET_COLUMNS = [
+  "id", "title", "author", "genre", "summary", "image", "price", "discounted", "retired", "cap", "reserved", "addedAt",
+  "parent", "variant", "components", "status", "publisher", "supplierCost", "onHand"
+];
+
+// Columns the backend owns: reserved counts copies in live orders and
+// retired is set in the sheet. Exports leave them out, since a snapshot
+// pasted back would undo reservations made since and un-retire rows.
+const SERVER_COLUMNS = ["reserved", "retired"];
+
+// Header spellings seen in publisher lists, folded to lowercase letters only
+const COLUMN_ALIASES = {
+  id: ["id", "bookid", "isbn", "sku", "code"],
+  title: ["title", "booktitle", "name"],
+  author: ["author", "authors", "writer", "by"],
+  genre: ["genre", "category", "type"],
+  summary: ["summary", "description", "highlights", "blurb"],
+  image: ["image", "imageurl", "cover", "coverurl", "photo"],
+  price: ["price", "srp", "pricephp", "listprice", "retailprice"],
+  discounted: ["discounted", "saleprice", "discountedprice", "promoprice"],
+  discountPct: ["discountpct", "discount", "discountpercent", "off"],
+  cap: ["cap", "stock", "allotment", "quantity", "qty", "copies"],
+  addedAt: ["addedat", "dateadded", "added", "listed"],
+  parentId: ["parentid", "parent", "editionof"],
+  variant: ["variant", "edition", "format", "binding"],
+  components: ["components", "bundle", "includes", "contents"],
+  status: ["status", "availability"],
+  publisher: ["publisher", "imprint", "publishedby"],
+  supplierCost: ["suppliercost", "cost", "unitcost", "netprice", "wholesaleprice", "dealerprice"],
+  onHand: ["onhand", "instock", "inventory", "stockonhand"]
+};
+
+// RFC 4180-style CSV: quoted fields, doubled quotes, CRLF or LF rows
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// { headers, rows } with rows as objects keyed by header, from CSV text or
+// JSON (a catalog feed, or any array of objects). Throws on unreadable input.
+function readImport(text, format) {
+  if (format === "json") {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : (data && data.books);
+    if (!Array.isArray(rows)) throw new Error("Expected a list of books or a catalog feed with a books array.");
+    const headers = [];
+    rows.forEach(r => Object.keys(r || {}).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    }));
+    return { headers, rows: rows.map(r => r || {}) };
+  }
+
+  const [headers = [], ...body] = parseCSV(text);
+  return {
+    headers: headers.map(h => h.trim()),
+    rows: body.map(cells => {
+      const row = {};
+      headers.forEach((h, i) => { row[h.trim()] = cells[i] === undefined ? "" : cells[i]; });
+      return row;
+    })
+  };
+}
+
+// Best guess of the field for each header ("" = ignore the column)
+function guessMapping(headers) {
+  const mapping = {};
+  const taken = new Set();
+  headers.forEach(header => {
+    const key = header.toLowerCase().replace(/[^a-z]/g, "");
+    const field = IMPORT_FIELDS.find(f => !taken.has(f) && COLUMN_ALIASES[f].includes(key));
+    mapping[header] = field || "";
+    if (field) taken.add(field);
+  });
+  return mapping;
+}
+
+function slugify(text) {
+  return String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+}
+
+// Readable id for a book without one, e.g. "the-purpose-driven-life",
+// suffixed "-2", "-3"… when taken
+function newBookId(title, taken) {
+  const base = slugify(title) || "book";
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Map imported rows onto the schema and validate them. `existing` are the
+// ids already in the catalog: rows carrying one of them replace that book.
+// Returns { books, errors } with errors numbered by source row.
+function applyMapping(rows, mapping, existing) {
+  const taken = new Set(existing || []);
+  const seen = new Set();
+  const books = [];
+  const errors = [];
+
+  rows.forEach((source, index) => {
+    const row = {};
+    Object.keys(mapping).forEach(header => {
+      if (mapping[header]) row[mapping[header]] = source[header];
+    });
+    if (!String(row.id || "").trim()) row.id = newBookId(row.title, new Set([...taken, ...seen]));
+
+    const result = catalogIORules.normalizeBook(row);
+    if (result.error) {
+      errors.push(`Row ${index + 1}: ${result.error}`);
+    } else if (seen.has(result.book.id)) {
+      errors.push(`Row ${index + 1}: duplicate id "${result.book.id}"`);
+    } else {
+      seen.add(result.book.id);
+      books.push(result.book);
+    }
+  });
+
+  return { books, errors };
+}
+
+// CSV in Books sheet order, or a JSON feed in the current schema, both
+// without SERVER_COLUMNS. sheetIds are the ids of books loaded from the
+// public feed, which has no INTERNAL_FIELDS (catalog.js): their supplier
+// cost and stock on hand are unknown here, so the JSON leaves them off those
+// books and the CSV drops the columns altogether rather than blank them.
+function exportCatalog(books, format, sheetIds = new Set()) {
+  const internal = catalogIORules.INTERNAL_FIELDS;
+  if (format === "json") {
+    const feedBooks = books.map(({ reserved, ...book }) => {
+      if (sheetIds.has(book.id)) internal.forEach(field => { delete book[field]; });
+      return book;
+    });
+    return JSON.stringify({ schemaVersion: catalogIORules.CATALOG_SCHEMA_VERSION, books: feedBooks }, null, 2);
+  }
+  const fromSheet = books.some(book => sheetIds.has(book.id));
+  const columns = SHEET_COLUMNS
+    .filter(col => !SERVER_COLUMNS.includes(col))
+    .filter(col => !(fromSheet && internal.includes(col)));
+  const rows = books.map(book => columns.map(col => {
+    if (col === "discounted") return book.discountPct ? catalogIORules.unitPrice(book) : "";
+    if (col === "cap") return book.cap == null ? "" : book.cap;
+    if (col === "parent") return book.parentId || "";
+    if (col === "status") return book.status || "available";
+    if (col === "supplierCost") return book.supplierCost == null ? "" : book.supplierCost;
+    if (col === "components") {
+      return (book.components || []).map(c => (c.quantity > 1 ? `${c.id}*${c.quantity}` : c.id)).join(", ");
+    }
+    return book[col];
+  }));
+  return toCSV([columns, ...rows]);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    IMPORT_FIELDS, SHEET_COLUMNS, SERVER_COLUMNS, parseCSV, toCSV, readImport, guessMapping, newBookId, applyMapping, exportCatalog
+  };
+}
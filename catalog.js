@@ -0,0 +1,278 @@
+// Versioned catalog schema and feed adapter, shared by both storefronts
+// (script.js and App.jsx) and the Apps Script backend (Code.gs). Plain
+// script like pricing.js: globals in the browser and Apps Script,
+// module.exports for bundlers/Node.
+//
+// Schema v4 book:
+//   { id, title, author, genre, summary, image, price, discountPct, cap, reserved, addedAt,
+//     parentId, variant, components, status, publisher, supplierCost, onHand }
+//
+// id is a stable string from the sheet's id column, price the base price in
+// pesos, discountPct 0-100, cap the pre-order allotment (null when the title
+// has no limit) and addedAt the "YYYY-MM-DD" the title was listed ("" when
+// unknown). The feed is { schemaVersion, version, books, errors }; a bare
+// array of sheet rows (the original Apps Script output) is read as well.
+// version fingerprints the books so clients can re-fetch conditionally (see
+// catalogReply).
+//
+// v2 adds editions. The list stays flat so every edition keeps its own id,
+// price, discount and stock: a book whose parentId names another book is an
+// edition of it, variant being its label ("Hardcover"; "" for the parent's
+// own edition). components makes a book a bundle of other titles,
+// [{ id, quantity }] per set, written "3, 5*2" in the sheet. An edition's
+// blank title, author, genre, summary and image come from its parent.
+//
+// v3 adds status, one of BOOK_STATUSES: "coming_soon" and "sold_out" titles
+// are listed but cannot be ordered, only waitlisted (see waitlist.js).
+//
+// v4 adds what purchasing needs (see purchasing.js): publisher, supplierCost
+// (pesos per copy, null when unknown) and onHand (copies already in stock);
+// an edition with no publisher of its own takes its parent's.
+// supplierCost and onHand are INTERNAL_FIELDS, left out of the public feed.
+// Older books read as available, without editions and with no publisher.
+
+const CATALOG_SCHEMA_VERSION = 4;
+const BOOK_STATUSES = ["available", "coming_soon", "sold_out"];
+const INTERNAL_FIELDS = ["supplierCost", "onHand"];
+
+const catalogRules = typeof require === "function" ? require("./i18n") : globalThis;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// "3, 5*2" (sheet) or [{ id, quantity }] (feed) -> [{ id, quantity }]
+function parseComponents(value) {
+  if (Array.isArray(value)) {
+    return value.map(c => ({ id: String(c.id).trim(), quantity: Number(c.quantity) || 1 }));
+  }
+  if (isBlank(value)) return [];
+  return String(value).split(",").map(part => part.trim()).filter(Boolean).map(part => {
+    const [id, quantity] = part.split("*").map(x => x.trim());
+    return { id, quantity: isBlank(quantity) ? 1 : Number(quantity) };
+  });
+}
+
+// Turn one sheet row (price/discounted) or schema book (price/discountPct)
+// into a schema v4 book. Returns { book } or { error }.
+function normalizeBook(row) {
+  const id = isBlank(row.id) ? "" : String(row.id).trim();
+  const title = isBlank(row.title) ? "" : String(row.title).trim();
+  const label = title || id || "untitled";
+
+  if (!id) return { error: `${label}: missing id` };
+  if (!title) return { error: `${label}: missing title` };
+
+  const price = Number(row.price);
+  if (isBlank(row.price) || !Number.isFinite(price) || price <= 0) {
+    return { error: `${label}: price "${row.price}" is not a positive number` };
+  }
+
+  let discountPct = 0;
+  if (!isBlank(row.discountPct)) {
+    discountPct = Number(row.discountPct);
+  } else if (!isBlank(row.discounted)) {
+    const discounted = Number(row.discounted);
+    if (!Number.isFinite(discounted) || discounted < 0 || discounted > price) {
+      return { error: `${label}: discounted price "${row.discounted}" is not between 0 and ${price}` };
+    }
+    discountPct = (1 - discounted / price) * 100;
+  }
+  if (!Number.isFinite(discountPct) || discountPct < 0 || discountPct > 100) {
+    return { error: `${label}: discount "${row.discountPct}" is not between 0 and 100` };
+  }
+
+  let cap = null;
+  if (!isBlank(row.cap)) {
+    cap = Number(row.cap);
+    if (!Number.isInteger(cap) || cap < 0) {
+      return { error: `${label}: cap "${row.cap}" is not a whole number` };
+    }
+  }
+
+  const components = parseComponents(row.components);
+  const badPart = components.find(c => !c.id || !Number.isInteger(c.quantity) || c.quantity < 1);
+  if (badPart) {
+    return { error: `${label}: bundle component "${badPart.id}*${badPart.quantity}" is not an id with a whole quantity` };
+  }
+
+  const status = isBlank(row.status) ? "available" : String(row.status).trim().toLowerCase().replace(/\s+/g, "_");
+  if (!BOOK_STATUSES.includes(status)) {
+    return { error: `${label}: status "${row.status}" is not one of ${BOOK_STATUSES.join(", ")}` };
+  }
+
+  let supplierCost = null;
+  if (!isBlank(row.supplierCost)) {
+    supplierCost = Number(row.supplierCost);
+    if (!Number.isFinite(supplierCost) || supplierCost < 0) {
+      return { error: `${label}: supplier cost "${row.supplierCost}" is not a number` };
+    }
+  }
+
+  const onHand = isBlank(row.onHand) ? 0 : Number(row.onHand);
+  if (!Number.isInteger(onHand) || onHand < 0) {
+    return { error: `${label}: on-hand stock "${row.onHand}" is not a whole number` };
+  }
+
+  const parent = isBlank(row.parentId) ? row.parent : row.parentId;
+  return {
+    book: {
+      id,
+      title,
+      author: isBlank(row.author) ? "" : String(row.author).trim(),
+      genre: isBlank(row.genre) ? "" : String(row.genre).trim(),
+      summary: isBlank(row.summary) ? "" : String(row.summary).trim(),
+      image: isBlank(row.image) ? "" : String(row.image).trim(),
+      price,
+      discountPct,
+      cap,
+      reserved: Number(row.reserved) || 0,
+      addedAt: isBlank(row.addedAt) ? "" : formatAddedAt(row.addedAt),
+      parentId: isBlank(parent) ? "" : String(parent).trim(),
+      variant: isBlank(row.variant) ? "" : String(row.variant).trim(),
+      components,
+      status,
+      publisher: isBlank(row.publisher) ? "" : String(row.publisher).trim(),
+      supplierCost,
+      onHand
+    }
+  };
+}
+
+// A parent book and its editions, parent first
+function editionsOf(book, books) {
+  return [book, ...books.filter(b => b.parentId === book.id)];
+}
+
+// "Title – Hardcover", or just the title for books without a variant label
+function editionTitle(book) {
+  return book.variant ? `${book.title} – ${book.variant}` : book.title;
+}
+
+// Copies still available for a book (Infinity when the title has no cap)
+function availableOf(book) {
+  if (book.cap == null) return Infinity;
+  return Math.max(0, Number(book.cap) - Number(book.reserved || 0));
+}
+
+// Status as customers see it: a used-up allotment reads as sold out even
+// while the sheet still says available
+function bookStatus(book) {
+  if (book.status && book.status !== "available") return book.status;
+  return availableOf(book) === 0 ? "sold_out" : "available";
+}
+
+// Why a book cannot be ordered because of its status, or "", in lang (see
+// i18n.js). A used-up allotment is not reported here: stock checks name the
+// copies left.
+function statusError(book, lang) {
+  if (book.status === "coming_soon") return catalogRules.t(lang, "book.notOpen", { title: editionTitle(book) });
+  if (book.status === "sold_out") return catalogRules.t(lang, "book.soldOut", { title: editionTitle(book) });
+  return "";
+}
+
+// Dates typed into the sheet arrive as Date objects or ISO strings
+function formatAddedAt(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// Normalize a catalog feed. Rows that fail validation are left out and
+// reported in errors instead of being rendered with NaN prices.
+function loadCatalog(feed) {
+  const rows = Array.isArray(feed) ? feed : (feed && feed.books) || [];
+  const version = Array.isArray(feed) ? CATALOG_SCHEMA_VERSION : Number(feed && feed.schemaVersion);
+
+  const books = [];
+  const errors = (!Array.isArray(feed) && feed && feed.errors) ? [...feed.errors] : [];
+  const seen = new Set();
+
+  if (version > CATALOG_SCHEMA_VERSION) {
+    errors.push(`Catalog schema v${version} is newer than this page understands (v${CATALOG_SCHEMA_VERSION}).`);
+  }
+
+  // Editions inherit blank descriptive fields (and the publisher) from their parent's row
+  const rowsById = {};
+  rows.forEach(row => {
+    if (row && !isBlank(row.id)) rowsById[String(row.id).trim()] = row;
+  });
+  const inherited = rows.map(row => {
+    const parentKey = row && (isBlank(row.parentId) ? row.parent : row.parentId);
+    const parentRow = !isBlank(parentKey) && rowsById[String(parentKey).trim()];
+    if (!parentRow) return row || {};
+    const merged = { ...row };
+    ["title", "author", "genre", "summary", "image", "publisher"].forEach(field => {
+      if (isBlank(merged[field])) merged[field] = parentRow[field];
+    });
+    return merged;
+  });
+
+  const numbered = [];
+  inherited.forEach((row, index) => {
+    const result = normalizeBook(row);
+    if (result.error) {
+      errors.push(`Item ${index + 1}: ${result.error}`);
+    } else if (seen.has(result.book.id)) {
+      errors.push(`Item ${index + 1}: duplicate id "${result.book.id}"`);
+    } else {
+      seen.add(result.book.id);
+      numbered.push({ book: result.book, index });
+    }
+  });
+
+  // Editions must hang off a top-level book, and bundles hold plain titles
+  const byId = {};
+  numbered.forEach(({ book }) => { byId[book.id] = book; });
+  numbered.forEach(({ book, index }) => {
+    const parent = book.parentId && byId[book.parentId];
+    const badPart = book.components.find(c => !byId[c.id] || byId[c.id].components.length);
+    if (book.parentId && (!parent || parent.parentId)) {
+      errors.push(`Item ${index + 1}: ${book.id}: parent "${book.parentId}" is not a top-level book`);
+    } else if (badPart) {
+      errors.push(`Item ${index + 1}: ${book.id}: bundle component "${badPart.id}" is not a single title in the catalog`);
+    } else {
+      books.push(book);
+    }
+  });
+
+  return { schemaVersion: CATALOG_SCHEMA_VERSION, books, errors };
+}
+
+// A loaded catalog without INTERNAL_FIELDS, as customers are sent it
+function publicCatalog(catalog) {
+  const books = catalog.books.map(book => {
+    const copy = { ...book };
+    INTERNAL_FIELDS.forEach(field => { delete copy[field]; });
+    return copy;
+  });
+  return { ...catalog, books };
+}
+
+// Short fingerprint of a list of books; any change to a price, stock count
+// or text gives a different one
+function catalogVersion(books) {
+  const text = JSON.stringify(books);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return text.length.toString(36) + "-" + hash.toString(36);
+}
+
+// What a backend sends for a catalog request: the public feed with its
+// version, or only { schemaVersion, version, notModified } when the version
+// the client already holds (since) is still current
+function catalogReply(catalog, since) {
+  const feed = publicCatalog(catalog);
+  const version = catalogVersion(feed.books);
+  if (since && since === version) {
+    return { schemaVersion: feed.schemaVersion, version, notModified: true };
+  }
+  return { ...feed, version };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CATALOG_SCHEMA_VERSION, BOOK_STATUSES, INTERNAL_FIELDS, parseComponents, normalizeBook, editionsOf, editionTitle,
+    availableOf, bookStatus, statusError, loadCatalog, publicCatalog, catalogVersion, catalogReply
+  };
+}
@@ -0,0 +1,84 @@
+// Loads the shared plain scripts the way the browser pages and Apps Script
+// do, as classic scripts sharing one global scope with no require or
+// module, and calls into them. Node's module.exports hides mistakes that
+// only show up there, such as reading another file's top-level const
+// through globalThis (it is not a property of it):
+//
+//   node check-scripts.js
+//
+// Each page loads the scripts its HTML lists, in order, except the page
+// script itself, which needs a DOM. Apps Script loads Code.gs and the
+// shared files its header names. Exits non-zero when a check throws.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = __dirname;
+const PAGES = ["index.html", "track.html", "checkin.html", "admin.html"];
+const PAGE_SCRIPTS = ["script.js", "outbox.js", "track.js", "checkin.js", "admin.js"];
+
+const today = "2026-10-19";
+const order = {
+  orderId: "PO-CHECK1",
+  fullname: "Ana Cruz",
+  email: "ana@example.com",
+  pickup: "Feast IT Park",
+  pickupdate: "2026-10-24",
+  items: [{ id: "1", title: "A Book", author: "An Author", quantity: 2, unitPrice: 250, lineTotal: 500 }],
+  discount: 0,
+  promoCode: "",
+  total: 500,
+  manageToken: "token"
+};
+const book = { id: "1", title: "A Book", price: 250, discountPct: 0, cap: 5, reserved: 5, status: "available" };
+const loc = { location: "Feast IT Park", weekdays: [6], blackouts: [], cutoffDays: 2 };
+
+// [function that must exist for the check to run, call]
+const CHECKS = [
+  ["receiptHTML", g => g.receiptHTML(order, { lang: "tl", storefrontUrl: "https://example.com/" })],
+  ["confirmationEmail", g => g.confirmationEmail(order, { lang: "ceb" })],
+  ["calendarEvent", g => g.calendarEvent(order, { lang: "en" })],
+  ["priceCart", g => g.priceCart([{ book, quantity: 1 }], { code: "X", minSpend: 1000 }, today, "tl")],
+  ["pickupDateError", g => g.pickupDateError(loc, "2026-10-20", today, "ceb")],
+  ["reconcileCart", g => g.reconcileCart([{ book, quantity: 2 }], [book], "tl")],
+  ["waitlistError", g => g.waitlistError({ fullname: "Ana" }, { ...book, status: "sold_out" }, [loc], "ceb")],
+  ["orderChangeError", g => g.orderChangeError({ status: "paid", pickupdate: "2026-10-20" }, loc, today, "tl")],
+  ["paymentSummary", g => g.paymentSummary({ ...order, status: "pending_payment" }, [])],
+  ["paymentError", g => g.paymentError({ wallet: "gcash", reference: "123" }, "tl")]
+];
+
+function run(name, files) {
+  const context = vm.createContext({ console, URL, setTimeout, clearTimeout });
+  let failed = 0;
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+  CHECKS.forEach(([fn, call]) => {
+    if (typeof context[fn] !== "function") return;
+    try {
+      call(context);
+    } catch (err) {
+      failed++;
+      console.error(`${name}: ${fn} threw ${err.stack}`);
+    }
+  });
+  console.log(`${name}: ${files.length} scripts${failed ? `, ${failed} failed` : ", ok"}`);
+  return failed;
+}
+
+let failures = 0;
+PAGES.forEach(page => {
+  const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => match[1])
+    .filter(src => !PAGE_SCRIPTS.includes(src));
+  failures += run(page, scripts);
+});
+
+const code = fs.readFileSync(path.join(ROOT, "Code.gs"), "utf8");
+const header = code.slice(code.indexOf("\n// schedule.js"), code.indexOf("must be"));
+const shared = [...header.matchAll(/([\w-]+\.js)/g)].map(match => match[1]);
+failures += run("Apps Script", [...shared, "Code.gs"]);
+
+process.exitCode = failures ? 1 : 0;
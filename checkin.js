@@ -0,0 +1,400 @@
+// Pickup-day check-in for volunteers at the venue (checkin.html). Loads the
+// orders for one location and date, finds one by name, order ID, FB name or
+// a scanned QR code (a printed slip's, or the order ID on the confirmation
+// screen and receipt), shows what is still owed and releases items line by
+// line or whole orders (see release.js).
+//
+// A release is applied on this device straight away and queued in
+// localStorage, then synced whenever the backend can be reached, so a
+// patchy venue connection never holds up the line. The last list loaded is
+// kept as well, so a reload while offline still has it. The check-in key is
+// kept in sessionStorage so it is forgotten when the tab closes.
+
+const CHECKIN_KEY_STORAGE = "preorder-checkin-key";
+const DAY_KEY = "checkin-day";
+const QUEUE_KEY = "checkin-queue";
+const SYNC_INTERVAL = 30000;
+
+const STATUS_LABELS = {
+  draft: "Draft (not confirmed)",
+  pending_payment: "Pending payment",
+  paid: "Paid",
+  ready: "Ready for pickup",
+  picked_up: "Picked up"
+};
+
+// { pickup, pickupdate, loadedAt, orders } as last loaded, with queued
+// releases applied
+let day = loadSaved(DAY_KEY);
+// Releases not yet synced: [{ id, orderId, lines, at }]
+let queue = loadSaved(QUEUE_KEY) || [];
+let syncing = false;
+let scanStream = null;
+
+const backend = createBackend(BACKEND);
+
+const signinForm = document.getElementById("signin-form");
+const checkinPanel = document.getElementById("checkin-panel");
+const locationSelect = document.getElementById("location-select");
+const dateInput = document.getElementById("date-input");
+const syncStatus = document.getElementById("sync-status");
+const searchInput = document.getElementById("checkin-search");
+const scanBtn = document.getElementById("scan-btn");
+const scanVideo = document.getElementById("scan-video");
+const scanMessage = document.getElementById("scan-message");
+const checkinSummary = document.getElementById("checkin-summary");
+const ordersBox = document.getElementById("checkin-orders");
+
+// Run a check-in action; rejects with the backend's error message
+function checkinPost(action, body) {
+  return backend.checkin(action, { ...body, checkinKey: sessionStorage.getItem(CHECKIN_KEY_STORAGE) })
+  .then(response => {
+    if (response.error) throw new Error(response.error);
+    return response;
+  });
+}
+
+signinForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  sessionStorage.setItem(CHECKIN_KEY_STORAGE, this.checkinKey.value);
+  this.reset();
+  openPanel();
+  if (locationSelect.value) loadDay();
+});
+
+document.getElementById("signout-btn").addEventListener("click", () => {
+  if (queue.length && !confirm(`${queue.length} check-in(s) have not synced yet. They stay on this device and sync after the next sign-in. Sign out?`)) {
+    return;
+  }
+  sessionStorage.removeItem(CHECKIN_KEY_STORAGE);
+  stopScan();
+  checkinPanel.style.display = "none";
+  signinForm.style.display = "block";
+});
+
+document.getElementById("load-btn").addEventListener("click", loadDay);
+
+function openPanel() {
+  signinForm.style.display = "none";
+  checkinPanel.style.display = "block";
+  dateInput.value = day ? day.pickupdate : todayString();
+  fillLocations([]);
+  backend.fetchPickups()
+    .then(fillLocations)
+    .catch(err => console.error(err));
+  render();
+  syncQueue();
+}
+
+// Pickup locations from the backend, plus the one last loaded so it can
+// still be picked offline
+function fillLocations(pickups) {
+  const current = locationSelect.value || (day ? day.pickup : "");
+  const locations = pickups.map(l => l.location);
+  if (current && !locations.includes(current)) locations.push(current);
+  locationSelect.replaceChildren(
+    el("option", { value: "" }, "-- Pick-up location --"),
+    locations.map(location => el("option", { value: location, selected: location === current }, location))
+  );
+}
+
+// Load the chosen location and date. Offline, the saved list for the same
+// day is kept.
+function loadDay() {
+  const pickup = locationSelect.value;
+  const pickupdate = dateInput.value;
+  if (!pickup || !pickupdate) {
+    alert("Choose a pick-up location and date first.");
+    return;
+  }
+  checkinSummary.textContent = "Loading orders...";
+  checkinPost("checkinOrders", { pickup, pickupdate })
+    .then(orders => {
+      setDay({ pickup, pickupdate, loadedAt: new Date().toISOString(), orders: orders.map(withQueued) });
+      searchInput.value = "";
+      render();
+      searchInput.focus();
+    })
+    .catch(err => {
+      if (err.message === "Not authorized.") sessionStorage.removeItem(CHECKIN_KEY_STORAGE);
+      alert("Could not load orders: " + err.message);
+      console.error(err);
+      render();
+    });
+}
+
+function setDay(next) {
+  day = next;
+  saveLocal(DAY_KEY, day);
+}
+
+function setQueue(next) {
+  queue = next;
+  saveLocal(QUEUE_KEY, queue);
+}
+
+// The order with any of its releases still waiting in the queue applied, so
+// a fresh list never shows handed-over items as still to give
+function withQueued(order) {
+  return queue
+    .filter(entry => entry.orderId === order.orderId)
+    .reduce((o, entry) => (releaseError(o, entry.lines) ? o : { ...o, ...applyRelease(o, entry.lines, entry.at) }), order);
+}
+
+function newCheckinId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+// Hand over lines of an order ("all" or item indexes): record it here at
+// once, then sync
+function release(order, lines) {
+  const error = releaseError(order, lines);
+  if (error) {
+    alert(error);
+    return;
+  }
+  const owed = `${order.fullname} still owes ₱${order.balance} of ₱${order.total}` +
+    (order.submitted ? ` (₱${order.submitted} submitted online, not yet verified)` : "");
+  if (order.balance > 0 && !confirm(`${owed}. Release anyway?`)) {
+    return;
+  }
+  const entry = { id: newCheckinId(), orderId: order.orderId, lines, at: new Date().toISOString() };
+  setQueue([...queue, entry]);
+  replaceOrder({ ...order, ...applyRelease(order, lines, entry.at) });
+  render();
+  syncQueue();
+}
+
+function replaceOrder(order) {
+  setDay({ ...day, orders: day.orders.map(o => (o.orderId === order.orderId ? order : o)) });
+}
+
+// Send every queued release in one request. Synced and skipped ones leave
+// the queue; a skipped one was refused (e.g. the order was cancelled), so
+// the list is reloaded to show the orders as they really are.
+function syncQueue() {
+  if (syncing || queue.length === 0 || !sessionStorage.getItem(CHECKIN_KEY_STORAGE)) return;
+  syncing = true;
+  renderSyncStatus();
+  const batch = queue;
+  checkinPost("releaseItems", { releases: batch })
+    .then(result => {
+      const done = new Set([...result.synced, ...result.skipped].map(r => r.id));
+      setQueue(queue.filter(entry => !done.has(entry.id)));
+      if (day) {
+        result.synced.forEach(r => {
+          const order = day.orders.find(o => o.orderId === r.orderId);
+          if (order) replaceOrder(withQueued({ ...order, released: r.released, status: r.status }));
+        });
+      }
+      if (result.skipped.length) {
+        alert("Some check-ins were not accepted:\n" + result.skipped.map(r => `${r.orderId}: ${r.reason}`).join("\n"));
+        if (day) {
+          locationSelect.value = day.pickup;
+          dateInput.value = day.pickupdate;
+          loadDay();
+        }
+      }
+    })
+    .catch(err => console.error(err))
+    .finally(() => {
+      syncing = false;
+      render();
+    });
+}
+
+window.addEventListener("online", syncQueue);
+window.addEventListener("offline", renderSyncStatus);
+setInterval(() => {
+  if (navigator.onLine) syncQueue();
+}, SYNC_INTERVAL);
+
+// ---------- Finding an order
+
+searchInput.addEventListener("input", () => {
+  scanMessage.textContent = "";
+  renderOrders();
+});
+
+// A handheld scanner types the QR code's text and presses Enter
+searchInput.addEventListener("keydown", e => {
+  if (e.key !== "Enter") return;
+  e.preventDefault();
+  if (showScanned(searchInput.value)) searchInput.select();
+});
+
+// { orderId, name } from a slip QR code (see slip.js) or a bare order ID,
+// as in the receipt's QR code (see receipt.js), or null when text is neither
+function scannedOrder(text) {
+  const slip = decodeSlipQR(text);
+  if (slip) return { orderId: slip.orderId, name: slip.name };
+  const orderId = String(text || "").trim().toUpperCase();
+  return /^PO-[A-Z0-9]+$/.test(orderId) ? { orderId, name: "" } : null;
+}
+
+// Narrow the list to a scanned order; false when text is not a scan
+function showScanned(text) {
+  const scanned = scannedOrder(text);
+  if (!scanned) return false;
+  const orders = day ? day.orders : [];
+
+  if (scanned.orderId && orders.some(o => o.orderId === scanned.orderId)) {
+    searchInput.value = scanned.orderId;
+    scanMessage.textContent = "";
+  } else if (scanned.orderId) {
+    searchInput.value = scanned.orderId;
+    scanMessage.textContent = `${scanned.orderId} is not on this list. Check the slip's pick-up location and date.`;
+  } else if (scanned.name) {
+    searchInput.value = scanned.name;
+    scanMessage.textContent = "This slip was printed before ordering, so it has no order ID. Showing orders under the name on it.";
+  } else {
+    searchInput.value = "";
+    scanMessage.textContent = "This slip was printed before ordering and has no order ID or name. Ask for the name on the order.";
+  }
+  renderOrders();
+  return true;
+}
+
+// Camera scanning where the browser can read QR codes itself
+if ("BarcodeDetector" in window && navigator.mediaDevices) {
+  scanBtn.style.display = "inline-block";
+}
+
+scanBtn.addEventListener("click", () => {
+  if (scanStream) stopScan();
+  else startScan();
+});
+
+function startScan() {
+  const detector = new BarcodeDetector({ formats: ["qr_code"] });
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
+    .then(stream => {
+      scanStream = stream;
+      scanVideo.srcObject = stream;
+      scanVideo.style.display = "block";
+      scanBtn.textContent = "Stop Scanning";
+      return scanVideo.play().then(() => detectLoop(detector));
+    })
+    .catch(err => {
+      stopScan();
+      scanMessage.textContent = "Could not open the camera: " + err.message;
+      console.error(err);
+    });
+}
+
+function detectLoop(detector) {
+  if (!scanStream) return;
+  detector.detect(scanVideo)
+    .then(codes => {
+      const code = codes.find(c => scannedOrder(c.rawValue));
+      if (code) {
+        stopScan();
+        showScanned(code.rawValue);
+        return;
+      }
+      requestAnimationFrame(() => detectLoop(detector));
+    })
+    .catch(err => {
+      stopScan();
+      console.error(err);
+    });
+}
+
+function stopScan() {
+  if (scanStream) scanStream.getTracks().forEach(track => track.stop());
+  scanStream = null;
+  scanVideo.srcObject = null;
+  scanVideo.style.display = "none";
+  scanBtn.textContent = "Scan QR Code";
+}
+
+// ---------- Rendering
+
+function render() {
+  renderSyncStatus();
+  renderOrders();
+}
+
+function renderSyncStatus() {
+  if (queue.length === 0) {
+    syncStatus.className = "sync-status synced";
+    syncStatus.textContent = "All check-ins synced.";
+    return;
+  }
+  syncStatus.className = "sync-status pending";
+  syncStatus.textContent = `${queue.length} check-in(s) waiting to sync` +
+    (syncing ? " – syncing…" : navigator.onLine ? "." : " – offline, will sync when the connection returns.");
+}
+
+function renderOrders() {
+  if (!day) {
+    checkinSummary.textContent = "Choose a pick-up location and date, then load its orders.";
+    ordersBox.replaceChildren();
+    return;
+  }
+
+  const pickedUp = day.orders.filter(o => o.status === "picked_up").length;
+  const loadedAt = new Date(day.loadedAt).toLocaleTimeString("en-PH", { hour: "numeric", minute: "2-digit" });
+  checkinSummary.textContent =
+    `${day.pickup}, ${day.pickupdate}: ${pickedUp} of ${day.orders.length} order(s) picked up (list loaded ${loadedAt}).`;
+
+  const visible = day.orders.filter(o => checkinMatches(o, searchInput.value));
+  if (visible.length === 0) {
+    ordersBox.replaceChildren(el("p", {}, "No orders match."));
+    return;
+  }
+  ordersBox.replaceChildren(...visible.map(renderOrder));
+}
+
+function renderOrder(order) {
+  const releasedAt = line => (order.released || []).find(r => r.line === line);
+  const boxes = [];
+
+  const items = el("ul", { className: "checkin-items" }, order.items.map((item, line) => {
+    const done = releasedAt(line);
+    const notes = [item.bundle && `from ${item.bundle.title}`, item.person && `for ${item.person}`].filter(Boolean);
+    const label = `${item.quantity}× ${item.title}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+    if (done) {
+      const at = new Date(done.at).toLocaleTimeString("en-PH", { hour: "numeric", minute: "2-digit" });
+      return el("li", { className: "released" }, `✓ ${label} – released ${at}`);
+    }
+    const box = el("input", { type: "checkbox", value: line });
+    boxes.push(box);
+    return el("li", {}, el("label", {}, box, " " + label));
+  }));
+
+  const payment = order.settled
+    ? el("span", { className: "payment paid" }, "Paid")
+    : el("span", { className: "payment due" }, `Balance ₱${order.balance} of ₱${order.total}`,
+        order.submitted ? ` · ₱${order.submitted} submitted, unverified` : "");
+
+  const card = el("div", { className: "checkin-order" + (order.status === "picked_up" ? " picked-up" : "") },
+    el("div", {},
+      el("b", {}, order.fullname), ` · ${order.orderId}`,
+      order.fb && el("small", {}, ` · FB: ${order.fb}`)),
+    el("div", {}, `${STATUS_LABELS[order.status] || order.status} · `, payment),
+    items
+  );
+
+  if (boxes.length) {
+    const releaseSelected = el("button", { type: "button" }, "Release Selected");
+    releaseSelected.addEventListener("click", () => {
+      release(order, boxes.filter(box => box.checked).map(box => Number(box.value)));
+    });
+    const releaseAll = el("button", { type: "button" }, boxes.length === order.items.length ? "Release Whole Order" : "Release the Rest");
+    releaseAll.addEventListener("click", () => release(order, "all"));
+    card.append(el("div", { className: "checkin-actions" }, releaseSelected, " ", releaseAll));
+  }
+  return card;
+}
+
+// Resume a session from this tab
+if (sessionStorage.getItem(CHECKIN_KEY_STORAGE)) {
+  openPanel();
+}
+
+// Installable, and the page and its scripts are cached for offline use (sw.js)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch(err => console.error(err));
+}
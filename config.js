@@ -0,0 +1,15 @@
+// Shared settings for the storefront pages (and App.jsx via module.exports)
+const API_URL = "https://script.google.com/macros/s/AKfycbwOg4Vt1so9FS9BcizBKfRmZgQG1ydz4fjo3VgtYigq68SGg4uOyJfinagZKpuLDdaohw/exec";
+
+// Which order backend the pages use (see backend.js): "apps-script", "rest"
+// (e.g. `node mock-server.js`) or "mock" (in the browser, no network needed)
+const BACKEND = {
+  type: "apps-script",
+  url: API_URL,
+  restUrl: "http://localhost:8787",
+  fixtures: "fixtures/demo.json"
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { API_URL, BACKEND };
+}
@@ -0,0 +1,41 @@
+// DOM helpers for the storefront. Text from the sheet or the customer only
+// ever reaches the page as text nodes or element properties, never through
+// innerHTML, so quotes or markup in a title cannot break the page. Pages
+// still built from HTML strings (admin.js, track.js) pass every such value
+// through escapeHTML instead.
+
+// el("td", { className: "price" }, "₱", 250) → <td class="price">₱250</td>.
+// props are element properties (dataset is merged into data-* attributes);
+// null, undefined and false children are skipped, arrays are flattened.
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  const { dataset, ...rest } = props;
+  Object.assign(node, rest);
+  if (dataset) Object.assign(node.dataset, dataset);
+  children.flat().forEach(child => {
+    if (child != null && child !== false) node.append(child);
+  });
+  return node;
+}
+
+// Show a message per field under the named inputs of form ({} clears them)
+function showFieldErrors(form, fields) {
+  form.querySelectorAll(".field-error").forEach(node => node.remove());
+  form.querySelectorAll("[aria-invalid]").forEach(input => input.removeAttribute("aria-invalid"));
+
+  Object.entries(fields).forEach(([name, message]) => {
+    const input = form.elements[name];
+    if (!input) return;
+    input.setAttribute("aria-invalid", "true");
+    input.after(el("small", { className: "field-error" }, message));
+  });
+
+  const first = Object.keys(fields).map(name => form.elements[name]).find(Boolean);
+  if (first) first.focus();
+}
+
+// Text safe to place in HTML markup, inside elements or quoted attributes
+function escapeHTML(value) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(value == null ? "" : value).replace(/[&<>"']/g, ch => entities[ch]);
+}
@@ -0,0 +1,969 @@
+// Message catalogs and locale formatting for both storefronts (script.js,
+// App.jsx) and for the field errors the backends send back
+// (validation.js). Plain script; module.exports at the bottom.
+//
+// Languages are English, Tagalog and Cebuano. Messages are looked up by
+// key and may carry {name} placeholders; a key missing from a catalog falls
+// back to English, so a new string can ship before it is translated. The
+// customer's choice is kept on the device (storage.js) and sent with each
+// order as lang, so follow-ups can be written in the same language.
+
+const LANGUAGES = {
+  en: { label: "English", locale: "en-PH" },
+  tl: { label: "Tagalog", locale: "fil-PH" },
+  ceb: { label: "Cebuano (Bisaya)", locale: "ceb-PH" }
+};
+const DEFAULT_LANGUAGE = "en";
+
+const MESSAGES = {
+  en: {
+    "lang.label": "Language",
+    "page.title": "Book Pre-Order",
+
+    "catalog.heading": "Pre-order your next read 📚",
+    "catalog.loading": "Loading books...",
+    "catalog.loadFailed": "Could not load the catalog. Check your connection and refresh.",
+    "catalog.unchecked": "Prices and stock in your saved cart could not be checked while the catalog is unavailable.",
+    "freshness.asOf": "Prices as of {when}",
+    "freshness.checking": " · checking for updates…",
+    "freshness.offline": " · offline, showing the last prices we saw",
+
+    "search.placeholder": "Search title, author or summary",
+    "search.author": "Author",
+    "search.genre": "Genre",
+    "search.price": "Price (₱)",
+    "search.min": "Min",
+    "search.max": "Max",
+    "search.discountOnly": "On discount only",
+    "search.sortBy": "Sort by",
+    "search.clear": "Clear Filters",
+    "search.noMatch": "No books match your search.",
+    "sort.title": "Title (A–Z)",
+    "sort.price": "Price (low to high)",
+    "sort.discount": "Biggest discount",
+    "sort.newest": "Newest",
+
+    "book.byline": "{title} by {author}",
+    "status.available": "Available",
+    "status.coming_soon": "Coming soon",
+    "status.sold_out": "Sold out",
+    "stock.left": "{count} left",
+    "edition.standard": "Standard",
+    "edition.note.coming_soon": "coming soon",
+    "edition.note.sold_out": "sold out",
+    "bundle.includes": "Includes: {parts}",
+
+    "waitlist.joinButton": "Join waitlist",
+    "waitlist.heading": "Join the waitlist:",
+    "waitlist.intro": "We will contact you when copies are available to pre-order.",
+    "waitlist.pickup": "Preferred Pick-up Location:",
+    "waitlist.copies": "Copies:",
+    "waitlist.submit": "Join Waitlist",
+    "waitlist.cancel": "Cancel",
+    "waitlist.joined": "You're on the waitlist for {title}. We'll be in touch when it can be pre-ordered.",
+    "waitlist.failed": "Could not join the waitlist. Please check your connection and try again.",
+
+    "order.heading": "Your Pre-Order",
+    "order.trackLink": "Already ordered? Track your order",
+    "group.toggle": "Group order (ordering for several people)",
+    "group.personPlaceholder": "Participant Name",
+    "group.addPerson": "Add Person",
+    "group.tickingFor": "Ticking books for:",
+    "group.addFirst": "Add a participant first, then tick their books.",
+    "group.removeConfirm": "Remove {person} and their {count} book(s) from the order?",
+
+    "cart.empty": "No books selected yet.",
+    "cart.ok": "OK",
+    "cart.shortage": "{title} ran out while you were ordering: you asked for {requested}, {available} left.",
+    "col.number": "#",
+    "col.for": "For",
+    "col.title": "Title",
+    "col.author": "Author",
+    "col.qty": "Qty",
+    "col.price": "Price",
+    "col.remove": "Remove",
+    "col.person": "Person",
+    "col.books": "Books",
+    "col.subtotal": "Subtotal",
+    "col.toPay": "To pay",
+    "total.subtotal": "Subtotal: {amount}",
+    "total.promo": "Promo {code}: −{amount}",
+    "total.grand": "Grand total: {amount}",
+    "total.total": "Total: {amount}",
+    "promo.placeholder": "Promo Code",
+    "promo.apply": "Apply",
+    "promo.checkFailed": "Could not check the promo code. Please try again.",
+    "checkout.proceed": "Proceed to Checkout",
+    "share.button": "Share list",
+    "share.copied": "Link copied!",
+
+    "form.heading": "Customer Information",
+    "form.fullname": "Full Name",
+    "form.email": "Email Address",
+    "form.contact": "Mobile Number, e.g. 0917 123 4567",
+    "form.fb": "FB Name",
+    "form.pickup": "Pick-up Location:",
+    "form.pickupdate": "Pick-up Date:",
+    "form.select": "-- Select --",
+    "form.locationFirst": "-- Choose a location first --",
+    "form.paidLegend": "Already paid? (optional)",
+    "form.wallet": "-- Wallet --",
+    "form.reference": "Reference Number",
+    "form.amount": "Amount Paid (₱)",
+    "form.receipt": "Receipt screenshot (optional):",
+    "form.confirm": "Confirm Order",
+    "pickup.option": "{location} - {days}",
+    "disclaimer.heading": "Disclaimer:",
+    "disclaimer.pickupOnly": "Pick-up only option",
+    "disclaimer.payFirst": "For faster transactions, please pay first",
+    "disclaimer.paymentOptions": "Payment Options:",
+    "disclaimer.accountName": "Account Name:",
+    "disclaimer.accountNumber": "Account Number:",
+
+    "order.emptyCart": "Please select at least one book before confirming order.",
+    "order.needsParticipant": "Every book in a group order needs a participant.",
+    "order.notAccepted": "Order not accepted: {error}",
+    "order.offline": "You seem to be offline. Your order is saved and will be sent automatically.",
+    "order.offlineUnsaved": "You seem to be offline, and this device has no room left to save your order. Please try again once you are back online.",
+    "confirm.title": "Order confirmed!",
+    "confirm.orderId": "Your Order ID:",
+    "confirm.track": "track this order",
+    "confirm.manageBefore": "Need to change or cancel? Use your",
+    "confirm.manageLink": "private manage link",
+    "confirm.manageAfter": "before the pick-up cutoff. Keep it to yourself: anyone with the link can change this order.",
+    "confirm.fromBundle": "from {title}",
+    "confirm.downloadReceipt": "Download receipt",
+    "confirm.addToCalendar": "Add pick-up to calendar",
+    "confirm.qr": "Show this code at pick-up so we can find your order quickly.",
+
+    "receipt.title": "Pre-order receipt",
+    "receipt.orderId": "Order ID: {orderId}",
+    "receipt.orderedOn": "Ordered on {date}",
+    "receipt.customer": "Name: {name}",
+    "receipt.pickup": "Pick-up: {location}, {date}",
+    "receipt.payHeading": "Payment",
+    "receipt.payInstructions": "Please send {amount} by {wallets} to {name}, account number {number}, and add the reference number on your order's tracking page.",
+    "receipt.paymentSent": "We received your payment details and will confirm them soon.",
+    "receipt.trackLink": "Track your order: {link}",
+    "receipt.manageLink": "Change or cancel before the pick-up cutoff (keep this link to yourself): {link}",
+    "receipt.bring": "Bring your Order ID when you pick up.",
+    "email.subject": "Your pre-order {orderId} is confirmed",
+    "email.greeting": "Hi {name},",
+    "email.intro": "Thank you for your pre-order! Here are the details.",
+    "email.footer": "Questions? Reply to this email or message us on Facebook.",
+    "calendar.summary": "Pick up book pre-order {orderId}",
+
+    "data.clear": "Clear all my data",
+    "data.clearConfirm": "Clear your saved cart, order history and other data stored on this device?",
+    "data.pendingWarning": "{count} order(s) have not been sent yet and will be lost.",
+
+    "outbox.heading": "Submitted Orders",
+    "outbox.summary": "{name} – {count} book(s)",
+    "outbox.pending": "Pending – will send when you're back online",
+    "outbox.sent": "Sent – Order ID {orderId}",
+    "outbox.manage": "change or cancel",
+    "outbox.failed": "Not accepted: {error}",
+    "outbox.dismiss": "Dismiss",
+
+    "validation.fullname.required": "Please enter your name.",
+    "validation.fullname.tooLong": "Please keep your name under {max} characters.",
+    "validation.email.required": "Please enter your email address.",
+    "validation.email.invalid": "Please enter a valid email address, e.g. juan@example.com.",
+    "validation.contact.required": "Please enter your mobile number.",
+    "validation.contact.invalid": "Please enter a Philippine mobile number, e.g. 0917 123 4567.",
+    "validation.fb.tooLong": "Please keep your FB name under {max} characters.",
+    "validation.quantity": "Quantity must be a whole number from 1 to {max}.",
+    "validation.fields": "Please check your details: {messages}",
+    "validation.pickup": "Please choose a pick-up location.",
+
+    "pickup.noDate": "Please choose a pick-up date.",
+    "pickup.tooEarly": "Pick-up at {location} must be on or after {date}.",
+    "pickup.wrongDay": "{location} pick-up is only on {days}.",
+    "pickup.blackout": "There is no pick-up at {location} on {date}.",
+    "promo.missing": "That promo code does not exist.",
+    "promo.expired": "Promo {code} expired on {date}.",
+    "promo.usedUp": "Promo {code} has been fully used.",
+    "promo.minSpend": "Promo {code} needs a minimum spend of {amount}.",
+    "promo.notApplicable": "Promo {code} does not apply to the books in your order.",
+    "book.notOpen": "{title} is not open for pre-orders yet.",
+    "book.soldOut": "{title} is sold out.",
+    "cart.gone": "{title} is no longer in the catalog and was removed from your cart.",
+    "cart.unavailable": "{reason} It was removed from your cart.",
+    "cart.soldOut": "{title} is sold out and was removed from your cart.",
+    "cart.reduced": "Only {available} left of {title}; your quantity was reduced from {quantity}.",
+    "cart.priceChanged": "{title} is now {after} (was {before} when you added it).",
+    "share.gone": "A title in the shared list (ID {id}) is no longer in the catalog.",
+    "share.unavailable": "{reason} It was left out.",
+    "share.soldOut": "{title} is sold out and was left out.",
+    "share.short": "Only {available} left of {title}; the shared list asked for {quantity}.",
+    "waitlist.notInCatalog": "That title is not in the catalog.",
+    "waitlist.availableNow": "{title} can be pre-ordered now; no need to wait.",
+    "waitlist.reach": "Please enter an email address or contact number so we can reach you.",
+    "waitlist.quantity": "Quantity must be a whole number from 1 to {max}.",
+    "manage.cancelled": "This order was cancelled.",
+    "manage.preparing": "This order is already being prepared for pick-up and can no longer be changed here. Please message us on Facebook.",
+    "manage.closed": "Changes to this order closed on {date}. Please message us on Facebook.",
+    "manage.released": "Part of this order has already been handed over at pick-up, so it can no longer be changed here. Please message us on Facebook.",
+    "manage.unchanged": "Nothing was changed.",
+    "manage.invalidLink": "This manage link is not valid.",
+    "order.noItems": "Order has no items.",
+    "book.unknown": "Unknown book: {id}",
+    "book.retired": "{title} is no longer available.",
+    "pickup.unknown": "Unknown pick-up location: {location}",
+    "stock.short": "Not enough stock for {titles}.",
+    "payment.wallet": "Please choose GCash or Maya.",
+    "payment.reference.gcash": "GCash reference numbers are 13 digits.",
+    "payment.reference.maya": "Maya reference numbers are 12 letters or digits.",
+    "payment.amount": "Please enter the amount you paid.",
+    "payment.receiptType": "Receipt must be a screenshot (PNG, JPEG, WebP, GIF or HEIC).",
+    "payment.receiptSize": "Receipt screenshot must be under 1 MB.",
+    "payment.receiptUnreadable": "Could not read the receipt screenshot.",
+
+    "app.brand": "Feast Books — Pre‑Order",
+    "app.privacyBadge": "No data leaves your device",
+    "app.cart": "Cart ({count})",
+    "app.cartEmpty": "Your cart is empty.",
+    "app.forPerson": "for {person}",
+    "app.promo": "Promo {code}",
+    "app.clear": "Clear",
+    "app.print": "Print",
+    "app.pdf": "PDF",
+    "app.cartTip": "Tip: This site is client‑side only. Use “Print” or “PDF” to generate a pre‑order slip. No data is uploaded.",
+    "app.heroTitle": "Pre‑Order Your Next Read",
+    "app.heroText": "Browse featured Feast titles. Add to your pre‑order and generate a printable slip.",
+    "app.heroPrivacy": "We don’t record any personal information by default.",
+    "app.heroTags": "Privacy‑first • Offline‑friendly • No sign‑in",
+    "app.contactToggle": "Optional contact fields",
+    "app.contactHelp": "Leave this off to keep it anonymous. Toggle on only if you want to include contact info in your printed slip.",
+    "app.namePlaceholder": "Full name (optional)",
+    "app.emailPlaceholder": "Email (optional)",
+    "app.phonePlaceholder": "Phone (optional)",
+    "app.groupToggle": "Group order",
+    "app.groupHelp": "Ordering for several people? Add each participant, then pick books while they are selected.",
+    "app.participantPlaceholder": "Participant name",
+    "app.add": "Add",
+    "app.addingFor": "Adding books for {person}. Click a name to switch.",
+    "app.addFirst": "Add a participant first, then pick their books.",
+    "app.featured": "Featured Books",
+    "app.clickToAdd": "Click a card to add to pre‑order",
+    "app.skippedRows": "{count} catalog row(s) were skipped because of bad data",
+    "app.save": "Save {amount}",
+    "app.addToOrder": "Add to Pre‑Order",
+    "app.notesTitle": "Order Notes (printed only)",
+    "app.notesPlaceholder": "Pickup schedule, branch, or special requests.\n(These notes stay in your browser until you print.)",
+    "app.printSlip": "Print Pre‑Order Slip",
+    "app.downloadPdf": "Download PDF",
+    "app.privacyDefault": "Privacy by default",
+    "app.privacyNotice": "🔒 Privacy Notice: This form does not record or store any type of personal information. Your cart, notes and added books are saved in this browser so a refresh does not lose them; nothing leaves your device until you print or save a PDF.",
+    "app.clearConfirm": "Remove your saved cart, notes and added books from this device?",
+    "app.summary": "Summary",
+    "app.dismiss": "Dismiss",
+    "app.noItems": "No items yet. Add books to generate a slip.",
+    "app.perPerson": "Per person (to pay)",
+    "app.grandTotal": "Grand total",
+    "app.total": "Total",
+    "app.shareNote": "Include my notes in the link",
+    "app.shareHelp": "The list is stored in the link itself; nothing is uploaded.",
+    "app.name": "Name:",
+    "app.email": "Email:",
+    "app.phone": "Phone:",
+    "app.waitlistTitle": "Join the Waitlist",
+    "app.waitlistIntro": "{title} is {status}. Leave your details and we will contact you when copies are available to pre-order.",
+    "app.fullname": "Full name",
+    "app.emailField": "Email",
+    "app.phoneField": "Phone",
+    "app.preferredPickup": "Preferred pick-up location",
+    "app.choose": "— choose —",
+    "app.copies": "Copies",
+    "app.joining": "Joining…",
+    "app.waitlistPrivacy": "Joining sends your name, contact details and pick-up choice to the organisers so they can reach you.",
+    "app.footer": "We do not collect or transmit personal information unless you join a waitlist. Use the Print button to generate your own slip.",
+
+    "quickAdd.heading": "Quick Add & Catalog Tools (local only)",
+    "quickAdd.genre": "Genre",
+    "quickAdd.pricePHP": "Price (PHP)",
+    "quickAdd.discountPct": "Discount %",
+    "quickAdd.image": "Image URL",
+    "quickAdd.publisher": "Publisher",
+    "quickAdd.supplierCost": "Supplier cost (PHP, optional)",
+    "quickAdd.summary": "Short highlights / summary (optional)",
+    "quickAdd.add": "Add to Catalog",
+    "quickAdd.import": "Import CSV or JSON",
+    "quickAdd.exportCsv": "Export CSV",
+    "quickAdd.exportJson": "Export JSON",
+    "quickAdd.readFailed": "Could not read {file}: {error}",
+    "quickAdd.importing": "Importing {file} ({count} rows)",
+    "quickAdd.column": "Column “{header}”",
+    "quickAdd.ignore": "— ignore —",
+    "quickAdd.id": "ID",
+    "quickAdd.discount": "Discount",
+    "quickAdd.more": "…and {count} more.",
+    "quickAdd.skipped": "{count} row(s) will be skipped",
+    "quickAdd.cancel": "Cancel",
+    "quickAdd.confirmImport": "Import {count} book(s)",
+    "quickAdd.edit": "Edit catalog entries ({count})",
+    "quickAdd.cap": "Cap",
+    "quickAdd.cost": "Cost",
+    "quickAdd.onHand": "On hand",
+    "quickAdd.source": "Source",
+    "quickAdd.editedLocally": "edited locally",
+    "quickAdd.local": "local",
+    "quickAdd.sheet": "sheet",
+    "quickAdd.sheetNote": "Sheet books are changed in the Google Sheet; editing one here keeps a local copy until you delete it.",
+    "quickAdd.help": "Books you add, import or edit are saved in this browser only, so they survive a refresh. No upload. Export CSV writes the Books sheet columns in order, under their headers, except reserved and retired: the sheet keeps those itself, so paste each column under its own header. Supplier cost and on-hand stock are only exported when every book was added here, since the public feed does not carry them."
+  },
+
+  tl: {
+    "lang.label": "Wika",
+    "page.title": "Pre-Order ng Libro",
+
+    "catalog.heading": "Mag-pre-order ng susunod mong babasahin 📚",
+    "catalog.loading": "Nilo-load ang mga libro...",
+    "catalog.loadFailed": "Hindi ma-load ang catalog. Tingnan ang iyong koneksyon at i-refresh.",
+    "catalog.unchecked": "Hindi ma-check ang presyo at stock ng naka-save mong cart habang hindi available ang catalog.",
+    "freshness.asOf": "Presyo noong {when}",
+    "freshness.checking": " · tinitingnan kung may bago…",
+    "freshness.offline": " · offline, ipinapakita ang huling presyong nakita namin",
+
+    "search.placeholder": "Maghanap ayon sa pamagat, may-akda o buod",
+    "search.author": "May-akda",
+    "search.genre": "Genre",
+    "search.price": "Presyo (₱)",
+    "search.min": "Min",
+    "search.max": "Max",
+    "search.discountOnly": "May discount lang",
+    "search.sortBy": "Ayusin ayon sa",
+    "search.clear": "I-clear ang mga filter",
+    "search.noMatch": "Walang librong tugma sa hinahanap mo.",
+    "sort.title": "Pamagat (A–Z)",
+    "sort.price": "Presyo (mababa hanggang mataas)",
+    "sort.discount": "Pinakamalaking discount",
+    "sort.newest": "Pinakabago",
+
+    "book.byline": "{title} ni {author}",
+    "status.available": "Available",
+    "status.coming_soon": "Paparating pa lang",
+    "status.sold_out": "Ubos na",
+    "stock.left": "{count} na lang ang natitira",
+    "edition.standard": "Standard",
+    "edition.note.coming_soon": "paparating pa lang",
+    "edition.note.sold_out": "ubos na",
+    "bundle.includes": "Kasama: {parts}",
+
+    "waitlist.joinButton": "Sumali sa waitlist",
+    "waitlist.heading": "Sumali sa waitlist:",
+    "waitlist.intro": "Kokontakin ka namin kapag may kopya nang puwedeng i-pre-order.",
+    "waitlist.pickup": "Gustong Pick-up Location:",
+    "waitlist.copies": "Ilang kopya:",
+    "waitlist.submit": "Sumali sa Waitlist",
+    "waitlist.cancel": "Kanselahin",
+    "waitlist.joined": "Nasa waitlist ka na para sa {title}. Kokontakin ka namin kapag puwede na itong i-pre-order.",
+    "waitlist.failed": "Hindi makasali sa waitlist. Tingnan ang iyong koneksyon at subukan ulit.",
+
+    "order.heading": "Ang Iyong Pre-Order",
+    "order.trackLink": "Nakapag-order ka na? I-track ang order mo",
+    "group.toggle": "Group order (para sa ilang tao)",
+    "group.personPlaceholder": "Pangalan ng Kasali",
+    "group.addPerson": "Idagdag ang Tao",
+    "group.tickingFor": "Pumipili ng libro para kay:",
+    "group.addFirst": "Magdagdag muna ng kasali, saka piliin ang mga libro niya.",
+    "group.removeConfirm": "Tanggalin si {person} at ang {count} libro niya sa order?",
+
+    "cart.empty": "Wala ka pang napiling libro.",
+    "cart.ok": "OK",
+    "cart.shortage": "Naubos ang {title} habang nag-o-order ka: {requested} ang hiningi mo, {available} na lang ang natitira.",
+    "col.number": "#",
+    "col.for": "Para kay",
+    "col.title": "Pamagat",
+    "col.author": "May-akda",
+    "col.qty": "Dami",
+    "col.price": "Presyo",
+    "col.remove": "Tanggalin",
+    "col.person": "Tao",
+    "col.books": "Libro",
+    "col.subtotal": "Subtotal",
+    "col.toPay": "Babayaran",
+    "total.subtotal": "Subtotal: {amount}",
+    "total.promo": "Promo {code}: −{amount}",
+    "total.grand": "Kabuuang halaga: {amount}",
+    "total.total": "Kabuuan: {amount}",
+    "promo.placeholder": "Promo Code",
+    "promo.apply": "Gamitin",
+    "promo.checkFailed": "Hindi ma-check ang promo code. Pakisubukan ulit.",
+    "checkout.proceed": "Magpatuloy sa Checkout",
+    "share.button": "I-share ang listahan",
+    "share.copied": "Nakopya ang link!",
+
+    "form.heading": "Impormasyon ng Customer",
+    "form.fullname": "Buong Pangalan",
+    "form.email": "Email Address",
+    "form.contact": "Mobile Number, hal. 0917 123 4567",
+    "form.fb": "Pangalan sa FB",
+    "form.pickup": "Pick-up Location:",
+    "form.pickupdate": "Petsa ng Pick-up:",
+    "form.select": "-- Pumili --",
+    "form.locationFirst": "-- Pumili muna ng location --",
+    "form.paidLegend": "Nakapagbayad na? (opsyonal)",
+    "form.wallet": "-- Wallet --",
+    "form.reference": "Reference Number",
+    "form.amount": "Halagang Binayaran (₱)",
+    "form.receipt": "Screenshot ng resibo (opsyonal):",
+    "form.confirm": "Kumpirmahin ang Order",
+    "pickup.option": "{location} - {days}",
+    "disclaimer.heading": "Paalala:",
+    "disclaimer.pickupOnly": "Pick-up lang",
+    "disclaimer.payFirst": "Para mas mabilis, magbayad po muna",
+    "disclaimer.paymentOptions": "Paraan ng Pagbayad:",
+    "disclaimer.accountName": "Pangalan ng Account:",
+    "disclaimer.accountNumber": "Account Number:",
+
+    "order.emptyCart": "Pumili muna ng kahit isang libro bago kumpirmahin ang order.",
+    "order.needsParticipant": "Bawat libro sa group order ay kailangang may nakatalagang kasali.",
+    "order.notAccepted": "Hindi tinanggap ang order: {error}",
+    "order.offline": "Mukhang offline ka. Naka-save ang order mo at awtomatiko itong ipapadala.",
+    "order.offlineUnsaved": "Mukhang offline ka, at wala nang espasyo sa device na ito para i-save ang order mo. Subukan ulit kapag online ka na.",
+    "confirm.title": "Kumpirmado ang order!",
+    "confirm.orderId": "Ang Order ID mo:",
+    "confirm.track": "i-track ang order na ito",
+    "confirm.manageBefore": "Kailangang baguhin o kanselahin? Gamitin ang iyong",
+    "confirm.manageLink": "pribadong manage link",
+    "confirm.manageAfter": "bago ang cutoff ng pick-up. Huwag itong ibahagi: kahit sinong may link ay puwedeng magbago ng order na ito.",
+    "confirm.fromBundle": "mula sa {title}",
+    "confirm.downloadReceipt": "I-download ang resibo",
+    "confirm.addToCalendar": "Idagdag ang pick-up sa kalendaryo",
+    "confirm.qr": "Ipakita ang code na ito sa pag-pick up para mabilis naming mahanap ang iyong order.",
+
+    "receipt.title": "Resibo ng pre-order",
+    "receipt.orderId": "Order ID: {orderId}",
+    "receipt.orderedOn": "In-order noong {date}",
+    "receipt.customer": "Pangalan: {name}",
+    "receipt.pickup": "Pick-up: {location}, {date}",
+    "receipt.payHeading": "Bayad",
+    "receipt.payInstructions": "Pakipadala ang {amount} sa {wallets} kay {name}, account number {number}, at ilagay ang reference number sa tracking page ng iyong order.",
+    "receipt.paymentSent": "Natanggap namin ang detalye ng iyong bayad at kukumpirmahin namin ito sa lalong madaling panahon.",
+    "receipt.trackLink": "I-track ang iyong order: {link}",
+    "receipt.manageLink": "Baguhin o kanselahin bago ang cutoff ng pick-up (huwag ibahagi ang link na ito): {link}",
+    "receipt.bring": "Dalhin ang iyong Order ID sa pag-pick up.",
+    "email.subject": "Kumpirmado ang iyong pre-order {orderId}",
+    "email.greeting": "Hi {name},",
+    "email.intro": "Salamat sa iyong pre-order! Narito ang mga detalye.",
+    "email.footer": "May tanong? Sumagot sa email na ito o mag-message sa amin sa Facebook.",
+    "calendar.summary": "Pick-up ng book pre-order {orderId}",
+
+    "data.clear": "Burahin ang lahat ng data ko",
+    "data.clearConfirm": "Burahin ang naka-save mong cart, history ng order at iba pang data sa device na ito?",
+    "data.pendingWarning": "{count} order ang hindi pa naipapadala at mawawala.",
+
+    "outbox.heading": "Mga Ipinadalang Order",
+    "outbox.summary": "{name} – {count} libro",
+    "outbox.pending": "Naghihintay – ipapadala kapag online ka na ulit",
+    "outbox.sent": "Naipadala – Order ID {orderId}",
+    "outbox.manage": "baguhin o kanselahin",
+    "outbox.failed": "Hindi tinanggap: {error}",
+    "outbox.dismiss": "Isara",
+
+    "validation.fullname.required": "Pakilagay ang iyong pangalan.",
+    "validation.fullname.tooLong": "Hanggang {max} character lang ang pangalan.",
+    "validation.email.required": "Pakilagay ang iyong email address.",
+    "validation.email.invalid": "Pakilagay ang tamang email address, hal. juan@example.com.",
+    "validation.contact.required": "Pakilagay ang iyong mobile number.",
+    "validation.contact.invalid": "Pakilagay ang Philippine mobile number, hal. 0917 123 4567.",
+    "validation.fb.tooLong": "Hanggang {max} character lang ang pangalan sa FB.",
+    "validation.quantity": "Ang dami ay dapat buong numero mula 1 hanggang {max}.",
+    "validation.fields": "Pakitingnan ang iyong mga detalye: {messages}",
+    "validation.pickup": "Pumili ng pick-up location.",
+
+    "pickup.noDate": "Pumili ng petsa ng pick-up.",
+    "pickup.tooEarly": "Ang pick-up sa {location} ay dapat sa {date} o pagkatapos nito.",
+    "pickup.wrongDay": "Ang pick-up sa {location} ay tuwing {days} lang.",
+    "pickup.blackout": "Walang pick-up sa {location} sa {date}.",
+    "promo.missing": "Walang ganyang promo code.",
+    "promo.expired": "Nag-expire ang promo {code} noong {date}.",
+    "promo.usedUp": "Naubos na ang promo {code}.",
+    "promo.minSpend": "Kailangan ng minimum na {amount} para sa promo {code}.",
+    "promo.notApplicable": "Hindi sakop ng promo {code} ang mga libro sa iyong order.",
+    "book.notOpen": "Hindi pa bukas sa pre-order ang {title}.",
+    "book.soldOut": "Sold out na ang {title}.",
+    "cart.gone": "Wala na sa catalog ang {title} kaya inalis ito sa iyong cart.",
+    "cart.unavailable": "{reason} Inalis ito sa iyong cart.",
+    "cart.soldOut": "Sold out na ang {title} kaya inalis ito sa iyong cart.",
+    "cart.reduced": "{available} na lang ang natitira sa {title}; ibinaba ang dami mula {quantity}.",
+    "cart.priceChanged": "{after} na ngayon ang {title} ({before} noong idinagdag mo).",
+    "share.gone": "Wala na sa catalog ang isang libro sa ibinahaging listahan (ID {id}).",
+    "share.unavailable": "{reason} Hindi ito isinama.",
+    "share.soldOut": "Sold out na ang {title} kaya hindi ito isinama.",
+    "share.short": "{available} na lang ang natitira sa {title}; {quantity} ang hiningi ng ibinahaging listahan.",
+    "waitlist.notInCatalog": "Wala sa catalog ang librong iyan.",
+    "waitlist.availableNow": "Puwede nang i-pre-order ang {title}; hindi na kailangang maghintay.",
+    "waitlist.reach": "Pakilagay ang email address o contact number para ma-contact ka namin.",
+    "waitlist.quantity": "Ang dami ay dapat buong numero mula 1 hanggang {max}.",
+    "manage.cancelled": "Kinansela na ang order na ito.",
+    "manage.preparing": "Inihahanda na ang order na ito para sa pick-up kaya hindi na ito mababago rito. Mag-message po sa amin sa Facebook.",
+    "manage.closed": "Sarado na ang pagbabago sa order na ito mula {date}. Mag-message po sa amin sa Facebook.",
+    "manage.released": "Naibigay na sa pick-up ang bahagi ng order na ito kaya hindi na ito mababago rito. Mag-message po sa amin sa Facebook.",
+    "manage.unchanged": "Walang nabago.",
+    "manage.invalidLink": "Hindi wasto ang manage link na ito.",
+    "order.noItems": "Walang laman ang order.",
+    "book.unknown": "Hindi kilalang libro: {id}",
+    "book.retired": "Hindi na available ang {title}.",
+    "pickup.unknown": "Hindi kilalang pick-up location: {location}",
+    "stock.short": "Kulang ang stock ng {titles}.",
+    "payment.wallet": "Pumili ng GCash o Maya.",
+    "payment.reference.gcash": "Ang GCash reference number ay 13 digit.",
+    "payment.reference.maya": "Ang Maya reference number ay 12 letra o digit.",
+    "payment.amount": "Ilagay ang halagang ibinayad mo.",
+    "payment.receiptType": "Ang resibo ay dapat screenshot (PNG, JPEG, WebP, GIF o HEIC).",
+    "payment.receiptSize": "Ang screenshot ng resibo ay dapat mas maliit sa 1 MB.",
+    "payment.receiptUnreadable": "Hindi mabasa ang screenshot ng resibo.",
+
+    "app.brand": "Feast Books — Pre‑Order",
+    "app.privacyBadge": "Walang data na lumalabas sa device mo",
+    "app.cart": "Cart ({count})",
+    "app.cartEmpty": "Wala pang laman ang cart mo.",
+    "app.forPerson": "para kay {person}",
+    "app.promo": "Promo {code}",
+    "app.clear": "I-clear",
+    "app.print": "I-print",
+    "app.pdf": "PDF",
+    "app.cartTip": "Tip: Sa browser mo lang tumatakbo ang site na ito. Gamitin ang “I-print” o “PDF” para gumawa ng pre-order slip. Walang data na ina-upload.",
+    "app.heroTitle": "I-pre-order ang Susunod Mong Babasahin",
+    "app.heroText": "Tingnan ang mga tampok na libro ng Feast. Idagdag sa pre-order mo at gumawa ng slip na puwedeng i-print.",
+    "app.heroPrivacy": "Hindi kami nagtatala ng anumang personal na impormasyon bilang default.",
+    "app.heroTags": "Privacy muna • Gumagana offline • Walang sign-in",
+    "app.contactToggle": "Opsyonal na contact fields",
+    "app.contactHelp": "Iwanang naka-off para manatiling anonymous. I-on lang kung gusto mong isama ang contact info sa naka-print mong slip.",
+    "app.namePlaceholder": "Buong pangalan (opsyonal)",
+    "app.emailPlaceholder": "Email (opsyonal)",
+    "app.phonePlaceholder": "Telepono (opsyonal)",
+    "app.groupToggle": "Group order",
+    "app.groupHelp": "Nag-o-order para sa ilang tao? Idagdag ang bawat kasali, saka pumili ng libro habang sila ang napili.",
+    "app.participantPlaceholder": "Pangalan ng kasali",
+    "app.add": "Idagdag",
+    "app.addingFor": "Nagdadagdag ng libro para kay {person}. I-click ang pangalan para lumipat.",
+    "app.addFirst": "Magdagdag muna ng kasali, saka piliin ang mga libro niya.",
+    "app.featured": "Mga Tampok na Libro",
+    "app.clickToAdd": "I-click ang card para idagdag sa pre-order",
+    "app.skippedRows": "{count} row ng catalog ang nilaktawan dahil sa maling data",
+    "app.save": "Tipid {amount}",
+    "app.addToOrder": "Idagdag sa Pre-Order",
+    "app.notesTitle": "Mga Tala sa Order (sa print lang)",
+    "app.notesPlaceholder": "Iskedyul ng pickup, branch, o espesyal na request.\n(Mananatili sa browser mo ang mga talang ito hanggang mag-print ka.)",
+    "app.printSlip": "I-print ang Pre-Order Slip",
+    "app.downloadPdf": "I-download ang PDF",
+    "app.privacyDefault": "Privacy bilang default",
+    "app.privacyNotice": "🔒 Paalala sa Privacy: Hindi nagtatala o nag-iimbak ang form na ito ng anumang personal na impormasyon. Naka-save sa browser na ito ang cart, mga tala at idinagdag mong libro para hindi mawala kapag nag-refresh; walang lumalabas sa device mo hangga't hindi ka nagpi-print o nagse-save ng PDF.",
+    "app.clearConfirm": "Burahin ang naka-save mong cart, mga tala at idinagdag na libro sa device na ito?",
+    "app.summary": "Buod",
+    "app.dismiss": "Isara",
+    "app.noItems": "Wala pang laman. Magdagdag ng libro para makagawa ng slip.",
+    "app.perPerson": "Bawat tao (babayaran)",
+    "app.grandTotal": "Kabuuang halaga",
+    "app.total": "Kabuuan",
+    "app.shareNote": "Isama ang mga tala ko sa link",
+    "app.shareHelp": "Nasa link mismo ang listahan; walang ina-upload.",
+    "app.name": "Pangalan:",
+    "app.email": "Email:",
+    "app.phone": "Telepono:",
+    "app.waitlistTitle": "Sumali sa Waitlist",
+    "app.waitlistIntro": "Ang {title} ay {status}. Iwan ang iyong detalye at kokontakin ka namin kapag may kopya nang puwedeng i-pre-order.",
+    "app.fullname": "Buong pangalan",
+    "app.emailField": "Email",
+    "app.phoneField": "Telepono",
+    "app.preferredPickup": "Gustong pick-up location",
+    "app.choose": "— pumili —",
+    "app.copies": "Ilang kopya",
+    "app.joining": "Sumasali…",
+    "app.waitlistPrivacy": "Kapag sumali ka, ipapadala ang pangalan, contact details at napiling pick-up mo sa mga organizer para makontak ka nila.",
+    "app.footer": "Hindi kami nangongolekta o nagpapadala ng personal na impormasyon maliban kung sasali ka sa waitlist. Gamitin ang Print button para gumawa ng sarili mong slip.",
+
+    "quickAdd.heading": "Quick Add at Catalog Tools (sa device lang)",
+    "quickAdd.genre": "Genre",
+    "quickAdd.pricePHP": "Presyo (PHP)",
+    "quickAdd.discountPct": "Diskwento %",
+    "quickAdd.image": "URL ng larawan",
+    "quickAdd.publisher": "Publisher",
+    "quickAdd.supplierCost": "Halaga mula sa supplier (PHP, opsyonal)",
+    "quickAdd.summary": "Maikling highlights / buod (opsyonal)",
+    "quickAdd.add": "Idagdag sa Catalog",
+    "quickAdd.import": "Mag-import ng CSV o JSON",
+    "quickAdd.exportCsv": "I-export ang CSV",
+    "quickAdd.exportJson": "I-export ang JSON",
+    "quickAdd.readFailed": "Hindi mabasa ang {file}: {error}",
+    "quickAdd.importing": "Ini-import ang {file} ({count} row)",
+    "quickAdd.column": "Column na “{header}”",
+    "quickAdd.ignore": "— huwag pansinin —",
+    "quickAdd.id": "ID",
+    "quickAdd.discount": "Diskwento",
+    "quickAdd.more": "…at {count} pa.",
+    "quickAdd.skipped": "{count} row ang lalaktawan",
+    "quickAdd.cancel": "Kanselahin",
+    "quickAdd.confirmImport": "I-import ang {count} libro",
+    "quickAdd.edit": "I-edit ang mga nasa catalog ({count})",
+    "quickAdd.cap": "Cap",
+    "quickAdd.cost": "Halaga",
+    "quickAdd.onHand": "Nasa kamay",
+    "quickAdd.source": "Pinagmulan",
+    "quickAdd.editedLocally": "binago rito",
+    "quickAdd.local": "dito lang",
+    "quickAdd.sheet": "sheet",
+    "quickAdd.sheetNote": "Ang mga libro mula sa sheet ay binabago sa Google Sheet; kapag in-edit dito, may lokal na kopya hanggang burahin mo ito.",
+    "quickAdd.help": "Ang mga librong idinagdag, in-import o in-edit mo ay naka-save lang sa browser na ito, kaya nananatili kahit i-refresh. Walang ina-upload. Isinusulat ng Export CSV ang mga column ng Books sheet nang sunod-sunod, sa ilalim ng kanilang header, maliban sa reserved at retired: ang sheet mismo ang nag-iingat ng mga iyon, kaya i-paste ang bawat column sa ilalim ng sarili nitong header. Ang supplier cost at on-hand stock ay ine-export lang kapag lahat ng libro ay idinagdag dito, dahil wala ang mga ito sa pampublikong feed."
+  },
+
+  ceb: {
+    "lang.label": "Pinulongan",
+    "page.title": "Pre-Order og Libro",
+
+    "catalog.heading": "I-pre-order ang imong sunod nga basahon 📚",
+    "catalog.loading": "Gikarga ang mga libro...",
+    "catalog.loadFailed": "Dili makarga ang catalog. Susiha ang imong koneksyon ug i-refresh.",
+    "catalog.unchecked": "Dili ma-check ang presyo ug stock sa imong na-save nga cart samtang dili available ang catalog.",
+    "freshness.asOf": "Presyo kaniadtong {when}",
+    "freshness.checking": " · nagsusi kung naay bag-o…",
+    "freshness.offline": " · offline, gipakita ang katapusang presyo nga among nakita",
+
+    "search.placeholder": "Pangitaa ang titulo, awtor o sumaryo",
+    "search.author": "Awtor",
+    "search.genre": "Genre",
+    "search.price": "Presyo (₱)",
+    "search.min": "Min",
+    "search.max": "Max",
+    "search.discountOnly": "Naay diskwento ra",
+    "search.sortBy": "Han-aya pinaagi sa",
+    "search.clear": "Limpyohi ang mga filter",
+    "search.noMatch": "Walay libro nga mohaum sa imong gipangita.",
+    "sort.title": "Titulo (A–Z)",
+    "sort.price": "Presyo (ubos ngadto sa taas)",
+    "sort.discount": "Pinakadakong diskwento",
+    "sort.newest": "Pinakabag-o",
+
+    "book.byline": "{title} ni {author}",
+    "status.available": "Available",
+    "status.coming_soon": "Hapit na moabot",
+    "status.sold_out": "Nahurot na",
+    "stock.left": "{count} na lang ang nahabilin",
+    "edition.standard": "Standard",
+    "edition.note.coming_soon": "hapit na moabot",
+    "edition.note.sold_out": "nahurot na",
+    "bundle.includes": "Apil: {parts}",
+
+    "waitlist.joinButton": "Apil sa waitlist",
+    "waitlist.heading": "Apil sa waitlist:",
+    "waitlist.intro": "Kontakon ka namo kung naa nay kopya nga ma-pre-order.",
+    "waitlist.pickup": "Gusto nga Pick-up Location:",
+    "waitlist.copies": "Pila ka kopya:",
+    "waitlist.submit": "Apil sa Waitlist",
+    "waitlist.cancel": "Kanselaha",
+    "waitlist.joined": "Naa na ka sa waitlist para sa {title}. Kontakon ka namo kung ma-pre-order na kini.",
+    "waitlist.failed": "Dili maka-apil sa waitlist. Susiha ang imong koneksyon ug sulayi pag-usab.",
+
+    "order.heading": "Imong Pre-Order",
+    "order.trackLink": "Naka-order na ka? I-track ang imong order",
+    "group.toggle": "Group order (para sa pipila ka tawo)",
+    "group.personPlaceholder": "Ngalan sa Kauban",
+    "group.addPerson": "Idugang ang Tawo",
+    "group.tickingFor": "Nagpili og libro para kang:",
+    "group.addFirst": "Pagdugang una og kauban, dayon pilia ang iyang mga libro.",
+    "group.removeConfirm": "Tangtangon si {person} ug ang iyang {count} ka libro sa order?",
+
+    "cart.empty": "Wala pa kay napili nga libro.",
+    "cart.ok": "OK",
+    "cart.shortage": "Nahurot ang {title} samtang nag-order ka: {requested} ang imong gipangayo, {available} na lang ang nahabilin.",
+    "col.number": "#",
+    "col.for": "Para kang",
+    "col.title": "Titulo",
+    "col.author": "Awtor",
+    "col.qty": "Pila",
+    "col.price": "Presyo",
+    "col.remove": "Tangtangon",
+    "col.person": "Tawo",
+    "col.books": "Libro",
+    "col.subtotal": "Subtotal",
+    "col.toPay": "Bayranan",
+    "total.subtotal": "Subtotal: {amount}",
+    "total.promo": "Promo {code}: −{amount}",
+    "total.grand": "Kinatibuk-ang total: {amount}",
+    "total.total": "Total: {amount}",
+    "promo.placeholder": "Promo Code",
+    "promo.apply": "Gamita",
+    "promo.checkFailed": "Dili ma-check ang promo code. Palihug sulayi pag-usab.",
+    "checkout.proceed": "Padayon sa Checkout",
+    "share.button": "I-share ang lista",
+    "share.copied": "Nakopya ang link!",
+
+    "form.heading": "Impormasyon sa Customer",
+    "form.fullname": "Tibuok Ngalan",
+    "form.email": "Email Address",
+    "form.contact": "Mobile Number, pananglitan 0917 123 4567",
+    "form.fb": "Ngalan sa FB",
+    "form.pickup": "Pick-up Location:",
+    "form.pickupdate": "Petsa sa Pick-up:",
+    "form.select": "-- Pili --",
+    "form.locationFirst": "-- Pili una og location --",
+    "form.paidLegend": "Nakabayad na? (opsyonal)",
+    "form.wallet": "-- Wallet --",
+    "form.reference": "Reference Number",
+    "form.amount": "Kantidad nga Gibayad (₱)",
+    "form.receipt": "Screenshot sa resibo (opsyonal):",
+    "form.confirm": "Kumpirmaha ang Order",
+    "pickup.option": "{location} - {days}",
+    "disclaimer.heading": "Pahibalo:",
+    "disclaimer.pickupOnly": "Pick-up ra",
+    "disclaimer.payFirst": "Aron mas paspas, palihug bayad una",
+    "disclaimer.paymentOptions": "Paagi sa Pagbayad:",
+    "disclaimer.accountName": "Ngalan sa Account:",
+    "disclaimer.accountNumber": "Account Number:",
+
+    "order.emptyCart": "Palihug pili og bisan usa ka libro sa dili pa kumpirmahon ang order.",
+    "order.needsParticipant": "Ang matag libro sa group order kinahanglan adunay kauban.",
+    "order.notAccepted": "Wala gidawat ang order: {error}",
+    "order.offline": "Morag offline ka. Na-save ang imong order ug awtomatiko kining ipadala.",
+    "order.offlineUnsaved": "Morag offline ka, ug wala nay lugar niining device aron i-save ang imong order. Palihug sulayi pag-usab kon online na ka.",
+    "confirm.title": "Kumpirmado ang order!",
+    "confirm.orderId": "Imong Order ID:",
+    "confirm.track": "i-track kini nga order",
+    "confirm.manageBefore": "Kinahanglan usbon o kanselahon? Gamita ang imong",
+    "confirm.manageLink": "pribado nga manage link",
+    "confirm.manageAfter": "sa dili pa ang cutoff sa pick-up. Ayaw kini ipakigbahin: bisan kinsa nga naay link makausab niini nga order.",
+    "confirm.fromBundle": "gikan sa {title}",
+    "confirm.downloadReceipt": "I-download ang resibo",
+    "confirm.addToCalendar": "Idugang ang pick-up sa kalendaryo",
+    "confirm.qr": "Ipakita kini nga code inig pick-up aron dali namong makit-an ang imong order.",
+
+    "receipt.title": "Resibo sa pre-order",
+    "receipt.orderId": "Order ID: {orderId}",
+    "receipt.orderedOn": "Gi-order niadtong {date}",
+    "receipt.customer": "Ngalan: {name}",
+    "receipt.pickup": "Pick-up: {location}, {date}",
+    "receipt.payHeading": "Bayad",
+    "receipt.payInstructions": "Palihug ipadala ang {amount} pinaagi sa {wallets} ngadto kang {name}, account number {number}, ug ibutang ang reference number sa tracking page sa imong order.",
+    "receipt.paymentSent": "Nadawat namo ang detalye sa imong bayad ug among kini kumpirmahon dayon.",
+    "receipt.trackLink": "I-track ang imong order: {link}",
+    "receipt.manageLink": "Usba o kanselaha sa dili pa ang cutoff sa pick-up (ayaw ipakigbahin kini nga link): {link}",
+    "receipt.bring": "Dad-a ang imong Order ID inig pick-up.",
+    "email.subject": "Kumpirmado na ang imong pre-order {orderId}",
+    "email.greeting": "Hi {name},",
+    "email.intro": "Salamat sa imong pre-order! Ania ang mga detalye.",
+    "email.footer": "Naay pangutana? Tubaga kini nga email o i-message mi sa Facebook.",
+    "calendar.summary": "Pick-up sa book pre-order {orderId}",
+
+    "data.clear": "Papasa tanan nakong data",
+    "data.clearConfirm": "Papason ang imong na-save nga cart, history sa order ug uban pang data niini nga device?",
+    "data.pendingWarning": "{count} ka order ang wala pa mapadala ug mawala.",
+
+    "outbox.heading": "Mga Napadala nga Order",
+    "outbox.summary": "{name} – {count} ka libro",
+    "outbox.pending": "Naghulat – ipadala kung online na ka pag-usab",
+    "outbox.sent": "Napadala – Order ID {orderId}",
+    "outbox.manage": "usba o kanselaha",
+    "outbox.failed": "Wala gidawat: {error}",
+    "outbox.dismiss": "Isira",
+
+    "validation.fullname.required": "Palihug isulat ang imong ngalan.",
+    "validation.fullname.tooLong": "Hangtod {max} ka character ra ang ngalan.",
+    "validation.email.required": "Palihug isulat ang imong email address.",
+    "validation.email.invalid": "Palihug isulat ang sakto nga email address, pananglitan juan@example.com.",
+    "validation.contact.required": "Palihug isulat ang imong mobile number.",
+    "validation.contact.invalid": "Palihug isulat ang Philippine mobile number, pananglitan 0917 123 4567.",
+    "validation.fb.tooLong": "Hangtod {max} ka character ra ang ngalan sa FB.",
+    "validation.quantity": "Ang gidaghanon kinahanglan tibuok nga numero gikan 1 hangtod {max}.",
+    "validation.fields": "Palihug susiha ang imong mga detalye: {messages}",
+    "validation.pickup": "Palihug pili og pick-up location.",
+
+    "pickup.noDate": "Palihug pili og petsa sa pick-up.",
+    "pickup.tooEarly": "Ang pick-up sa {location} kinahanglan sa {date} o human niini.",
+    "pickup.wrongDay": "Ang pick-up sa {location} kada {days} ra.",
+    "pickup.blackout": "Walay pick-up sa {location} sa {date}.",
+    "promo.missing": "Walay ingon ana nga promo code.",
+    "promo.expired": "Na-expire ang promo {code} niadtong {date}.",
+    "promo.usedUp": "Nahurot na ang promo {code}.",
+    "promo.minSpend": "Ang promo {code} nagkinahanglan og minimum nga {amount}.",
+    "promo.notApplicable": "Dili sakop sa promo {code} ang mga libro sa imong order.",
+    "book.notOpen": "Dili pa bukas alang sa pre-order ang {title}.",
+    "book.soldOut": "Sold out na ang {title}.",
+    "cart.gone": "Wala na sa catalog ang {title} busa gikuha kini sa imong cart.",
+    "cart.unavailable": "{reason} Gikuha kini sa imong cart.",
+    "cart.soldOut": "Sold out na ang {title} busa gikuha kini sa imong cart.",
+    "cart.reduced": "{available} na lang ang nahabilin sa {title}; gikunhoran ang gidaghanon gikan sa {quantity}.",
+    "cart.priceChanged": "{after} na karon ang {title} ({before} sa dihang gidugang nimo).",
+    "share.gone": "Wala na sa catalog ang usa ka libro sa gipaambit nga lista (ID {id}).",
+    "share.unavailable": "{reason} Wala kini gilakip.",
+    "share.soldOut": "Sold out na ang {title} busa wala kini gilakip.",
+    "share.short": "{available} na lang ang nahabilin sa {title}; {quantity} ang gipangayo sa gipaambit nga lista.",
+    "waitlist.notInCatalog": "Wala sa catalog kana nga libro.",
+    "waitlist.availableNow": "Mahimo na nga i-pre-order ang {title}; dili na kinahanglan maghulat.",
+    "waitlist.reach": "Palihug isulat ang email address o contact number aron makontak ka namo.",
+    "waitlist.quantity": "Ang gidaghanon kinahanglan tibuok nga numero gikan 1 hangtod {max}.",
+    "manage.cancelled": "Gikansela na kini nga order.",
+    "manage.preparing": "Giandam na kini nga order alang sa pick-up busa dili na kini mausab dinhi. Palihug mag-message kanamo sa Facebook.",
+    "manage.closed": "Gisirad-an na ang pag-usab niini nga order niadtong {date}. Palihug mag-message kanamo sa Facebook.",
+    "manage.released": "Naihatag na sa pick-up ang bahin niini nga order busa dili na kini mausab dinhi. Palihug mag-message kanamo sa Facebook.",
+    "manage.unchanged": "Walay nausab.",
+    "manage.invalidLink": "Dili balido kining manage link.",
+    "order.noItems": "Walay sulod ang order.",
+    "book.unknown": "Wala mailhi nga libro: {id}",
+    "book.retired": "Dili na available ang {title}.",
+    "pickup.unknown": "Wala mailhi nga pick-up location: {location}",
+    "stock.short": "Kulang ang stock sa {titles}.",
+    "payment.wallet": "Palihug pili og GCash o Maya.",
+    "payment.reference.gcash": "Ang GCash reference number 13 ka digit.",
+    "payment.reference.maya": "Ang Maya reference number 12 ka letra o digit.",
+    "payment.amount": "Palihug isulat ang kantidad nga imong gibayad.",
+    "payment.receiptType": "Ang resibo kinahanglan screenshot (PNG, JPEG, WebP, GIF o HEIC).",
+    "payment.receiptSize": "Ang screenshot sa resibo kinahanglan ubos sa 1 MB.",
+    "payment.receiptUnreadable": "Dili mabasa ang screenshot sa resibo.",
+
+    "app.brand": "Feast Books — Pre‑Order",
+    "app.privacyBadge": "Walay data nga mogawas sa imong device",
+    "app.cart": "Cart ({count})",
+    "app.cartEmpty": "Walay sulod ang imong cart.",
+    "app.forPerson": "para kang {person}",
+    "app.promo": "Promo {code}",
+    "app.clear": "Limpyohi",
+    "app.print": "I-print",
+    "app.pdf": "PDF",
+    "app.cartTip": "Tip: Sa imong browser ra modagan kini nga site. Gamita ang “I-print” o “PDF” aron makahimo og pre-order slip. Walay data nga i-upload.",
+    "app.heroTitle": "I-pre-order ang Imong Sunod nga Basahon",
+    "app.heroText": "Tan-awa ang mga pinili nga libro sa Feast. Idugang sa imong pre-order ug paghimo og slip nga ma-print.",
+    "app.heroPrivacy": "Wala mi magtala og bisan unsang personal nga impormasyon isip default.",
+    "app.heroTags": "Privacy una • Mogana bisan offline • Walay sign-in",
+    "app.contactToggle": "Opsyonal nga contact fields",
+    "app.contactHelp": "Biyai nga naka-off aron magpabilin nga anonymous. I-on lang kung gusto nimo iapil ang contact info sa imong na-print nga slip.",
+    "app.namePlaceholder": "Tibuok ngalan (opsyonal)",
+    "app.emailPlaceholder": "Email (opsyonal)",
+    "app.phonePlaceholder": "Telepono (opsyonal)",
+    "app.groupToggle": "Group order",
+    "app.groupHelp": "Nag-order para sa pipila ka tawo? Idugang ang matag kauban, dayon pili og libro samtang sila ang napili.",
+    "app.participantPlaceholder": "Ngalan sa kauban",
+    "app.add": "Idugang",
+    "app.addingFor": "Nagdugang og libro para kang {person}. I-click ang ngalan aron mobalhin.",
+    "app.addFirst": "Pagdugang una og kauban, dayon pilia ang iyang mga libro.",
+    "app.featured": "Mga Pinili nga Libro",
+    "app.clickToAdd": "I-click ang card aron idugang sa pre-order",
+    "app.skippedRows": "{count} ka row sa catalog ang gilaktawan tungod sa sayop nga data",
+    "app.save": "Tipig {amount}",
+    "app.addToOrder": "Idugang sa Pre-Order",
+    "app.notesTitle": "Mga Nota sa Order (sa print ra)",
+    "app.notesPlaceholder": "Iskedyul sa pickup, branch, o espesyal nga hangyo.\n(Magpabilin kini nga mga nota sa imong browser hangtod mag-print ka.)",
+    "app.printSlip": "I-print ang Pre-Order Slip",
+    "app.downloadPdf": "I-download ang PDF",
+    "app.privacyDefault": "Privacy isip default",
+    "app.privacyNotice": "🔒 Pahibalo sa Privacy: Kini nga form wala magtala o magtipig og bisan unsang personal nga impormasyon. Na-save niini nga browser ang imong cart, mga nota ug gidugang nga libro aron dili mawala kung mag-refresh; walay mogawas sa imong device hangtod mag-print ka o mag-save og PDF.",
+    "app.clearConfirm": "Papason ang imong na-save nga cart, mga nota ug gidugang nga libro niini nga device?",
+    "app.summary": "Sumaryo",
+    "app.dismiss": "Isira",
+    "app.noItems": "Wala pay sulod. Pagdugang og libro aron makahimo og slip.",
+    "app.perPerson": "Matag tawo (bayranan)",
+    "app.grandTotal": "Kinatibuk-ang total",
+    "app.total": "Total",
+    "app.shareNote": "Iapil ang akong mga nota sa link",
+    "app.shareHelp": "Naa sa link mismo ang lista; walay i-upload.",
+    "app.name": "Ngalan:",
+    "app.email": "Email:",
+    "app.phone": "Telepono:",
+    "app.waitlistTitle": "Apil sa Waitlist",
+    "app.waitlistIntro": "Ang {title} kay {status}. Ibilin ang imong detalye ug kontakon ka namo kung naa nay kopya nga ma-pre-order.",
+    "app.fullname": "Tibuok ngalan",
+    "app.emailField": "Email",
+    "app.phoneField": "Telepono",
+    "app.preferredPickup": "Gusto nga pick-up location",
+    "app.choose": "— pili —",
+    "app.copies": "Pila ka kopya",
+    "app.joining": "Nag-apil…",
+    "app.waitlistPrivacy": "Kung moapil ka, ipadala ang imong ngalan, contact details ug napili nga pick-up sa mga organizer aron ka nila makontak.",
+    "app.footer": "Wala mi mangolekta o magpadala og personal nga impormasyon gawas kung moapil ka sa waitlist. Gamita ang Print button aron makahimo og kaugalingon nimong slip.",
+
+    "quickAdd.heading": "Quick Add ug Catalog Tools (sa device ra)",
+    "quickAdd.genre": "Genre",
+    "quickAdd.pricePHP": "Presyo (PHP)",
+    "quickAdd.discountPct": "Diskwento %",
+    "quickAdd.image": "URL sa hulagway",
+    "quickAdd.publisher": "Publisher",
+    "quickAdd.supplierCost": "Gasto gikan sa supplier (PHP, opsyonal)",
+    "quickAdd.summary": "Mubo nga highlights / sumaryo (opsyonal)",
+    "quickAdd.add": "Idugang sa Catalog",
+    "quickAdd.import": "Mag-import og CSV o JSON",
+    "quickAdd.exportCsv": "I-export ang CSV",
+    "quickAdd.exportJson": "I-export ang JSON",
+    "quickAdd.readFailed": "Dili mabasa ang {file}: {error}",
+    "quickAdd.importing": "Gi-import ang {file} ({count} ka row)",
+    "quickAdd.column": "Column nga “{header}”",
+    "quickAdd.ignore": "— ayaw tagda —",
+    "quickAdd.id": "ID",
+    "quickAdd.discount": "Diskwento",
+    "quickAdd.more": "…ug {count} pa.",
+    "quickAdd.skipped": "{count} ka row ang laktawan",
+    "quickAdd.cancel": "Kanselaha",
+    "quickAdd.confirmImport": "I-import ang {count} ka libro",
+    "quickAdd.edit": "Usba ang mga anaa sa catalog ({count})",
+    "quickAdd.cap": "Cap",
+    "quickAdd.cost": "Gasto",
+    "quickAdd.onHand": "Anaa na",
+    "quickAdd.source": "Gigikanan",
+    "quickAdd.editedLocally": "giusab dinhi",
+    "quickAdd.local": "dinhi ra",
+    "quickAdd.sheet": "sheet",
+    "quickAdd.sheetNote": "Ang mga libro gikan sa sheet usbon sa Google Sheet; kon usbon dinhi, adunay lokal nga kopya hangtod imong papason.",
+    "quickAdd.help": "Ang mga libro nga imong gidugang, gi-import o giusab naka-save ra niining browser, busa magpabilin bisan i-refresh. Walay i-upload. Isulat sa Export CSV ang mga column sa Books sheet sunod-sunod, ubos sa ilang header, gawas sa reserved ug retired: ang sheet mismo ang nagtipig niana, busa i-paste ang matag column ubos sa kaugalingon niining header. Ang supplier cost ug on-hand stock i-export ra kon ang tanang libro gidugang dinhi, kay wala kini sa publiko nga feed."
+  }
+};
+
+// lang if it is supported, else the default
+function normalizeLanguage(lang) {
+  return LANGUAGES.hasOwnProperty(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+// The first supported language in a browser's list, e.g.
+// ["fil-PH", "en-US"] → "tl"; English when none is
+function detectLanguage(preferred) {
+  const bases = { en: "en", fil: "tl", tl: "tl", ceb: "ceb" };
+  const match = (preferred || [])
+    .map(tag => bases[String(tag).toLowerCase().split("-")[0]])
+    .find(Boolean);
+  return match || DEFAULT_LANGUAGE;
+}
+
+// t("tl", "stock.left", { count: 3 }) → "3 na lang ang natitira"
+function t(lang, key, params = {}) {
+  const catalog = MESSAGES[normalizeLanguage(lang)];
+  const text = catalog.hasOwnProperty(key) ? catalog[key] : (MESSAGES.en[key] || key);
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params.hasOwnProperty(name) ? String(params[name]) : placeholder);
+}
+
+function localeOf(lang) {
+  return LANGUAGES[normalizeLanguage(lang)].locale;
+}
+
+// ₱1,250.00 in the language's number format
+function formatPHP(n, lang) {
+  return new Intl.NumberFormat(localeOf(lang), { style: "currency", currency: "PHP", maximumFractionDigits: 2 }).format(n);
+}
+
+// A "YYYY-MM-DD" pickup date, e.g. "Sat, Nov 7, 2026" or "Sab, Nob 7, 2026"
+function formatPickupDate(dateStr, lang) {
+  return new Date(dateStr + "T00:00:00").toLocaleDateString(localeOf(lang), {
+    weekday: "short", month: "short", day: "numeric", year: "numeric"
+  });
+}
+
+// A moment (ms or Date) as a short date and time, e.g. "Oct 19, 3:04 PM"
+function formatDateTime(when, lang) {
+  return new Date(when).toLocaleString(localeOf(lang), {
+    month: "short", day: "numeric", hour: "numeric", minute: "2-digit"
+  });
+}
+
+// Pickup weekdays (0 = Sunday, see schedule.js) as day names, e.g. "Sabado, Linggo"
+function formatWeekdays(weekdays, lang) {
+  const names = new Intl.DateTimeFormat(localeOf(lang), { weekday: "long", timeZone: "UTC" });
+  // 2026-01-04 was a Sunday
+  return weekdays.map(w => names.format(new Date(Date.UTC(2026, 0, 4 + w)))).join(", ");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LANGUAGES, DEFAULT_LANGUAGE, MESSAGES, normalizeLanguage, detectLanguage, t,
+    formatPHP, formatPickupDate, formatDateTime, formatWeekdays
+  };
+}
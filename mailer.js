@@ -0,0 +1,130 @@
+// Mail transports for the Node side (mock-server.js). A transport is
+// { send(message) } returning a promise, where message is what
+// confirmationEmail in receipt.js builds: { to, subject, text, html }.
+// Code.gs has its own, MailApp based, in MAIL_TRANSPORTS.
+//
+//   consoleTransport()               prints each message (the default)
+//   smtpTransport({ host, port, from })
+//                                    plain SMTP with no auth or TLS, for a
+//                                    local catcher such as smtp-sink.js
+//
+// createTransport(process.env) picks one from MAIL_TRANSPORT (console, smtp
+// or off), SMTP_HOST, SMTP_PORT and MAIL_FROM.
+
+const net = require("net");
+const os = require("os");
+const { SHOP_NAME } = require("./receipt");
+
+function consoleTransport() {
+  return {
+    send: message => {
+      console.log(`--- Email to ${message.to}: ${message.subject}\n${message.text}\n---`);
+      return Promise.resolve();
+    }
+  };
+}
+
+// ---------- MIME
+
+// Non-ASCII header text as an RFC 2047 encoded word
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString("base64")}?=`;
+}
+
+// Base64 body lines of at most 76 characters
+function base64Lines(text) {
+  return Buffer.from(text).toString("base64").match(/.{1,76}/g) || [];
+}
+
+function mimeMessage(message, from) {
+  const boundary = "alt-" + Math.random().toString(36).slice(2);
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...base64Lines(body)
+  ];
+  return [
+    `From: ${encodeHeader(SHOP_NAME)} <${from}>`,
+    `To: <${message.to}>`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    ...part("text/plain", message.text),
+    ...part("text/html", message.html),
+    `--${boundary}--`
+  ].join("\r\n");
+}
+
+// ---------- SMTP
+
+// Sends one message per connection: EHLO, MAIL FROM, RCPT TO, DATA, QUIT.
+// Each command waits for its reply, which may span several lines
+// ("250-…" continues, "250 …" ends it).
+function smtpTransport({ host = "localhost", port = 1025, from = "preorder@localhost" } = {}) {
+  const send = message => new Promise((resolve, reject) => {
+    const socket = net.connect(port, host);
+    let buffer = "";
+    let waiting = null;
+
+    const fail = err => {
+      socket.destroy();
+      reject(err);
+    };
+    const reply = () => new Promise(res => { waiting = res; });
+    const expect = async (command, code) => {
+      if (command !== null) socket.write(command + "\r\n");
+      const { status, text } = await reply();
+      if (status !== code) throw new Error(`SMTP ${command || "greeting"} refused: ${status} ${text}`);
+    };
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(10000, () => fail(new Error("SMTP server did not answer")));
+    socket.on("error", fail);
+    socket.on("data", chunk => {
+      buffer += chunk;
+      const lines = buffer.split("\r\n");
+      buffer = lines.pop();
+      lines.forEach(line => {
+        if (line[3] === "-" || !waiting) return;
+        const done = waiting;
+        waiting = null;
+        done({ status: Number(line.slice(0, 3)), text: line.slice(4) });
+      });
+    });
+
+    // A lone "." ends DATA, so body lines starting with one get another
+    const data = mimeMessage(message, from).replace(/^\./gm, "..");
+    (async () => {
+      await expect(null, 220);
+      await expect(`EHLO ${os.hostname()}`, 250);
+      await expect(`MAIL FROM:<${from}>`, 250);
+      await expect(`RCPT TO:<${message.to}>`, 250);
+      await expect("DATA", 354);
+      await expect(data + "\r\n.", 250);
+      socket.end("QUIT\r\n");
+      resolve();
+    })().catch(fail);
+  });
+  return { send };
+}
+
+function createTransport(env) {
+  const type = env.MAIL_TRANSPORT || "console";
+  if (type === "off") return { send: () => Promise.resolve() };
+  if (type === "smtp") {
+    return smtpTransport({
+      host: env.SMTP_HOST || "localhost",
+      port: Number(env.SMTP_PORT) || 1025,
+      from: env.MAIL_FROM || "preorder@localhost"
+    });
+  }
+  if (type === "console") return consoleTransport();
+  throw new Error("Unknown MAIL_TRANSPORT: " + type);
+}
+
+module.exports = { consoleTransport, smtpTransport, createTransport };
@@ -0,0 +1,109 @@
+// Customer changes to a placed order through its private manage link
+// (track.html?orderId=…&token=…), shared by track.js, the storefront and
+// the backends (Code.gs, mockBackend). Plain script; module.exports at the
+// bottom.
+//
+// Every order gets a random manageToken when it is placed. It comes back
+// with the orderId and is never shown by the email lookup or the admin
+// console. Until the pickup location's edit cutoff the customer may change
+// quantities, swap the pickup location or date, or cancel. The backend
+// re-prices each change and appends it to the order's history:
+//   [{ at, action: "changed" | "cancelled", changes: ["…", …] }]
+
+const EDITABLE_STATUSES = ["draft", "pending_payment", "paid"];
+
+const manageRules = typeof require === "function"
+  ? { ...require("./schedule"), ...require("./catalog"), ...require("./i18n") }
+  : globalThis;
+
+// Last day an order for pickup on pickupdate may be changed. A location's
+// editCutoffDays (Pickups sheet) sets how many days ahead that is; without
+// one its ordering cutoffDays applies.
+function editDeadline(loc, pickupdate) {
+  const days = loc && loc.editCutoffDays != null ? loc.editCutoffDays : (loc && loc.cutoffDays) || 0;
+  return manageRules.addDays(pickupdate, -days);
+}
+
+// Why the customer can no longer change an order, or "", in lang (see
+// i18n.js). Once check-in has handed over any of its lines (released, see
+// release.js) it is fixed: a change would renumber the lines and a cancel
+// would return copies the customer already has.
+function orderChangeError(order, loc, today, lang) {
+  if (order.status === "cancelled") return manageRules.t(lang, "manage.cancelled");
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    return manageRules.t(lang, "manage.preparing");
+  }
+  if ((order.released || []).length) return manageRules.t(lang, "manage.released");
+  const deadline = editDeadline(loc, order.pickupdate);
+  if (today > deadline) {
+    return manageRules.t(lang, "manage.closed", { date: manageRules.formatPickupDate(deadline, lang) });
+  }
+  return "";
+}
+
+// The lines a customer ordered, [{ id, quantity, person? }], rebuilt from
+// an order's priced items: the titles of a bundle fold back into one line,
+// and repeats of a book or bundle for the same person (orders placed
+// before the backends merged them) add up
+function orderedLines(items, books) {
+  const lines = [];
+  const countedPart = {};
+  items.forEach(item => {
+    const id = item.bundle ? item.bundle.id : item.id;
+    const person = item.person || "";
+
+    let quantity = item.quantity;
+    if (item.bundle) {
+      // Every title of a bundle gives the same count; take it from the first
+      const key = id + "|" + person;
+      countedPart[key] = countedPart[key] || item.id;
+      if (countedPart[key] !== item.id) return;
+      const bundle = books.find(b => b.id === id);
+      const part = bundle && (bundle.components || []).find(c => c.id === item.id);
+      if (part) quantity = item.quantity / part.quantity;
+    }
+
+    const found = lines.find(l => l.id === id && (l.person || "") === person);
+    if (found) found.quantity += quantity;
+    else lines.push(person ? { id, quantity, person } : { id, quantity });
+  });
+  return lines;
+}
+
+// Audit lines for a change, e.g. "Pick-up: Feast Ayala on 2026-11-01 → …".
+// before and after are { lines, pickup, pickupdate, total }.
+function describeChanges(before, after, books) {
+  const changes = [];
+  if (before.pickup !== after.pickup || before.pickupdate !== after.pickupdate) {
+    changes.push(`Pick-up: ${before.pickup} on ${before.pickupdate} → ${after.pickup} on ${after.pickupdate}`);
+  }
+
+  const keyOf = l => l.id + "|" + (l.person || "");
+  const labelOf = l => {
+    const book = books.find(b => b.id === l.id);
+    const title = book ? manageRules.editionTitle(book) : l.id;
+    return l.person ? `${title} (for ${l.person})` : title;
+  };
+  const keys = [...new Set([...before.lines, ...after.lines].map(keyOf))];
+  keys.forEach(key => {
+    const was = before.lines.find(l => keyOf(l) === key);
+    const now = after.lines.find(l => keyOf(l) === key);
+    const from = was ? was.quantity : 0;
+    const to = now ? now.quantity : 0;
+    if (from !== to) changes.push(`${labelOf(was || now)}: ${from} → ${to}`);
+  });
+
+  if (changes.length && before.total !== after.total) {
+    changes.push(`Total: ₱${before.total} → ₱${after.total}`);
+  }
+  return changes;
+}
+
+// Relative link to the manage page for an order
+function manageLink(orderId, token) {
+  return `track.html?orderId=${encodeURIComponent(orderId)}&token=${encodeURIComponent(token)}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EDITABLE_STATUSES, editDeadline, orderChangeError, orderedLines, describeChanges, manageLink };
+}
@@ -0,0 +1,146 @@
+// Local REST stand-in for the Apps Script backend, seeded from
+// fixtures/demo.json. It also serves the storefront files, so checkout can be
+// tried end to end with no Google Sheet:
+//
+//   node mock-server.js            then open http://localhost:8787/?backend=rest
+//
+// Orders live in memory and are lost when the server stops. Confirmation
+// emails are printed here; set MAIL_TRANSPORT=smtp to send them to
+// smtp-sink.js or another SMTP server instead (see mailer.js).
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { mockBackend } = require("./backend");
+const { createTransport } = require("./mailer");
+const fixtures = require("./fixtures/demo.json");
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT = __dirname;
+
+// The files the storefront, tracking, check-in and admin pages load, and
+// all that is served: the rest of the folder (fixtures/demo.json with its
+// admin and check-in keys, .git, Code.gs) stays private
+const PUBLIC_FILES = new Set([
+  "index.html", "track.html", "checkin.html", "admin.html",
+  "style.css", "icon.svg", "manifest.webmanifest", "sw.js",
+  "config.js", "schedule.js", "payment.js", "pricing.js", "catalog.js", "catalog-io.js", "waitlist.js",
+  "storage.js", "share.js", "manage.js", "i18n.js", "qr.js", "receipt.js", "validation.js", "release.js",
+  "purchasing.js", "slip.js", "backend.js", "search.js", "dom.js",
+  "script.js", "outbox.js", "track.js", "checkin.js", "admin.js"
+]);
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml"
+};
+
+const backend = mockBackend(fixtures, null, {
+  mailer: createTransport(process.env),
+  storefrontUrl: `http://localhost:${PORT}/`
+});
+
+// Route a REST request (see restBackend in backend.js) to the mock backend.
+// Returns null when the path is not an API route.
+function route(method, parts, query, body) {
+  const [resource, id, sub] = parts;
+  if (method === "GET" && resource === "catalog") return backend.fetchCatalog(query.get("since"));
+  if (method === "GET" && resource === "pickups") return backend.fetchPickups();
+  if (method === "GET" && resource === "promos" && id) return backend.fetchPromo(id);
+  if (method === "POST" && resource === "orders" && !id) return backend.submitOrder(body);
+  if (method === "GET" && resource === "orders" && id && !sub) return backend.lookupOrder(id, query.get("email"));
+  if (method === "POST" && resource === "orders" && sub === "payments") {
+    return backend.addPayment(id, body.email, body.payment);
+  }
+  if (method === "GET" && resource === "orders" && sub === "manage") return backend.manageOrder(id, query.get("token"));
+  if (method === "POST" && resource === "orders" && sub === "changes") {
+    const { token, ...changes } = body;
+    return backend.changeOrder(id, token, changes);
+  }
+  if (method === "POST" && resource === "orders" && sub === "cancel") return backend.cancelOrder(id, body.token);
+  if (method === "POST" && resource === "waitlist" && !id) return backend.joinWaitlist(body);
+  if (method === "POST" && resource === "admin" && id) return backend.admin(id, body);
+  if (method === "POST" && resource === "checkin" && id) return backend.checkin(id, body);
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+function serveFile(res, pathname) {
+  const name = pathname === "/" ? "index.html" : pathname.slice(1);
+  if (!PUBLIC_FILES.has(name)) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+  const file = path.join(ROOT, name);
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(content);
+  });
+}
+
+function sendError(res, message) {
+  res.writeHead(400, { "Content-Type": CONTENT_TYPES[".json"] });
+  res.end(JSON.stringify({ error: message }));
+}
+
+const server = http.createServer((req, res) => {
+  // Malformed escapes (e.g. /%E0) or a bad Host header must not crash the server
+  let url;
+  let parts;
+  try {
+    url = new URL(req.url, `http://${req.headers.host}`);
+    parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    sendError(res, "Bad request URL.");
+    return;
+  }
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  readBody(req)
+    .then(body => {
+      const reply = route(req.method, parts, url.searchParams, body);
+      if (!reply) {
+        serveFile(res, url.pathname);
+        return;
+      }
+      return reply.then(data => {
+        res.writeHead(data && data.error ? 400 : 200, { "Content-Type": CONTENT_TYPES[".json"] });
+        res.end(JSON.stringify(data));
+      });
+    })
+    .catch(err => sendError(res, err.message));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock pre-order backend on http://localhost:${PORT}`);
+});
@@ -0,0 +1,129 @@
+// Local outbox for order submissions.
+// Every order is saved to localStorage with an idempotency key before it is
+// sent, and pending entries are retried when the connection comes back. The
+// backend returns the original order when it sees a key again, so a retry
+// never creates a duplicate. Once the backend answers, an entry keeps only
+// its result, not the order and the customer details in it.
+
+const OUTBOX_KEY = "preorder-outbox";
+const RETRY_INTERVAL = 30000;
+
+const outboxList = document.getElementById("outbox");
+
+function loadOutbox() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Returns false when the browser would not store them, usually because its
+// storage is full
+function saveOutbox(entries) {
+  let saved = true;
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.error(err);
+    saved = false;
+  }
+  renderOutbox();
+  return saved;
+}
+
+// Replace an entry with the backend's answer, dropping the order
+function settleEntry(key, result) {
+  saveOutbox(loadOutbox().map(e => (e.key === key ? { key, createdAt: e.createdAt, ...result } : e)));
+}
+
+function newIdempotencyKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+// Save an order to the outbox and return its entry, with saved false when
+// it could not be stored. The stored copy leaves out the receipt
+// screenshot, which would soon fill localStorage: only the first attempt,
+// made with the entry returned here, sends it, and a retried order's
+// customer adds it on the tracking page.
+function queueOrder(order) {
+  const key = newIdempotencyKey();
+  const entry = { key, order: { ...order, key }, status: "pending", createdAt: Date.now() };
+  let stored = entry;
+  if (order.payment && order.payment.receipt) {
+    const { receipt, ...payment } = order.payment;
+    stored = { ...entry, order: { ...entry.order, payment } };
+  }
+  return { ...entry, saved: saveOutbox([...loadOutbox(), stored]) };
+}
+
+// Send one entry. Resolves with the backend response once it answers, and
+// records it as sent or failed; rejects (leaving it pending) on network errors.
+function sendQueued(entry) {
+  return backend.submitOrder(entry.order)
+  .then(response => {
+    if (response.error) {
+      settleEntry(entry.key, { status: "failed", error: response.error });
+    } else {
+      settleEntry(entry.key, { status: "sent", orderId: response.orderId, manageToken: response.manageToken });
+    }
+    return response;
+  });
+}
+
+// Retry everything still pending, one at a time
+function flushOutbox() {
+  const pending = loadOutbox().filter(e => e.status === "pending");
+  return pending.reduce(
+    (chain, entry) => chain.then(() => sendQueued(entry)),
+    Promise.resolve()
+  ).catch(err => console.error(err));
+}
+
+function dismissQueued(key) {
+  saveOutbox(loadOutbox().filter(e => e.key !== key));
+}
+
+// Render queued orders with their pending/sent state, in the storefront's
+// language (tr from script.js)
+function renderOutbox() {
+  const entries = loadOutbox();
+  outboxList.replaceChildren();
+  if (entries.length === 0) return;
+
+  outboxList.append(el("h3", {}, tr("outbox.heading")));
+  entries.forEach(entry => {
+    const item = el("div", { className: "outbox-item" });
+
+    if (entry.status === "pending") {
+      const count = entry.order.items.reduce((n, i) => n + i.quantity, 0);
+      item.append(
+        tr("outbox.summary", { name: entry.order.fullname, count }), el("br"),
+        el("span", { className: "outbox-status pending" }, tr("outbox.pending"))
+      );
+    } else if (entry.status === "sent") {
+      item.append(el("span", { className: "outbox-status sent" }, tr("outbox.sent", { orderId: entry.orderId })));
+      if (entry.manageToken) {
+        item.append(" (", el("a", { href: manageLink(entry.orderId, entry.manageToken) }, tr("outbox.manage")), ")");
+      }
+    } else {
+      item.append(el("span", { className: "outbox-status failed" }, tr("outbox.failed", { error: entry.error })));
+    }
+
+    if (entry.status !== "pending") {
+      const dismiss = el("span", { className: "remove-btn", title: tr("outbox.dismiss") }, "❌");
+      dismiss.addEventListener("click", () => dismissQueued(entry.key));
+      item.append(" ", dismiss);
+    }
+    outboxList.append(item);
+  });
+}
+
+window.addEventListener("online", flushOutbox);
+setInterval(() => {
+  if (navigator.onLine) flushOutbox();
+}, RETRY_INTERVAL);
+
+renderOutbox();
+flushOutbox();
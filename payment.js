@@ -0,0 +1,110 @@
+// GCash/Maya payment reference rules, shared by the storefront pages and the
+// Apps Script backend (Code.gs). readPaymentForm at the bottom is browser
+// only; everything else runs in both places (and in Node via module.exports).
+// Messages are in the customer's lang (see i18n.js).
+
+// reference is the message key describing the wallet's reference numbers
+const WALLETS = {
+  gcash: { label: "GCash", pattern: /^\d{13}$/, reference: "payment.reference.gcash" },
+  maya: { label: "Maya", pattern: /^[A-Z0-9]{12}$/, reference: "payment.reference.maya" }
+};
+
+const MAX_RECEIPT_BYTES = 1024 * 1024;
+
+// Screenshot formats accepted as receipts. Not SVG: it is an image type but
+// can carry script, and receipts are opened from the admin console.
+const RECEIPT_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif", "image/heic", "image/heif"];
+
+// Where customers send payments; shown in the storefront's disclaimer and in
+// confirmation receipts and emails (receipt.js)
+const PAYMENT_ACCOUNT = { wallets: "GCash / Paymaya", name: "cherel", number: "09126456792" };
+
+const paymentRules = typeof require === "function" ? require("./i18n") : globalThis;
+
+// PAYMENT_ACCOUNT for the other shared files. A top-level const is not a
+// property of globalThis, which is what they read in the browser and Apps
+// Script; a function declaration is.
+function paymentAccount() {
+  return PAYMENT_ACCOUNT;
+}
+
+// References are often copied with spaces or dashes, e.g. "1234 567 890123"
+function normalizeReference(reference) {
+  return String(reference || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+// Why a payment record is not acceptable, or "" if it is
+function paymentError(payment, lang) {
+  if (!payment) {
+    return paymentRules.t(lang, "payment.wallet");
+  }
+  const wallet = WALLETS[payment.wallet];
+  if (!wallet) {
+    return paymentRules.t(lang, "payment.wallet");
+  }
+  if (!wallet.pattern.test(normalizeReference(payment.reference))) {
+    return paymentRules.t(lang, wallet.reference);
+  }
+  if (!(Number(payment.amount) > 0)) {
+    return paymentRules.t(lang, "payment.amount");
+  }
+  return payment.receipt ? receiptFileError(payment.receipt.type, receiptBytes(payment.receipt), lang) : "";
+}
+
+// Why a receipt screenshot of this MIME type and size cannot be accepted, or ""
+function receiptFileError(type, bytes, lang) {
+  if (!RECEIPT_TYPES.includes(String(type).toLowerCase())) {
+    return paymentRules.t(lang, "payment.receiptType");
+  }
+  if (bytes > MAX_RECEIPT_BYTES) {
+    return paymentRules.t(lang, "payment.receiptSize");
+  }
+  return "";
+}
+
+// Decoded size of a { data } receipt, which is base64
+function receiptBytes(receipt) {
+  const data = String(receipt.data || "");
+  const padding = (data.match(/=*$/) || [""])[0].length;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+// Read the optional payment fields (wallet, reference, amount, receipt) of a
+// form. Resolves with null when they were left blank and rejects with a
+// readable message in lang when they are invalid.
+function readPaymentForm(form, lang) {
+  const data = new FormData(form);
+  if (!data.get("wallet") && !data.get("reference")) {
+    return Promise.resolve(null);
+  }
+
+  const payment = {
+    wallet: data.get("wallet"),
+    reference: normalizeReference(data.get("reference")),
+    amount: Number(data.get("amount"))
+  };
+  const error = paymentError(payment, lang);
+  if (error) return Promise.reject(new Error(error));
+
+  const file = data.get("receipt");
+  if (!file || !file.size) return Promise.resolve(payment);
+  const fileError = receiptFileError(file.type, file.size, lang);
+  if (fileError) return Promise.reject(new Error(fileError));
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      ...payment,
+      receipt: { name: file.name, type: file.type, data: reader.result.split(",")[1] }
+    });
+    reader.onerror = () => reject(new Error(paymentRules.t(lang, "payment.receiptUnreadable")));
+    reader.readAsDataURL(file);
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WALLETS, MAX_RECEIPT_BYTES, RECEIPT_TYPES, PAYMENT_ACCOUNT, paymentAccount,
+    normalizeReference, paymentError, receiptFileError, readPaymentForm
+  };
+}
@@ -0,0 +1,170 @@
+// Book pricing and promo codes, shared by both storefronts (script.js and
+// App.jsx) and the Apps Script backend (Code.gs). Like schedule.js it is a
+// plain script: in the browser and Apps Script its functions are globals,
+// and bundlers/Node pick them up through module.exports at the bottom.
+//
+// A promo looks like:
+//   { code: "FEAST20", type: "percent", value: 20, minSpend: 500,
+//     genres: ["Faith & Spirituality"], authors: [], expires: "2026-12-31",
+//     usageLimit: 100, used: 12 }
+//
+// type is "percent" or "fixed" (pesos off). Empty genres/authors mean the
+// promo applies to every book; otherwise a book must match one of them.
+// minSpend is checked against the whole cart, the discount only against the
+// books in scope. Blank expires/usageLimit mean no limit.
+
+const pricingRules = typeof require === "function" ? require("./i18n") : globalThis;
+
+// Price of one copy after the book's own discount. Sheet rows carry a
+// `discounted` price; catalog entries a `discountPct`.
+function unitPrice(book) {
+  if (book.discountPct != null) {
+    const pct = Math.max(0, Math.min(100, Number(book.discountPct) || 0));
+    return Math.round((Number(book.price) * (100 - pct)) / 100);
+  }
+  return Number(book.discounted || book.price);
+}
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function promoCovers(promo, book) {
+  const genres = promo.genres || [];
+  const authors = promo.authors || [];
+  if (genres.length === 0 && authors.length === 0) return true;
+  return genres.includes(book.genre) || authors.includes(book.author);
+}
+
+// Why a promo cannot be used on these lines, or "" if it can, in lang
+// (see i18n.js). lines are { book, quantity }; today is "YYYY-MM-DD".
+function promoError(promo, lines, today, lang) {
+  if (!promo) {
+    return pricingRules.t(lang, "promo.missing");
+  }
+  const message = (key, params) => pricingRules.t(lang, key, { code: promo.code, ...params });
+  if (promo.expires && today > promo.expires) {
+    return message("promo.expired", { date: pricingRules.formatPickupDate(promo.expires, lang) });
+  }
+  if (promo.usageLimit && Number(promo.used || 0) >= Number(promo.usageLimit)) {
+    return message("promo.usedUp");
+  }
+  const subtotal = lines.reduce((sum, l) => sum + unitPrice(l.book) * l.quantity, 0);
+  if (promo.minSpend && subtotal < Number(promo.minSpend)) {
+    return message("promo.minSpend", { amount: pricingRules.formatPHP(Number(promo.minSpend), lang) });
+  }
+  if (!lines.some(l => promoCovers(promo, l.book))) {
+    return message("promo.notApplicable");
+  }
+  return "";
+}
+
+// Subtotal, promo discount and total for a cart. An unusable promo is
+// reported in promoError, in lang, and gives no discount.
+function priceCart(lines, promo, today, lang) {
+  const subtotal = lines.reduce((sum, l) => sum + unitPrice(l.book) * l.quantity, 0);
+  if (!promo) {
+    return { subtotal, discount: 0, total: subtotal, promoError: "" };
+  }
+
+  const error = promoError(promo, lines, today, lang);
+  if (error) {
+    return { subtotal, discount: 0, total: subtotal, promoError: error };
+  }
+
+  const eligible = lines
+    .filter(l => promoCovers(promo, l.book))
+    .reduce((sum, l) => sum + unitPrice(l.book) * l.quantity, 0);
+  const discount = promo.type === "percent"
+    ? Math.round((eligible * Math.min(100, Number(promo.value))) / 100)
+    : Math.min(eligible, Number(promo.value));
+
+  return { subtotal, discount, total: subtotal - discount, promoError: "" };
+}
+
+// A bundle as the component titles a customer receives. The bundle's own
+// price, its discount included, is split across the components in
+// proportion to their list prices, the last taking the rounding, so the
+// lines add up to exactly what the bundle costs. components are
+// [{ book, quantity }] per set; returns [{ book, quantity, unitPrice, lineTotal }].
+function bundleLines(bundle, quantity, components) {
+  const setPrice = unitPrice(bundle);
+  const listTotal = components.reduce((sum, c) => sum + Number(c.book.price) * c.quantity, 0);
+  let left = setPrice;
+  return components.map((c, i) => {
+    const perSet = i === components.length - 1
+      ? left
+      : Math.round((setPrice * Number(c.book.price) * c.quantity) / (listTotal || 1));
+    left -= perSet;
+    const copies = c.quantity * quantity;
+    return {
+      book: c.book,
+      quantity: copies,
+      unitPrice: Math.round((perSet / c.quantity) * 100) / 100,
+      lineTotal: perSet * quantity
+    };
+  });
+}
+
+// Group orders: lines may carry a `person`, and the same book can appear
+// once per person. Stock is checked per title, so merge them first.
+// items are { id, title, quantity }; returns the same shape, one per id.
+function quantitiesByBook(items) {
+  const merged = [];
+  items.forEach(item => {
+    const found = merged.find(m => m.id === item.id);
+    if (found) found.quantity += item.quantity;
+    else merged.push({ id: item.id, title: item.title, quantity: item.quantity });
+  });
+  return merged;
+}
+
+// An order's { id, quantity, person? } lines with repeats of the same book
+// for the same person added up, so the quantity limit and the stock held
+// apply to the whole amount. ids become strings, person is trimmed ("" for
+// none) and quantities numbers (NaN for quantityError to reject).
+function mergeOrderLines(lines) {
+  const merged = [];
+  lines.forEach(line => {
+    const id = String(line.id);
+    const person = String(line.person || "").trim().slice(0, 60);
+    const found = merged.find(m => m.id === id && m.person === person);
+    if (found) found.quantity += Number(line.quantity);
+    else merged.push({ id, quantity: Number(line.quantity), person });
+  });
+  return merged;
+}
+
+// What each person in a group order owes: [{ person, quantity, subtotal,
+// share }] in the order people first appear. items are { person, quantity,
+// lineTotal }. The promo discount is split in proportion to subtotals, the
+// last person taking the rounding so the shares add up to the total.
+function personSubtotals(items, discount) {
+  const people = [];
+  items.forEach(item => {
+    const person = item.person || "";
+    let entry = people.find(p => p.person === person);
+    if (!entry) {
+      entry = { person, quantity: 0, subtotal: 0, share: 0 };
+      people.push(entry);
+    }
+    entry.quantity += item.quantity;
+    entry.subtotal += item.lineTotal;
+  });
+
+  const subtotal = people.reduce((sum, p) => sum + p.subtotal, 0);
+  let left = Number(discount) || 0;
+  people.forEach((p, i) => {
+    const off = i === people.length - 1 ? left : Math.round(((Number(discount) || 0) * p.subtotal) / (subtotal || 1));
+    left -= off;
+    p.share = p.subtotal - off;
+  });
+  return people;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    unitPrice, normalizeCode, promoCovers, promoError, priceCart, bundleLines, quantitiesByBook, mergeOrderLines,
+    personSubtotals
+  };
+}
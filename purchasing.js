@@ -0,0 +1,90 @@
+// Supplier purchase orders built from collected pre-orders, for the admin
+// console. Plain script; module.exports at the bottom.
+//
+// Demand is summed per ordered title and edition from the order items, so
+// a bundle counts as the titles packed in it. Orders are chosen by pickup
+// date (from/to inclusive, "" leaves that end open) and pickup location
+// ([] for all); cancelled orders never count, drafts from the waitlist do.
+// Copies on hand (the catalog's onHand) are subtracted, and what is left to
+// buy is grouped by publisher and costed at supplierCost (see catalog.js).
+
+const purchasingRules = typeof require === "function"
+  ? { ...require("./catalog"), ...require("./catalog-io") }
+  : globalThis;
+
+// Heading for titles whose publisher is not filled in; listed last
+const NO_PUBLISHER = "(no publisher)";
+
+function ordersInRange(orders, { from = "", to = "", locations = [] } = {}) {
+  return orders.filter(o =>
+    o.status !== "cancelled" &&
+    (!from || o.pickupdate >= from) &&
+    (!to || o.pickupdate <= to) &&
+    (locations.length === 0 || locations.includes(o.pickup))
+  );
+}
+
+function roundCost(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// { publishers: [{ publisher, lines, cost }], cost, unpriced }, where each
+// line is { id, title, ordered, onHand, toOrder, unitCost, lineCost } and
+// unitCost/lineCost are null without a supplier cost. unpriced counts the
+// lines still to buy that have no cost, so the totals are known to be short.
+function purchaseOrder(orders, books, filters) {
+  const ordered = {};
+  const titles = {};
+  ordersInRange(orders, filters).forEach(order => {
+    order.items.forEach(item => {
+      ordered[item.id] = (ordered[item.id] || 0) + Number(item.quantity);
+      titles[item.id] = titles[item.id] || item.title;
+    });
+  });
+
+  const byPublisher = {};
+  Object.keys(ordered).forEach(id => {
+    // Titles retired since they were ordered are still bought, under no publisher
+    const book = books.find(b => b.id === id);
+    const onHand = book ? book.onHand || 0 : 0;
+    const toOrder = Math.max(0, ordered[id] - onHand);
+    const unitCost = book && book.supplierCost != null ? book.supplierCost : null;
+    const publisher = (book && book.publisher) || NO_PUBLISHER;
+    (byPublisher[publisher] = byPublisher[publisher] || []).push({
+      id,
+      title: book ? purchasingRules.editionTitle(book) : titles[id],
+      ordered: ordered[id],
+      onHand,
+      toOrder,
+      unitCost,
+      lineCost: unitCost == null ? null : roundCost(unitCost * toOrder)
+    });
+  });
+
+  const publishers = Object.keys(byPublisher)
+    .sort((a, b) => (a === NO_PUBLISHER) - (b === NO_PUBLISHER) || a.localeCompare(b))
+    .map(publisher => {
+      const lines = byPublisher[publisher].sort((a, b) => a.title.localeCompare(b.title));
+      return { publisher, lines, cost: roundCost(lines.reduce((sum, l) => sum + (l.lineCost || 0), 0)) };
+    });
+  const lines = publishers.flatMap(p => p.lines);
+
+  return {
+    publishers,
+    cost: roundCost(publishers.reduce((sum, p) => sum + p.cost, 0)),
+    unpriced: lines.filter(l => l.toOrder > 0 && l.unitCost == null).length
+  };
+}
+
+// One row per title, publisher first, for a spreadsheet or the supplier
+function purchaseOrderCSV(po) {
+  const header = ["publisher", "id", "title", "ordered", "onHand", "toOrder", "unitCost", "lineCost"];
+  const rows = po.publishers.flatMap(p => p.lines.map(l => [
+    p.publisher, l.id, l.title, l.ordered, l.onHand, l.toOrder, l.unitCost, l.lineCost
+  ]));
+  return purchasingRules.toCSV([header, ...rows]);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { NO_PUBLISHER, ordersInRange, purchaseOrder, purchaseOrderCSV };
+}
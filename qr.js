@@ -0,0 +1,242 @@
+// QR codes (ISO/IEC 18004) drawn on the device rather than by an image
+// service, so the storefront's confirmation screen works offline and the
+// backends can put one in the confirmation email (see receipt.js). Plain
+// script; module.exports at the bottom.
+//
+// Only what an order ID needs: byte mode, error correction level M and
+// versions 1-6, which hold up to 106 bytes of UTF-8. qrModules(text) returns
+// the code as rows of booleans, true for dark, without the light border of
+// 4 modules (the quiet zone) that must be left around it.
+
+// Total codewords, error correction codewords per block and blocks for each
+// version at level M. The blocks of these versions are all the same length.
+const QR_VERSIONS = [
+  null,
+  { codewords: 26, ecPerBlock: 10, blocks: 1 },
+  { codewords: 44, ecPerBlock: 16, blocks: 1 },
+  { codewords: 70, ecPerBlock: 26, blocks: 1 },
+  { codewords: 100, ecPerBlock: 18, blocks: 2 },
+  { codewords: 134, ecPerBlock: 24, blocks: 2 },
+  { codewords: 172, ecPerBlock: 16, blocks: 4 }
+];
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Apps Script has no TextEncoder
+function utf8Bytes(text) {
+  const encoded = encodeURIComponent(text);
+  const bytes = [];
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === "%") {
+      bytes.push(parseInt(encoded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i));
+    }
+  }
+  return bytes;
+}
+
+// Multiplication in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Reed-Solomon error correction codewords for one block
+function errorCorrection(data, degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coef, i) => { remainder[i] ^= gfMultiply(coef, factor); });
+  });
+  return remainder;
+}
+
+// The codewords to draw: the data (mode, length, bytes and padding) split
+// into blocks, each followed by its error correction, interleaved
+function codewordsFor(bytes, version) {
+  const { codewords, ecPerBlock, blocks } = QR_VERSIONS[version];
+  const capacity = (codewords - ecPerBlock * blocks) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, 8);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  const perBlock = data.length / blocks;
+  const dataBlocks = [];
+  for (let b = 0; b < blocks; b++) dataBlocks.push(data.slice(b * perBlock, (b + 1) * perBlock));
+  const ecBlocks = dataBlocks.map(block => errorCorrection(block, ecPerBlock));
+
+  const result = [];
+  for (let i = 0; i < perBlock; i++) dataBlocks.forEach(block => result.push(block[i]));
+  for (let i = 0; i < ecPerBlock; i++) ecBlocks.forEach(block => result.push(block[i]));
+  return result;
+}
+
+// Higher for patterns that are harder to scan; the mask scoring lowest wins
+function maskPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(""));
+    lines.push(modules.map(row => Number(row[i])).join(""));
+  }
+  lines.forEach(line => {
+    // Runs of five or more, and look-alikes of the finder patterns
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { penalty += run.length - 2; });
+    penalty += 40 * (line.match(/(?=10111010000|00001011101)/g) || []).length;
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) penalty += 3;
+      }
+    }
+  }
+  return penalty + 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+}
+
+function qrModules(text) {
+  const bytes = utf8Bytes(String(text));
+  const version = QR_VERSIONS.findIndex(v =>
+    v && 12 + bytes.length * 8 <= (v.codewords - v.ecPerBlock * v.blocks) * 8);
+  if (version < 0) throw new Error("Too long for a QR code: " + text);
+
+  const size = 17 + version * 4;
+  const modules = [];
+  const reserved = [];
+  for (let y = 0; y < size; y++) {
+    modules.push(new Array(size).fill(false));
+    reserved.push(new Array(size).fill(false));
+  }
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing lines, then the three finder patterns with their separators
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  });
+  // Versions 2-6 have one alignment pattern, near the bottom right corner
+  if (version > 1) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunction(size - 7 + dx, size - 7 + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  // Level M and the mask number with their BCH check bits, in two copies
+  const drawFormat = mask => {
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((mask << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormat(0);
+
+  // Codewords fill two-module columns from the right, zigzagging up and down
+  const codewords = codewordsFor(bytes, version);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+
+  const applyMask = mask => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+  let best = 0;
+  let bestPenalty = Infinity;
+  QR_MASKS.forEach((test, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = maskPenalty(modules);
+    if (penalty < bestPenalty) {
+      best = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  });
+  applyMask(best);
+  drawFormat(best);
+  return modules;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { qrModules };
+}
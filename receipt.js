@@ -0,0 +1,226 @@
+// Order confirmation documents: the receipt and calendar event offered on
+// the storefront's confirmation screen, and the confirmation email the
+// backends (Code.gs, mockBackend) send once an order is placed, all built
+// from the same parts. Plain script; module.exports at the bottom.
+//
+// The receipt carries the order ID as a QR code (qr.js) for the check-in
+// page to scan at pickup.
+//
+// order is a placed order as the backend priced it, { orderId, fullname,
+// email, pickup, pickupdate, items, discount, promoCode, total }, plus
+// createdAt, manageToken and paymentSent (payment details came with the
+// order) when known. options is { lang, storefrontUrl }: lang picks the
+// messages (see i18n.js) and storefrontUrl, the address of index.html's
+// folder, makes the tracking and manage links absolute. Without it they are
+// left out, since a downloaded or emailed receipt has no page to be
+// relative to.
+
+const SHOP_NAME = "Feast Books";
+
+const receiptRules = typeof require === "function"
+  ? { ...require("./i18n"), ...require("./schedule"), ...require("./payment"), ...require("./manage"), ...require("./qr") }
+  : globalThis;
+
+function escapeHTML(value) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(value).replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+// What every version of the receipt says, as text in the order's language.
+// links are { text, url } so the HTML versions can make them clickable.
+function receiptParts(order, { lang, storefrontUrl = "" } = {}) {
+  const tr = (key, params) => receiptRules.t(lang, key, params);
+  const money = n => receiptRules.formatPHP(n, lang);
+  const base = storefrontUrl ? storefrontUrl.replace(/\/?$/, "/") : "";
+  const subtotal = order.items.reduce((sum, item) => sum + item.lineTotal, 0);
+  const account = receiptRules.paymentAccount();
+
+  const links = [];
+  if (base) {
+    const trackUrl = base + "track.html?orderId=" + encodeURIComponent(order.orderId);
+    links.push({ text: tr("receipt.trackLink", { link: trackUrl }), url: trackUrl });
+    if (order.manageToken) {
+      const manageUrl = base + receiptRules.manageLink(order.orderId, order.manageToken);
+      links.push({ text: tr("receipt.manageLink", { link: manageUrl }), url: manageUrl });
+    }
+  }
+
+  return {
+    title: `${SHOP_NAME} – ${tr("receipt.title")}`,
+    details: [
+      tr("receipt.orderId", { orderId: order.orderId }),
+      order.createdAt ? tr("receipt.orderedOn", { date: receiptRules.formatDateTime(order.createdAt, lang) }) : "",
+      order.fullname ? tr("receipt.customer", { name: order.fullname }) : "",
+      tr("receipt.pickup", { location: order.pickup, date: receiptRules.formatPickupDate(order.pickupdate, lang) })
+    ].filter(Boolean),
+    qr: { text: order.orderId, caption: tr("confirm.qr") },
+    items: order.items.map(item => ({
+      label: `${item.quantity}× ${item.title}`,
+      note: [item.bundle && tr("confirm.fromBundle", { title: item.bundle.title }), item.person].filter(Boolean).join(" · "),
+      amount: money(item.lineTotal)
+    })),
+    totals: [
+      order.discount ? tr("total.subtotal", { amount: money(subtotal) }) : "",
+      order.discount ? tr("total.promo", { code: order.promoCode, amount: money(order.discount) }) : "",
+      tr("total.total", { amount: money(order.total) })
+    ].filter(Boolean),
+    paymentHeading: tr("receipt.payHeading"),
+    payment: order.paymentSent
+      ? tr("receipt.paymentSent")
+      : tr("receipt.payInstructions", {
+          amount: money(order.total), wallets: account.wallets, name: account.name, number: account.number
+        }),
+    links,
+    closing: tr("receipt.bring")
+  };
+}
+
+function receiptText(order, options) {
+  const parts = receiptParts(order, options);
+  return [
+    parts.title,
+    "",
+    ...parts.details,
+    "",
+    ...parts.items.map(item => `${item.label}${item.note ? ` (${item.note})` : ""}: ${item.amount}`),
+    "",
+    ...parts.totals,
+    "",
+    parts.paymentHeading + ": " + parts.payment,
+    "",
+    ...parts.links.map(link => link.text),
+    parts.closing
+  ].join("\n");
+}
+
+// A QR code as a table of 4px cells, which email clients show even where
+// they block images and SVG. The padding is its quiet zone.
+function qrCodeHTML(text) {
+  const rows = receiptRules.qrModules(text).map(row => "<tr>" + row.map(dark =>
+    `<td width="4" height="4"${dark ? ' bgcolor="#000000"' : ""}></td>`).join("") + "</tr>").join("");
+  return `<table class="qr" cellpadding="0" cellspacing="0" style="border-spacing:0;background:#fff;padding:16px;` +
+    `font-size:0;line-height:0;-webkit-print-color-adjust:exact;print-color-adjust:exact;">${rows}</table>`;
+}
+
+// The receipt's markup without the page around it
+function receiptBodyHTML(parts) {
+  const linked = link => escapeHTML(link.text)
+    .replace(escapeHTML(link.url), `<a href="${escapeHTML(link.url)}">${escapeHTML(link.url)}</a>`);
+  const rows = parts.items.map(item => `
+    <tr>
+      <td>${escapeHTML(item.label)}${item.note ? `<br><small>${escapeHTML(item.note)}</small>` : ""}</td>
+      <td style="text-align:right;white-space:nowrap;">${escapeHTML(item.amount)}</td>
+    </tr>`).join("");
+  return `
+  <h2>${escapeHTML(parts.title)}</h2>
+  <p>${parts.details.map(escapeHTML).join("<br>")}</p>
+  ${qrCodeHTML(parts.qr.text)}
+  <p><small>${escapeHTML(parts.qr.caption)}</small></p>
+  <table style="width:100%;border-collapse:collapse;">${rows}
+  </table>
+  <p style="text-align:right;">${parts.totals.map(escapeHTML).join("<br>")}</p>
+  <p><b>${escapeHTML(parts.paymentHeading)}</b><br>${escapeHTML(parts.payment)}</p>
+  ${parts.links.length ? `<p>${parts.links.map(linked).join("<br>")}</p>` : ""}
+  <p>${escapeHTML(parts.closing)}</p>`;
+}
+
+// A standalone page to save or print
+function receiptHTML(order, options = {}) {
+  const parts = receiptParts(order, options);
+  return `<!DOCTYPE html>
+<html lang="${escapeHTML(receiptRules.normalizeLanguage(options.lang))}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHTML(parts.title)} ${escapeHTML(order.orderId)}</title>
+  <style>body { font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto; } td { padding: 6px 0; border-bottom: 1px solid #ddd; } .qr td { padding: 0; border: 0; }</style>
+</head>
+<body>${receiptBodyHTML(parts)}
+</body>
+</html>
+`;
+}
+
+// { to, subject, text, html } for a mail transport
+function confirmationEmail(order, options = {}) {
+  const tr = (key, params) => receiptRules.t(options.lang, key, params);
+  const greeting = tr("email.greeting", { name: order.fullname });
+  return {
+    to: order.email,
+    subject: tr("email.subject", { orderId: order.orderId }),
+    text: [greeting, "", tr("email.intro"), "", receiptText(order, options), "", tr("email.footer")].join("\n"),
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+  <p>${escapeHTML(greeting)}</p>
+  <p>${escapeHTML(tr("email.intro"))}</p>${receiptBodyHTML(receiptParts(order, options))}
+  <p>${escapeHTML(tr("email.footer"))}</p>
+</div>`
+  };
+}
+
+// ---------- Calendar (iCalendar, RFC 5545)
+
+function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines may be at most 75 bytes; longer ones continue on lines starting
+// with a space
+function icsFold(line) {
+  const utf8Length = ch => {
+    const code = ch.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  };
+  const lines = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    if (bytes + size > 75) {
+      lines.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n");
+}
+
+// An all-day event on the pickup date at the pickup location, with the
+// receipt as its description and a reminder at 6 pm the evening before (six
+// hours before the day starts). now sets DTSTAMP, when the event was created.
+function calendarEvent(order, options = {}, now = new Date()) {
+  const summary = receiptRules.t(options.lang, "calendar.summary", { orderId: order.orderId });
+  const date = d => d.replace(/-/g, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//" + SHOP_NAME + "//Pre-Order//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${order.orderId}@preorder`,
+    "DTSTAMP:" + now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, ""),
+    "DTSTART;VALUE=DATE:" + date(order.pickupdate),
+    "DTEND;VALUE=DATE:" + date(receiptRules.addDays(order.pickupdate, 1)),
+    "SUMMARY:" + icsEscape(summary),
+    "LOCATION:" + icsEscape(order.pickup),
+    "DESCRIPTION:" + icsEscape(receiptText(order, options)),
+    "BEGIN:VALARM",
+    "TRIGGER:-PT6H",
+    "ACTION:DISPLAY",
+    "DESCRIPTION:" + icsEscape(summary),
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SHOP_NAME, receiptText, receiptHTML, confirmationEmail, calendarEvent };
+}
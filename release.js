@@ -0,0 +1,75 @@
+// Handing orders out on pickup day, shared by the check-in page
+// (checkin.js) and the backends (Code.gs, mockBackend). Plain script;
+// module.exports at the bottom.
+//
+// Volunteers release an order's items line by line (a group order is often
+// collected one person at a time) or all at once. Each released line is
+// recorded on the order as an index into its items, with when it was
+// handed over:
+//   released: [{ line: 0, at: "2026-10-24T09:12:00.000Z" }, …]
+// Releasing a line twice keeps the first record, so a check-in synced again
+// after a dropped connection changes nothing. Once every line is released
+// the order is picked_up.
+//
+// Only an order an admin has marked paid (or moved on to ready or
+// picked_up) counts as settled, with or without payment rows, since cash
+// paid at the venue is marked by hand. Payment rows are what customers
+// submitted and nobody has checked yet: they are summed and shown, but do
+// not settle the order or lower its balance.
+
+const RELEASABLE_STATUSES = ["pending_payment", "paid", "ready", "picked_up"];
+const SETTLED_STATUSES = ["paid", "ready", "picked_up"];
+
+// { submitted, balance, settled } for an order; payments may list other
+// orders too
+function paymentSummary(order, payments) {
+  const submitted = payments
+    .filter(p => p.orderId === order.orderId)
+    .reduce((sum, p) => sum + Number(p.amount || 0), 0);
+  const settled = SETTLED_STATUSES.includes(order.status);
+  return { submitted, balance: settled ? 0 : Number(order.total), settled };
+}
+
+// Whether order matches what a volunteer typed: part of the name or FB name,
+// or the order ID (case and spaces ignored)
+function checkinMatches(order, query) {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return true;
+  return [order.orderId, order.fullname, order.fb]
+    .some(value => String(value || "").toLowerCase().includes(q));
+}
+
+// The item indexes meant by lines: "all", or an array of indexes
+function linesToRelease(order, lines) {
+  return lines === "all" ? order.items.map((item, i) => i) : lines;
+}
+
+// Why lines (see linesToRelease) of order cannot be released, or ""
+function releaseError(order, lines) {
+  if (order.status === "cancelled") return `${order.orderId} was cancelled.`;
+  if (order.status === "draft") return `${order.orderId} is a draft the customer has not confirmed yet.`;
+  if (!RELEASABLE_STATUSES.includes(order.status)) return `${order.orderId} cannot be released.`;
+  const indexes = linesToRelease(order, lines);
+  if (!Array.isArray(indexes) || indexes.length === 0) return "Choose at least one item to release.";
+  if (indexes.some(i => !Number.isInteger(i) || i < 0 || i >= order.items.length)) {
+    return `${order.orderId} has changed since it was loaded; refresh and try again.`;
+  }
+  return "";
+}
+
+// { released, status } once lines are handed over at `at` (an ISO string)
+function applyRelease(order, lines, at) {
+  const released = [...(order.released || [])];
+  linesToRelease(order, lines).forEach(line => {
+    if (!released.some(r => r.line === line)) released.push({ line, at });
+  });
+  released.sort((a, b) => a.line - b.line);
+  const done = order.items.every((item, i) => released.some(r => r.line === i));
+  return { released, status: done ? "picked_up" : order.status };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RELEASABLE_STATUSES, paymentSummary, checkinMatches, linesToRelease, releaseError, applyRelease
+  };
+}
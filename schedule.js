@@ -0,0 +1,77 @@
+// Pickup schedule rules, shared by the storefront (script.js) and the
+// Apps Script backend (Code.gs). No DOM or SpreadsheetApp calls here so the
+// same file runs in both places; Node picks it up through module.exports.
+//
+// A location from the feed looks like:
+//   { location: "Feast IT Park", weekdays: [6], blackouts: ["2026-12-26"], cutoffDays: 2 }
+//
+// Dates are "YYYY-MM-DD" strings, weekdays use Date#getDay() numbering
+// (0 = Sunday), and cutoffDays is the minimum number of days between
+// ordering and pickup.
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const scheduleRules = typeof require === "function" ? require("./i18n") : globalThis;
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Today's date in the runtime's local time zone
+function todayString() {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// e.g. "Saturday" or "Saturday, Sunday"
+function weekdayLabel(loc) {
+  return loc.weekdays.map(w => WEEKDAY_NAMES[w]).join(", ");
+}
+
+// Why a date cannot be used for pickup at a location, or "" if it can,
+// in lang (see i18n.js)
+function pickupDateError(loc, dateStr, today, lang) {
+  const message = (key, params) => scheduleRules.t(lang, key, { location: loc.location, ...params });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) {
+    return message("pickup.noDate");
+  }
+  const earliest = addDays(today, loc.cutoffDays || 0);
+  if (dateStr < earliest) {
+    return message("pickup.tooEarly", { date: scheduleRules.formatPickupDate(earliest, lang) });
+  }
+  if (!loc.weekdays.includes(weekdayOf(dateStr))) {
+    return message("pickup.wrongDay", { days: scheduleRules.formatWeekdays(loc.weekdays, lang) });
+  }
+  if (loc.blackouts.includes(dateStr)) {
+    return message("pickup.blackout", { date: scheduleRules.formatPickupDate(dateStr, lang) });
+  }
+  return "";
+}
+
+// The next `count` valid pickup dates for a location
+function upcomingPickupDates(loc, today, count = 8) {
+  const dates = [];
+  if (loc.weekdays.length === 0) return dates;
+
+  let date = addDays(today, loc.cutoffDays || 0);
+  while (dates.length < count) {
+    if (!pickupDateError(loc, date, today)) dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { WEEKDAY_NAMES, todayString, addDays, weekdayOf, weekdayLabel, pickupDateError, upcomingPickupDates };
+}
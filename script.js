@@ -1,158 +1,558 @@
-const API_URL = "https://script.google.com/macros/s/AKfycbwOg4Vt1so9FS9BcizBKfRmZgQG1ydz4fjo3VgtYigq68SGg4uOyJfinagZKpuLDdaohw/exec";
-
 let books = [];
 let cart = [];
+let pickups = [];
+let promo = null;
+let search = searchFromQuery(location.search);
+// Group-order mode: cart lines carry the participant they are for, and
+// ticking a book adds it for the participant picked in #current-person
+let group = { on: false, people: [], current: "" };
+// Edition picked in each title's dropdown, by parent book id
+let chosenEdition = {};
+// Display language (i18n.js), remembered on this device
+const LANG_KEY = "lang";
+let lang = normalizeLanguage(loadSaved(LANG_KEY) || detectLanguage(navigator.languages));
+// Last catalog freshness shown, so a language switch can redraw it
+let freshness = null;
 
 const bookList = document.getElementById("book-list");
+const catalogFreshness = document.getElementById("catalog-freshness");
 const orderSummary = document.getElementById("order-summary");
-const filterDropdown = document.getElementById("filter-dropdown");
+const searchInput = document.getElementById("search-input");
+const authorFacet = document.getElementById("author-facet");
+const genreFacet = document.getElementById("genre-facet");
+const priceMin = document.getElementById("price-min");
+const priceMax = document.getElementById("price-max");
+const discountOnly = document.getElementById("discount-only");
+const sortSelect = document.getElementById("sort-select");
 const checkoutBtn = document.getElementById("checkout-btn");
 const customerForm = document.getElementById("customer-form");
+const pickupSelect = document.getElementById("pickup-select");
+const pickupDateSelect = document.getElementById("pickupdate-select");
+const promoBox = document.getElementById("promo-box");
+const promoInput = document.getElementById("promo-input");
+const promoMessage = document.getElementById("promo-message");
+const cartNotices = document.getElementById("cart-notices");
+const shareBtn = document.getElementById("share-btn");
+const groupToggle = document.getElementById("group-toggle");
+const groupFields = document.getElementById("group-fields");
+const personInput = document.getElementById("person-input");
+const peopleList = document.getElementById("people-list");
+const currentPerson = document.getElementById("current-person");
+const waitlistBox = document.getElementById("waitlist-box");
+const waitlistForm = document.getElementById("waitlist-form");
+const waitlistPickup = document.getElementById("waitlist-pickup");
+const waitlistMessage = document.getElementById("waitlist-message");
+const orderForm = document.getElementById("order-form");
+const orderFormError = document.getElementById("order-form-error");
+const langSelect = document.getElementById("lang-select");
+
+function tr(key, params) {
+  return t(lang, key, params);
+}
+
+function money(n) {
+  return formatPHP(n, lang);
+}
+
+// Static text in index.html names its message with data-i18n (text) or
+// data-i18n-placeholder
+function translatePage() {
+  document.documentElement.lang = lang;
+  document.title = tr("page.title");
+  document.querySelectorAll("[data-i18n]").forEach(node => {
+    node.textContent = tr(node.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(node => {
+    node.placeholder = tr(node.dataset.i18nPlaceholder);
+  });
+  Array.from(sortSelect.options).forEach(opt => {
+    opt.textContent = tr("sort." + opt.value);
+  });
+}
+
+document.getElementById("pay-wallets").textContent = PAYMENT_ACCOUNT.wallets;
+document.getElementById("pay-name").textContent = PAYMENT_ACCOUNT.name;
+document.getElementById("pay-number").textContent = PAYMENT_ACCOUNT.number;
+
+Object.entries(LANGUAGES).forEach(([code, { label }]) => {
+  langSelect.append(el("option", { value: code, selected: code === lang }, label));
+});
 
-// Fetch books from Google Sheets
-fetch(API_URL)
-  .then(res => res.json())
+// Switching language redraws everything on screen, keeping what the
+// customer has typed or picked
+langSelect.addEventListener("change", () => {
+  lang = normalizeLanguage(langSelect.value);
+  saveLocal(LANG_KEY, lang);
+  translatePage();
+  if (freshness) renderFreshness(freshness.checkedAt, freshness.state);
+  if (books.length) renderBooks();
+  if (books.length || cart.length) renderOrder();
+  renderPickups();
+  renderOutbox();
+});
+
+// The cart is kept on this device (storage.js) so a reload does not lose it
+const CART_KEY = "cart";
+const savedCart = loadSaved(CART_KEY);
+if (savedCart && savedCart.group) group = savedCart.group;
+
+const backend = createBackend(BACKEND);
+
+// The last catalog feed this device received, { feed, checkedAt }. It is
+// shown straight away, then re-fetched conditionally: the backend answers
+// notModified when the saved version is still current.
+const CATALOG_KEY = "catalog";
+const savedCatalog = loadSaved(CATALOG_KEY);
+let cartRestored = false;
+
+if (savedCatalog) {
+  showCatalog(savedCatalog.feed);
+  renderFreshness(savedCatalog.checkedAt, "checking");
+}
+
+// Fetch books from the order backend
+backend.fetchCatalog(savedCatalog ? savedCatalog.feed.version : "")
   .then(data => {
-    books = data;
-    renderBooks("title"); // default
+    const checkedAt = Date.now();
+    if (data.notModified) {
+      saveLocal(CATALOG_KEY, { feed: savedCatalog.feed, checkedAt });
+    } else {
+      saveLocal(CATALOG_KEY, { feed: data, checkedAt });
+      showCatalog(data);
+    }
+    renderFreshness(checkedAt, "fresh");
   })
   .catch(err => {
-    bookList.innerHTML = "<p style='color:red;'>Failed to load books. Check Apps Script.</p>";
     console.error(err);
+    if (savedCatalog) {
+      renderFreshness(savedCatalog.checkedAt, "offline");
+      return;
+    }
+    bookList.replaceChildren(el("p", { className: "load-error" }, tr("catalog.loadFailed")));
+    // Keep the saved cart as it was; the backend re-checks it on checkout
+    if (savedCart && savedCart.lines.length) {
+      cart = savedCart.lines;
+      renderCartNotices([tr("catalog.unchecked")]);
+      renderOrder();
+    }
   });
 
-// Get selected filter type
-function getSelectedFilter() {
-  return document.querySelector('input[name="filter"]:checked').value;
+// Render a catalog feed. The first one restores the cart (a shared link
+// replaces the saved cart, see share.js); a fresher one arriving later
+// re-checks the cart against its prices and stock.
+function showCatalog(feed) {
+  const catalog = loadCatalog(feed);
+  books = catalog.books;
+  if (!cartRestored) {
+    cartRestored = true;
+    if (!applySharedCart() && savedCart) {
+      const restored = reconcileCart(savedCart.lines, books, lang);
+      cart = restored.lines;
+      renderCartNotices(restored.notices);
+      renderOrder();
+    }
+  } else if (cart.length) {
+    const restored = reconcileCart(cart, books, lang);
+    cart = restored.lines;
+    if (restored.notices.length) renderCartNotices(restored.notices);
+    renderOrder();
+  }
+  renderBooks();
+  if (catalog.errors.length) {
+    console.warn("Catalog rows skipped:\n" + catalog.errors.join("\n"));
+  }
+}
+
+// "Prices as of Oct 19, 3:04 PM", and whether a newer copy is on its way
+// (state is "checking", "offline" or "fresh")
+function renderFreshness(checkedAt, state) {
+  freshness = { checkedAt, state };
+  const note = state === "fresh" ? "" : tr("freshness." + state);
+  catalogFreshness.textContent = tr("freshness.asOf", { when: formatDateTime(checkedAt, lang) }) + note;
 }
 
-// Event listener for radio buttons
-document.querySelectorAll('input[name="filter"]').forEach(radio => {
-  radio.addEventListener("change", () => {
-    const filter = getSelectedFilter();
-    if (filter === "title") {
-      filterDropdown.disabled = true;
-      renderBooks("title");
-    } else {
-      filterDropdown.disabled = false;
-      populateDropdown(filter);
-    }
-  });
+// Fetch pickup locations and their schedule
+backend.fetchPickups()
+  .then(data => {
+    pickups = data;
+    renderPickups();
+  })
+  .catch(err => console.error(err));
+
+// Show the search state (from the URL on first load) in the controls
+function syncSearchControls() {
+  searchInput.value = search.q;
+  priceMin.value = search.min;
+  priceMax.value = search.max;
+  discountOnly.checked = search.sale;
+  sortSelect.value = search.sort;
+}
+
+Object.keys(SORT_OPTIONS).forEach(value => {
+  sortSelect.append(el("option", { value }, tr("sort." + value)));
 });
+syncSearchControls();
+translatePage();
 
-// Populate dropdown with unique authors or genres
-function populateDropdown(filter) {
-  filterDropdown.innerHTML = "<option value=''>-- Select --</option>";
-  const values = [...new Set(books.map(b => b[filter]))];
-  values.forEach(v => {
-    const opt = document.createElement("option");
-    opt.value = v;
-    opt.textContent = v;
-    filterDropdown.appendChild(opt);
-  });
+// Apply a change to the search, keep it in the URL and re-render
+function updateSearch(changes) {
+  search = { ...search, ...changes };
+  const query = searchToQuery(search, location.search);
+  history.replaceState(null, "", query ? "?" + query : location.pathname);
+  renderBooks();
 }
 
-// When dropdown changes → filter books
-filterDropdown.addEventListener("change", () => {
-  const filter = getSelectedFilter();
-  const selected = filterDropdown.value;
-  if (selected) {
-    renderBooks(filter, selected);
-  } else {
-    renderBooks(filter);
-  }
+searchInput.addEventListener("input", () => updateSearch({ q: searchInput.value.trim() }));
+priceMin.addEventListener("change", () => updateSearch({ min: priceMin.value }));
+priceMax.addEventListener("change", () => updateSearch({ max: priceMax.value }));
+discountOnly.addEventListener("change", () => updateSearch({ sale: discountOnly.checked }));
+sortSelect.addEventListener("change", () => updateSearch({ sort: sortSelect.value }));
+
+document.getElementById("clear-search-btn").addEventListener("click", () => {
+  search = emptySearch();
+  syncSearchControls();
+  updateSearch({});
+});
+
+// Facet checkboxes are re-created on every render, so listen on the container
+authorFacet.addEventListener("change", e => {
+  updateSearch({ authors: toggleValue(search.authors, e.target.value, e.target.checked) });
+});
+genreFacet.addEventListener("change", e => {
+  updateSearch({ genres: toggleValue(search.genres, e.target.value, e.target.checked) });
 });
 
+function toggleValue(list, value, on) {
+  return on ? [...list, value] : list.filter(v => v !== value);
+}
+
+// One checkbox per value with the number of books it would show
+function renderFacet(container, counts, chosen) {
+  container.replaceChildren();
+  Object.keys(counts).sort().forEach(value => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = value;
+    box.checked = chosen.includes(value);
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${value} (${counts[value]})`));
+    if (counts[value] === 0 && !box.checked) label.className = "facet-empty";
+    container.appendChild(label);
+  });
+}
+
+// Who newly ticked books are for ("" outside group mode)
+function activePerson() {
+  return group.on ? group.current : "";
+}
+
+function isLineFor(item, id, person) {
+  return item.book.id === id && (item.person || "") === person;
+}
+
+// Copies of a book still free for one cart line, after the other lines
+// (other participants) for the same book
+function availableForLine(book, except) {
+  const taken = cart
+    .filter(c => c !== except && c.book.id === book.id)
+    .reduce((n, c) => n + c.quantity, 0);
+  return Math.max(0, availableOf(book) - taken);
+}
+
 // Toggle book in cart
-function toggleBook(index) {
-  const book = books[index];
-  if (cart.some(c => c.book === book)) {
-    cart = cart.filter(c => c.book !== book);
+function toggleBook(id) {
+  const book = books.find(b => b.id === id);
+  const person = activePerson();
+  if (group.on && !person) {
+    alert(tr("group.addFirst"));
+    renderBooks();
+    return;
+  }
+
+  if (cart.some(c => isLineFor(c, id, person))) {
+    cart = cart.filter(c => !isLineFor(c, id, person));
   } else {
-    cart.push({ book, quantity: 1 });
+    cart.push(person ? { book, quantity: 1, person } : { book, quantity: 1 });
   }
   renderOrder();
 }
 
-// Render books list
-function renderBooks(filter, filterValue = "") {
-  bookList.innerHTML = "";
-  books.forEach((book, index) => {
-    if (filterValue && book[filter] !== filterValue) return;
+// Render the books matching the current search
+function renderBooks() {
+  // Editions are listed under their parent title, not on their own
+  const { results, counts } = searchBooks(books.filter(b => !b.parentId), search);
+  renderFacet(authorFacet, counts.author, search.authors);
+  renderFacet(genreFacet, counts.genre, search.genres);
 
-    const div = document.createElement("div");
-    div.className = "book-item";
-    let text = "";
+  bookList.replaceChildren();
+  if (results.length === 0) bookList.append(el("p", {}, tr("search.noMatch")));
+  results.forEach(parent => {
+    const editions = editionsOf(parent, books);
+    const book = editions.find(e => e.id === chosenEdition[parent.id]) || parent;
+    const inCart = cart.some(c => isLineFor(c, book.id, activePerson()));
+    const status = bookStatus(book);
 
-    if (filter === "title") {
-      text = `${book.title} by ${book.author}`;
-    } else if (filter === "author") {
-      text = `${book.title}`;
-    } else if (filter === "genre") {
-      text = `${book.title} by ${book.author}`;
-    }
+    const box = el("input", {
+      type: "checkbox",
+      value: book.id,
+      checked: inCart,
+      // Keep a sold-out title enabled while it is in the cart so it can be unticked
+      disabled: (status !== "available" || availableForLine(book) === 0) && !inCart
+    });
+    box.addEventListener("change", () => toggleBook(book.id));
 
-    const checked = cart.some(c => c.book === book) ? "checked" : "";
+    const price = el("span", { className: "price" }, money(unitPrice(book)));
+    if (book.discountPct > 0) price.append(" ", el("s", {}, money(book.price)));
 
-    div.innerHTML = `
-      <label>
-        <input type="checkbox" ${checked} value="${index}" onchange="toggleBook(${index})">
-        ${text}
-      </label>
-    `;
-    bookList.appendChild(div);
+    bookList.append(el("div", { className: "book-item" },
+      el("label", {}, box, " " + tr("book.byline", { title: book.title, author: book.author })),
+      editionPicker(parent, editions, book),
+      price,
+      stockBadge(book, status),
+      status === "available"
+        ? null
+        : el("button", { type: "button", className: "waitlist-btn", dataset: { id: book.id } }, tr("waitlist.joinButton")),
+      bundleParts(book)
+    ));
   });
 }
 
+// Dropdown of a title's editions, or null when it has only one
+function editionPicker(parent, editions, chosen) {
+  if (editions.length <= 1) return null;
+  return el("select", { className: "edition-select", dataset: { parent: parent.id } },
+    editions.map(e => {
+      const status = bookStatus(e);
+      const note = status === "available" ? "" : ` (${tr("edition.note." + status)})`;
+      return el("option", { value: e.id, selected: e === chosen },
+        `${e.variant || tr("edition.standard")} – ${money(unitPrice(e))}${note}`);
+    })
+  );
+}
+
+function stockBadge(book, status) {
+  if (status === "coming_soon") return el("span", { className: "stock coming-soon" }, tr("status.coming_soon"));
+  if (status === "sold_out") return el("span", { className: "stock sold-out" }, tr("status.sold_out"));
+  const available = availableOf(book);
+  return available === Infinity ? null : el("span", { className: "stock" }, tr("stock.left", { count: available }));
+}
+
+// "Includes: 1× Title, 1× Title" under a bundle
+function bundleParts(book) {
+  if (!book.components || book.components.length === 0) return null;
+  const parts = book.components.map(c => {
+    const part = books.find(b => b.id === c.id);
+    return `${c.quantity}× ${part ? editionTitle(part) : c.id}`;
+  });
+  return el("small", { className: "bundle-parts" }, tr("bundle.includes", { parts: parts.join(", ") }));
+}
+
+// Picking an edition switches what the title's checkbox adds
+bookList.addEventListener("change", e => {
+  if (!e.target.classList.contains("edition-select")) return;
+  chosenEdition[e.target.dataset.parent] = e.target.value;
+  renderBooks();
+});
+
+// Titles that cannot be ordered yet (or any more) open the waitlist form
+bookList.addEventListener("click", e => {
+  if (!e.target.classList.contains("waitlist-btn")) return;
+  const book = books.find(b => b.id === e.target.dataset.id);
+  waitlistForm.reset();
+  waitlistForm.bookId.value = book.id;
+  document.getElementById("waitlist-title").textContent = editionTitle(book);
+  waitlistMessage.textContent = "";
+  waitlistBox.style.display = "block";
+  waitlistBox.scrollIntoView({ behavior: "smooth" });
+});
+
+document.getElementById("waitlist-cancel-btn").addEventListener("click", () => {
+  waitlistBox.style.display = "none";
+});
+
+waitlistForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  const entry = Object.fromEntries(new FormData(this));
+  entry.quantity = Number(entry.quantity);
+  entry.lang = lang;
+  const book = books.find(b => b.id === entry.bookId);
+  const error = waitlistError(entry, book, pickups, lang);
+  if (error) {
+    waitlistMessage.textContent = error;
+    return;
+  }
+
+  const submitBtn = this.querySelector("button[type='submit']");
+  submitBtn.disabled = true;
+  backend.joinWaitlist(entry)
+    .then(response => {
+      if (response.error) {
+        waitlistMessage.textContent = response.error;
+        return;
+      }
+      this.reset();
+      waitlistMessage.textContent = tr("waitlist.joined", { title: editionTitle(book) });
+    })
+    .catch(err => {
+      waitlistMessage.textContent = tr("waitlist.failed");
+      console.error(err);
+    })
+    .finally(() => { submitBtn.disabled = false; });
+});
+
+// Load the cart from a shared link in the URL fragment, then drop the
+// fragment so a reload does not apply it again. Returns false without one.
+function applySharedCart() {
+  const shared = decodeCartLink(location.hash);
+  if (!shared) return false;
+
+  const restored = resolveSharedCart(shared, books, lang);
+  cart = restored.lines;
+  const people = [...new Set(cart.map(i => i.person).filter(Boolean))];
+  group = { on: people.length > 0, people, current: people[0] || "" };
+  renderGroup();
+  renderCartNotices(restored.notices);
+  history.replaceState(null, "", location.pathname + location.search);
+  renderOrder();
+  renderBooks();
+  return true;
+}
+
+// Links opened while the page is already showing only change the fragment
+window.addEventListener("hashchange", () => {
+  if (books.length) applySharedCart();
+});
+
+// Tell the customer what changed in their saved cart since their last visit
+function renderCartNotices(notices) {
+  cartNotices.replaceChildren();
+  if (notices.length === 0) return;
+
+  const list = document.createElement("ul");
+  notices.forEach(text => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    list.appendChild(li);
+  });
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.textContent = tr("cart.ok");
+  dismiss.addEventListener("click", () => renderCartNotices([]));
+
+  cartNotices.appendChild(list);
+  cartNotices.appendChild(dismiss);
+}
+
 // Render order summary as table
 function renderOrder() {
+  saveLocal(CART_KEY, { lines: cart, group });
+
   if (cart.length === 0) {
-    orderSummary.innerHTML = "<p>No books selected yet.</p>";
+    orderSummary.replaceChildren(el("p", {}, tr("cart.empty")));
     checkoutBtn.style.display = "none";
+    shareBtn.style.display = "none";
     customerForm.style.display = "none";
+    promoBox.style.display = "none";
     return;
   }
 
-  let total = 0;
-  let html = `
-    <table>
-      <tr>
-        <th>#</th>
-        <th>Title</th>
-        <th>Author</th>
-        <th>Qty</th>
-        <th>Price</th>
-        <th>Remove</th>
-      </tr>
-  `;
-
-  cart.forEach((item, idx) => {
-    const price = Number(item.book.discounted || item.book.price) * item.quantity;
-    total += price;
-    html += `
-      <tr>
-        <td>${idx+1}</td>
-        <td>${item.book.title}</td>
-        <td>${item.book.author}</td>
-        <td>
-          <input type="number" min="1" value="${item.quantity}" 
-            onchange="updateQuantity(${idx}, this.value)">
-        </td>
-        <td>₱${price}</td>
-        <td><span class="remove-btn" onclick="removeItem(${idx})">❌</span></td>
-      </tr>
-    `;
-  });
-
-  html += `</table><p><b>Total: ₱${total}</b></p>`;
-  orderSummary.innerHTML = html;
+  const grouped = cart.some(item => item.person);
+  const table = el("table", {}, headerRow(["number", grouped && "for", "title", "author", "qty", "price", "remove"]));
+
+  // Group orders list each participant's books together; idx stays the
+  // position in cart for the handlers
+  const rows = cart.map((item, idx) => ({ item, idx }));
+  if (grouped) {
+    const rank = item => group.people.indexOf(item.person || "");
+    rows.sort((a, b) => rank(a.item) - rank(b.item) || a.idx - b.idx);
+  }
+
+  rows.forEach(({ item, idx }, n) => {
+    const qty = el("input", { type: "number", min: 1, max: maxQuantity(item), value: item.quantity });
+    qty.addEventListener("change", () => updateQuantity(idx, qty.value));
+    const remove = el("span", { className: "remove-btn", title: tr("col.remove") }, "❌");
+    remove.addEventListener("click", () => removeItem(idx));
+
+    table.append(el("tr", {},
+      el("td", {}, n + 1),
+      grouped && el("td", {}, item.person || "—"),
+      el("td", {}, editionTitle(item.book), bundleParts(item.book)),
+      el("td", {}, item.book.author),
+      el("td", {}, qty),
+      el("td", {}, money(unitPrice(item.book) * item.quantity)),
+      el("td", {}, remove)
+    ));
+  });
 
+  const priced = priceCart(cart, promo, todayString(), lang);
+  orderSummary.replaceChildren(table);
+  if (grouped) {
+    const items = cart.map(i => ({ person: i.person, quantity: i.quantity, lineTotal: unitPrice(i.book) * i.quantity }));
+    orderSummary.append(renderPersonBreakdown(personSubtotals(items, priced.discount)));
+  }
+  if (priced.discount) {
+    orderSummary.append(el("p", {},
+      tr("total.subtotal", { amount: money(priced.subtotal) }), el("br"),
+      tr("total.promo", { code: promo.code, amount: money(priced.discount) })));
+  }
+  orderSummary.append(el("p", {}, el("b", {}, tr(grouped ? "total.grand" : "total.total", { amount: money(priced.total) }))));
+
+  promoMessage.textContent = priced.promoError;
+  promoBox.style.display = "block";
   checkoutBtn.style.display = "block";
+  shareBtn.style.display = "block";
+}
+
+// A table's header row from col.* message names; false ones are left out
+function headerRow(columns) {
+  return el("tr", {}, columns.filter(Boolean).map(column => el("th", {}, tr("col." + column))));
 }
 
-// Update quantity
+// Copy a link that opens this storefront with the same cart
+shareBtn.addEventListener("click", () => {
+  const url = cartLinkURL(cart.map(i => ({ id: i.book.id, qty: i.quantity, person: i.person })));
+  copyLink(url).then(copied => {
+    if (copied) shareBtn.textContent = tr("share.copied");
+    setTimeout(() => { shareBtn.textContent = tr("share.button"); }, 2000);
+  });
+});
+
+// Look up a promo code; the backend checks it again when the order is placed
+document.getElementById("promo-btn").addEventListener("click", () => {
+  const code = normalizeCode(promoInput.value);
+  if (!code) {
+    promo = null;
+    renderOrder();
+    return;
+  }
+
+  backend.fetchPromo(code)
+    .then(data => {
+      if (data.error) {
+        promo = null;
+        renderOrder();
+        promoMessage.textContent = tr("promo.missing");
+        return;
+      }
+      promo = data;
+      renderOrder();
+    })
+    .catch(err => {
+      promoMessage.textContent = tr("promo.checkFailed");
+      console.error(err);
+    });
+});
+
+// Most copies one cart line may ask for: what is still available, up to
+// the per-line limit the backend enforces (validation.js)
+function maxQuantity(item) {
+  return Math.min(availableForLine(item.book, item), MAX_LINE_QUANTITY);
+}
+
+// Update quantity, clamped to what may be ordered
 function updateQuantity(index, qty) {
-  cart[index].quantity = Number(qty);
+  cart[index].quantity = Math.max(1, Math.min(maxQuantity(cart[index]), Math.floor(Number(qty)) || 1));
   renderOrder();
 }
 
@@ -160,50 +560,372 @@ function updateQuantity(index, qty) {
 function removeItem(index) {
   cart.splice(index, 1);
   renderOrder();
+  renderBooks();
+}
+
+// Per-person subtotals and what each owes after their share of the promo
+function renderPersonBreakdown(people) {
+  return el("table", { className: "person-breakdown" },
+    headerRow(["person", "books", "subtotal", "toPay"]),
+    people.map(p => el("tr", {},
+      el("td", {}, p.person || "—"),
+      el("td", {}, p.quantity),
+      el("td", {}, money(p.subtotal)),
+      el("td", {}, money(p.share))
+    ))
+  );
+}
+
+// ----- Group orders
+
+function renderGroup() {
+  groupToggle.checked = group.on;
+  groupFields.style.display = group.on ? "block" : "none";
+
+  peopleList.replaceChildren();
+  group.people.forEach(person => {
+    const chip = document.createElement("span");
+    chip.className = "person-chip";
+    chip.textContent = person + " ";
+    const remove = document.createElement("span");
+    remove.className = "remove-btn";
+    remove.textContent = "❌";
+    remove.addEventListener("click", () => removePerson(person));
+    chip.appendChild(remove);
+    peopleList.appendChild(chip);
+  });
+
+  currentPerson.replaceChildren();
+  group.people.forEach(person => {
+    const opt = document.createElement("option");
+    opt.value = person;
+    opt.textContent = person;
+    currentPerson.appendChild(opt);
+  });
+  currentPerson.value = group.current;
+}
+
+// Leaving group mode merges each book's lines back into one
+groupToggle.addEventListener("change", () => {
+  group.on = groupToggle.checked;
+  if (!group.on) {
+    const merged = [];
+    cart.forEach(item => {
+      const found = merged.find(m => m.book.id === item.book.id);
+      if (found) found.quantity += item.quantity;
+      else merged.push({ book: item.book, quantity: item.quantity });
+    });
+    cart = merged;
+  }
+  renderGroup();
+  renderOrder();
+  renderBooks();
+});
+
+document.getElementById("add-person-btn").addEventListener("click", () => {
+  const person = personInput.value.trim().slice(0, 60);
+  if (!person || group.people.includes(person)) return;
+
+  // Books picked before the first participant was added are theirs
+  if (group.people.length === 0) {
+    cart = cart.map(item => ({ ...item, person }));
+  }
+  group.people.push(person);
+  group.current = person;
+  personInput.value = "";
+  renderGroup();
+  renderOrder();
+  renderBooks();
+});
+
+function removePerson(person) {
+  const lines = cart.filter(c => c.person === person).length;
+  if (lines && !confirm(tr("group.removeConfirm", { person, count: lines }))) return;
+
+  group.people = group.people.filter(p => p !== person);
+  if (group.current === person) group.current = group.people[0] || "";
+  cart = cart.filter(c => c.person !== person);
+  renderGroup();
+  renderOrder();
+  renderBooks();
+}
+
+currentPerson.addEventListener("change", () => {
+  group.current = currentPerson.value;
+  renderOrder();
+  renderBooks();
+});
+
+renderGroup();
+
+// Fill the location dropdowns (checkout and waitlist), e.g.
+// "Feast IT Park - Saturday"
+function renderPickups() {
+  [pickupSelect, waitlistPickup].forEach(select => {
+    const picked = select.value;
+    select.replaceChildren(el("option", { value: "" }, tr("form.select")));
+    pickups.forEach(loc => {
+      const days = formatWeekdays(loc.weekdays, lang);
+      select.append(el("option", { value: loc.location, selected: loc.location === picked },
+        tr("pickup.option", { location: loc.location, days })));
+    });
+  });
+  renderPickupDates();
+}
+
+// Offer only the dates the chosen location is open for pickup
+function renderPickupDates() {
+  const loc = pickups.find(l => l.location === pickupSelect.value);
+  if (!loc) {
+    pickupDateSelect.replaceChildren(el("option", { value: "" }, tr("form.locationFirst")));
+    pickupDateSelect.disabled = true;
+    return;
+  }
+
+  const picked = pickupDateSelect.value;
+  pickupDateSelect.replaceChildren(el("option", { value: "" }, tr("form.select")));
+  upcomingPickupDates(loc, todayString()).forEach(date => {
+    pickupDateSelect.append(el("option", { value: date, selected: date === picked }, formatPickupDate(date, lang)));
+  });
+  pickupDateSelect.disabled = false;
 }
 
+pickupSelect.addEventListener("change", renderPickupDates);
+
 // Show customer form only after checkout
 checkoutBtn.addEventListener("click", () => {
   customerForm.style.display = "block";
   checkoutBtn.style.display = "none";
 });
 
-// Handle form submit
-document.getElementById("order-form").addEventListener("submit", function(e){
+// Show a recognised mobile number the way it will be saved
+orderForm.contact.addEventListener("change", () => {
+  const normalized = normalizePHMobile(orderForm.contact.value);
+  if (normalized) orderForm.contact.value = normalized;
+});
+
+// Problems that are not about one field (empty cart, payment, a refused
+// order) are shown under the form
+function showOrderError(message) {
+  orderFormError.textContent = message;
+}
+
+// Handle form submit. Fields are checked with the same rules the backend
+// applies (validation.js) and each problem is shown next to its field.
+orderForm.addEventListener("submit", function(e){
   e.preventDefault();
 
-  if(cart.length === 0) {
-    alert("Please select at least one book before confirming order.");
+  const formData = new FormData(this);
+  const { customer, fields } = validateCustomer(Object.fromEntries(formData), lang);
+  const loc = pickups.find(l => l.location === formData.get("pickup"));
+  if (!loc) {
+    fields.pickup = tr("validation.pickup");
+  } else {
+    const dateError = pickupDateError(loc, formData.get("pickupdate"), todayString(), lang);
+    if (dateError) fields.pickupdate = dateError;
+  }
+  showFieldErrors(this, fields);
+  showOrderError("");
+
+  if (cart.length === 0) {
+    showOrderError(tr("order.emptyCart"));
+    return;
+  }
+  if (group.on && cart.some(i => !i.person)) {
+    showOrderError(tr("order.needsParticipant"));
     return;
   }
+  if (Object.keys(fields).length) return;
 
-  const formData = new FormData(this);
   const order = {
-    fullname: formData.get("fullname"),
-    email: formData.get("email"),
-    contact: formData.get("contact"),
-    fb: formData.get("fb"),
+    ...customer,
     pickup: formData.get("pickup"),
     pickupdate: formData.get("pickupdate"),
-    items: cart,
-    total: cart.reduce((sum, i) => sum + Number(i.book.discounted || i.book.price) * i.quantity, 0)
+    // Only identifiers, quantities and who they are for; the backend prices the order
+    items: cart.map(i => (i.person
+      ? { id: i.book.id, quantity: i.quantity, person: i.person }
+      : { id: i.book.id, quantity: i.quantity })),
+    promoCode: promo && !priceCart(cart, promo, todayString()).promoError ? promo.code : "",
+    lang
   };
 
-  fetch(API_URL, {
-    method: "POST",
-    body: JSON.stringify(order),
-    headers: { "Content-Type": "application/json" }
-  })
-  .then(res => res.json())
+  readPaymentForm(this, lang).then(
+    payment => submitOrder(this, payment ? { ...order, payment } : order),
+    err => showOrderError(err.message)
+  );
+});
+
+function submitOrder(form, order) {
+  // Queue first so the order survives a dropped connection
+  const entry = queueOrder(order);
+
+  sendQueued(entry)
   .then(response => {
-    alert("Order confirmed! Your Order ID: " + response.orderId);
-    this.reset();
-    cart = [];
-    renderOrder();
-    customerForm.style.display = "none";
-  })
-  .catch(err => {
-    alert("Failed to submit order. Please try again.");
+    // Answered either way, so the checkout (or the confirmation) has it
+    // from here
+    dismissQueued(entry.key);
+    if (response.error) {
+      // Still editable here, so keep the cart
+      if (response.lines) {
+        applyShortages(response.lines);
+      } else if (response.fields) {
+        showFieldErrors(form, response.fields);
+      } else {
+        showOrderError(tr("order.notAccepted", { error: response.error }));
+      }
+      return;
+    }
+    clearCheckout(form);
+    renderConfirmation({
+      createdAt: new Date().toISOString(),
+      ...order,
+      ...response,
+      paymentSent: Boolean(order.payment)
+    });
+  }, err => {
     console.error(err);
+    // fetch rejects with a TypeError when the backend cannot be reached.
+    // Anything else, such as a reply that is not JSON, would fail again
+    // on a retry, so the customer sees it and keeps the form.
+    if (!(err instanceof TypeError)) {
+      dismissQueued(entry.key);
+      showOrderError(tr("order.notAccepted", { error: err.message }));
+    } else if (!entry.saved) {
+      showOrderError(tr("order.offlineUnsaved"));
+    } else {
+      // Offline or unreachable: the outbox will retry it
+      clearCheckout(form);
+      orderSummary.replaceChildren(el("p", {}, tr("order.offline")));
+    }
+  })
+  .catch(err => console.error(err));
+}
+
+function clearCheckout(form) {
+  form.reset();
+  showFieldErrors(form, {});
+  showOrderError("");
+  renderPickupDates();
+  cart = [];
+  promo = null;
+  promoInput.value = "";
+  group = { on: false, people: [], current: "" };
+  renderGroup();
+  renderOrder();
+  renderBooks();
+  customerForm.style.display = "none";
+}
+
+// Another customer reserved copies first: refresh local stock for those
+// titles, clamp the cart to what is left and list each affected line.
+function applyShortages(lines) {
+  const messages = lines.map(line => {
+    const book = books.find(b => b.id === line.id);
+    if (book) book.reserved = book.cap - line.available;
+    return tr("cart.shortage", { title: line.title, requested: line.requested, available: line.available });
   });
+
+  // Group orders share a title's copies out in cart order
+  const used = {};
+  cart = cart
+    .map(item => {
+      const quantity = Math.min(item.quantity, availableOf(item.book) - (used[item.book.id] || 0));
+      used[item.book.id] = (used[item.book.id] || 0) + quantity;
+      return { ...item, quantity };
+    })
+    .filter(item => item.quantity > 0);
+
+  renderBooks();
+  renderOrder();
+  renderCartNotices(messages);
+  cartNotices.scrollIntoView({ behavior: "smooth" });
+}
+
+// Remove everything this site keeps on the device, including queued orders
+document.getElementById("clear-data-btn").addEventListener("click", () => {
+  const pending = loadOutbox().filter(e => e.status === "pending").length;
+  const warning = pending ? "\n\n" + tr("data.pendingWarning", { count: pending }) : "";
+  if (!confirm(tr("data.clearConfirm") + warning)) return;
+  clearAllSaved();
+  location.reload();
 });
+
+// Show the order as priced by the backend
+function renderConfirmation(order) {
+  const grouped = order.items.some(item => item.person);
+  const table = el("table", {}, headerRow(["number", grouped && "for", "title", "author", "qty", "price"]));
+  order.items.forEach((item, idx) => {
+    table.append(el("tr", {},
+      el("td", {}, idx + 1),
+      grouped && el("td", {}, item.person || "—"),
+      el("td", {}, item.title, item.bundle && [el("br"), el("small", {}, tr("confirm.fromBundle", { title: item.bundle.title }))]),
+      el("td", {}, item.author),
+      el("td", {}, item.quantity),
+      el("td", {}, money(item.lineTotal))
+    ));
+  });
+
+  orderSummary.replaceChildren(
+    el("p", {},
+      el("b", {}, tr("confirm.title")), ` ${tr("confirm.orderId")} `, el("b", {}, order.orderId), " (",
+      el("a", { href: `track.html?orderId=${encodeURIComponent(order.orderId)}` }, tr("confirm.track")), ")"),
+    orderQR(order.orderId),
+    el("p", {}, el("small", {}, tr("confirm.qr"))),
+    el("p", {},
+      tr("confirm.manageBefore") + " ",
+      el("a", { href: manageLink(order.orderId, order.manageToken) }, tr("confirm.manageLink")),
+      " " + tr("confirm.manageAfter")),
+    table
+  );
+  if (grouped) {
+    orderSummary.append(renderPersonBreakdown(personSubtotals(order.items, order.discount)));
+  }
+  if (order.discount) {
+    orderSummary.append(el("p", {}, tr("total.promo", { code: order.promoCode, amount: money(order.discount) })));
+  }
+  orderSummary.append(el("p", {}, el("b", {}, tr("total.total", { amount: money(order.total) }))));
+
+  // The receipt and calendar event are built here, so they work offline too
+  const options = { lang: order.lang, storefrontUrl: new URL(".", location.href).href };
+  orderSummary.append(el("p", { className: "confirm-actions" },
+    el("button", {
+      type: "button",
+      onclick: () => download(`${order.orderId}.html`, receiptHTML(order, options), "text/html")
+    }, tr("confirm.downloadReceipt")),
+    el("button", {
+      type: "button",
+      onclick: () => download(`${order.orderId}.ics`, calendarEvent(order, options), "text/calendar")
+    }, tr("confirm.addToCalendar"))
+  ));
+}
+
+// The order ID as a QR code (qr.js) for the check-in page to scan, with
+// its quiet zone of 4 light modules
+function orderQR(orderId) {
+  const modules = qrModules(orderId);
+  const scale = 4;
+  const side = (modules.length + 8) * scale;
+  const canvas = el("canvas", { className: "order-qr", width: side, height: side, title: orderId });
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, side, side);
+  ctx.fillStyle = "#000";
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) ctx.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+  }));
+  return canvas;
+}
+
+function download(filename, content, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([content], { type: type + ";charset=utf-8" }));
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Installable, with the app shell and covers cached for offline use (sw.js)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch(err => console.error(err));
+}
@@ -0,0 +1,138 @@
+// Catalog search for the storefront: fuzzy text matching over title, author
+// and summary, combinable author/genre facets with counts, a price range, an
+// "on discount only" toggle and sorting. The search state round-trips through
+// the page URL so filtered views can be shared. Plain script like the other
+// shared files; module.exports at the bottom.
+
+const SORT_OPTIONS = {
+  title: "Title (A–Z)",
+  price: "Price (low to high)",
+  discount: "Biggest discount",
+  newest: "Newest"
+};
+
+function emptySearch() {
+  return { q: "", authors: [], genres: [], min: "", max: "", sale: false, sort: "title" };
+}
+
+// Price a customer pays for one copy (pricing.js)
+function searchPrice(book) {
+  return typeof unitPrice === "function" ? unitPrice(book) : require("./pricing").unitPrice(book);
+}
+
+// Lowercase and strip accents so "Peña" matches "pena"
+function foldText(text) {
+  return String(text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = above;
+    }
+  }
+  return prev[b.length];
+}
+
+// A query word matches when it appears in the text, or when it is within a
+// typo or two of the start of one of the text's words ("sanchz" → "Sanchez").
+function fuzzyWordMatch(word, text) {
+  if (text.includes(word)) return true;
+  if (word.length < 4) return false;
+  const allowed = word.length >= 7 ? 2 : 1;
+  return text.split(/[^a-z0-9]+/).some(w =>
+    editDistance(word, w.slice(0, word.length)) <= allowed ||
+    editDistance(word, w) <= allowed
+  );
+}
+
+function matchesQuery(book, q) {
+  const text = foldText(`${book.title} ${book.author} ${book.summary}`);
+  return foldText(q).split(/\s+/).filter(Boolean).every(word => fuzzyWordMatch(word, text));
+}
+
+// Every filter except `skip`, so a facet's counts show what picking one of
+// its values would give
+function matchesSearch(book, state, skip) {
+  if (state.q && !matchesQuery(book, state.q)) return false;
+  if (skip !== "author" && state.authors.length && !state.authors.includes(book.author)) return false;
+  if (skip !== "genre" && state.genres.length && !state.genres.includes(book.genre)) return false;
+  const price = searchPrice(book);
+  if (state.min !== "" && price < Number(state.min)) return false;
+  if (state.max !== "" && price > Number(state.max)) return false;
+  if (state.sale && !(book.discountPct > 0)) return false;
+  return true;
+}
+
+function facetCounts(books, state, key, skip) {
+  const counts = {};
+  books.forEach(book => {
+    if (!book[key]) return;
+    if (!(book[key] in counts)) counts[book[key]] = 0;
+    if (matchesSearch(book, state, skip)) counts[book[key]]++;
+  });
+  return counts;
+}
+
+// Filtered and sorted books plus { author, genre } facet counts
+function searchBooks(books, state) {
+  const sorters = {
+    title: (a, b) => a.book.title.localeCompare(b.book.title),
+    price: (a, b) => searchPrice(a.book) - searchPrice(b.book),
+    discount: (a, b) => (b.book.price - searchPrice(b.book)) - (a.book.price - searchPrice(a.book)),
+    // Books without addedAt fall back to feed order, later rows being newer
+    newest: (a, b) => String(b.book.addedAt || "").localeCompare(String(a.book.addedAt || "")) || b.index - a.index
+  };
+
+  const results = books
+    .map((book, index) => ({ book, index }))
+    .filter(({ book }) => matchesSearch(book, state))
+    .sort(sorters[state.sort] || sorters.title)
+    .map(({ book }) => book);
+
+  return {
+    results,
+    counts: {
+      author: facetCounts(books, state, "author", "author"),
+      genre: facetCounts(books, state, "genre", "genre")
+    }
+  };
+}
+
+// ?q=…&author=…&author=…&genre=…&min=…&max=…&sale=1&sort=…
+function searchFromQuery(query) {
+  const params = new URLSearchParams(query);
+  return {
+    q: params.get("q") || "",
+    authors: params.getAll("author"),
+    genres: params.getAll("genre"),
+    min: params.get("min") || "",
+    max: params.get("max") || "",
+    sale: params.get("sale") === "1",
+    sort: SORT_OPTIONS.hasOwnProperty(params.get("sort")) ? params.get("sort") : "title"
+  };
+}
+
+// Write the search state into an existing query string, keeping unrelated
+// parameters such as ?backend=
+function searchToQuery(state, query) {
+  const params = new URLSearchParams(query);
+  ["q", "author", "genre", "min", "max", "sale", "sort"].forEach(key => params.delete(key));
+  if (state.q) params.set("q", state.q);
+  state.authors.forEach(a => params.append("author", a));
+  state.genres.forEach(g => params.append("genre", g));
+  if (state.min !== "") params.set("min", state.min);
+  if (state.max !== "") params.set("max", state.max);
+  if (state.sale) params.set("sale", "1");
+  if (state.sort !== "title") params.set("sort", state.sort);
+  return params.toString();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SORT_OPTIONS, emptySearch, matchesQuery, searchBooks, searchFromQuery, searchToQuery };
+}
@@ -0,0 +1,104 @@
+// Shareable cart links. The cart travels in the URL fragment, which browsers
+// never send to a server, so a list can be passed around a group chat
+// without anything being uploaded. Plain script; module.exports at the bottom.
+//
+//   index.html#cart=1:2,4:1&note=Pick%20up%20Saturday
+//   index.html#cart=1:2:Ana,1:1:Ben          (group order)
+//
+// cart is comma-separated bookId:qty entries, with a third :person part in
+// group orders (ids and names URI-encoded); note is optional. Both
+// storefronts read and write the same format.
+
+const cartLinkRules = typeof require === "function" ? { ...require("./catalog"), ...require("./i18n") } : globalThis;
+
+// items: [{ id, qty, person? }]. Built by hand rather than with URLSearchParams so
+// the ":" and "," separators stay readable and the link short.
+function encodeCartLink(items, note) {
+  const cart = items.map(item => {
+    const entry = `${encodeURIComponent(item.id)}:${item.qty}`;
+    return item.person ? `${entry}:${encodeURIComponent(item.person)}` : entry;
+  }).join(",");
+  return "cart=" + cart + (note ? "&note=" + encodeURIComponent(note) : "");
+}
+
+// { items: [{ id, qty, person }], note } from a location.hash, or null when the
+// fragment holds no cart
+function decodeCartLink(hash) {
+  const fields = {};
+  String(hash || "").replace(/^#/, "").split("&").forEach(part => {
+    const eq = part.indexOf("=");
+    if (eq > 0) fields[part.slice(0, eq)] = part.slice(eq + 1);
+  });
+  if (!("cart" in fields)) return null;
+
+  try {
+    const items = fields.cart.split(",").filter(Boolean).map(pair => {
+      const [id, qty, person] = pair.split(":");
+      return {
+        id: decodeURIComponent(id),
+        qty: Math.max(1, Math.floor(Number(qty)) || 1),
+        person: person ? decodeURIComponent(person) : ""
+      };
+    });
+    return { items, note: fields.note ? decodeURIComponent(fields.note) : "" };
+  } catch (err) {
+    // A link mangled by a chat app (e.g. a cut-off "%2")
+    return null;
+  }
+}
+
+// Turn shared items into cart lines against the current catalog, with a
+// notice for every title that is gone, sold out or short on stock, in lang
+// (see i18n.js)
+function resolveSharedCart(shared, books, lang) {
+  const lines = [];
+  const notices = [];
+  const tr = (key, params) => cartLinkRules.t(lang, key, params);
+
+  shared.items.forEach(item => {
+    const book = books.find(b => b.id === item.id);
+    if (!book) {
+      notices.push(tr("share.gone", { id: item.id }));
+      return;
+    }
+    const unavailable = cartLinkRules.statusError(book, lang);
+    if (unavailable) {
+      notices.push(tr("share.unavailable", { reason: unavailable }));
+      return;
+    }
+    const available = cartLinkRules.availableOf(book);
+    if (available === 0) {
+      notices.push(tr("share.soldOut", { title: cartLinkRules.editionTitle(book) }));
+      return;
+    }
+    let quantity = item.qty;
+    if (quantity > available) {
+      notices.push(tr("share.short", { available, title: cartLinkRules.editionTitle(book), quantity }));
+      quantity = available;
+    }
+    lines.push(item.person ? { book, quantity, person: item.person } : { book, quantity });
+  });
+
+  return { lines, notices };
+}
+
+// Full link to this page with the cart in its fragment
+function cartLinkURL(items, note) {
+  return location.origin + location.pathname + location.search + "#" + encodeCartLink(items, note);
+}
+
+// Copy a link, falling back to a prompt the customer can copy from
+function copyLink(url) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(url).then(() => true, () => {
+      window.prompt("Copy this link:", url);
+      return false;
+    });
+  }
+  window.prompt("Copy this link:", url);
+  return Promise.resolve(false);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { encodeCartLink, decodeCartLink, resolveSharedCart, cartLinkURL, copyLink };
+}
@@ -0,0 +1,55 @@
+// Pre-order slip numbers and the payload carried in a slip's QR code, shared
+// by App.jsx (which prints slips) and the pages that scan them. Plain script;
+// module.exports at the bottom.
+//
+// The QR code holds a prefix and compact JSON so staff can scan it at pickup:
+//   PREORDER1:{"n":"SLIP-20261019-4F7K","d":"2026-10-19","i":[["1",2],["4",1]],"t":1001}
+//
+//   n  slip number            o  backend order ID, when the order was submitted
+//   d  slip date              c  customer name, only when the customer chose to add it
+//   i  [bookId, qty] pairs    t  total in pesos
+//      ([bookId, qty, person] in group orders)
+
+const SLIP_QR_PREFIX = "PREORDER1:";
+
+// e.g. SLIP-20261019-4F7K; the random part keeps slips made the same day apart
+function newSlipNumber(date) {
+  const ymd = date.toLocaleDateString("en-CA").replace(/-/g, "");
+  const random = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, "0");
+  return `SLIP-${ymd}-${random}`;
+}
+
+// slip: { number, date, orderId?, name?, items: [{ id, qty, person? }], total }
+function encodeSlipQR(slip) {
+  const payload = {
+    n: slip.number,
+    d: slip.date,
+    i: slip.items.map(item => (item.person ? [item.id, item.qty, item.person] : [item.id, item.qty])),
+    t: slip.total
+  };
+  if (slip.orderId) payload.o = slip.orderId;
+  if (slip.name) payload.c = slip.name;
+  return SLIP_QR_PREFIX + JSON.stringify(payload);
+}
+
+// The slip fields from a scanned QR code, or null if it is not one of ours
+function decodeSlipQR(text) {
+  if (!String(text || "").startsWith(SLIP_QR_PREFIX)) return null;
+  try {
+    const payload = JSON.parse(text.slice(SLIP_QR_PREFIX.length));
+    return {
+      number: payload.n,
+      date: payload.d,
+      orderId: payload.o || "",
+      name: payload.c || "",
+      items: (payload.i || []).map(([id, qty, person]) => ({ id, qty, person: person || "" })),
+      total: payload.t
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SLIP_QR_PREFIX, newSlipNumber, encodeSlipQR, decodeSlipQR };
+}
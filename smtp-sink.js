@@ -0,0 +1,81 @@
+// Local SMTP stand-in for trying confirmation emails without a mail server.
+// It accepts every message and saves it as an .eml file instead of
+// delivering it:
+//
+//   node smtp-sink.js
+//   MAIL_TRANSPORT=smtp node mock-server.js     in another terminal
+//
+// Listens on SMTP_PORT (1025) and writes to MAIL_DIR (a preorder-mail
+// folder in the system temp directory); open the .eml files in any mail
+// client.
+
+const net = require("net");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PORT = Number(process.env.SMTP_PORT) || 1025;
+const MAIL_DIR = process.env.MAIL_DIR || path.join(os.tmpdir(), "preorder-mail");
+
+fs.mkdirSync(MAIL_DIR, { recursive: true });
+
+function saveMessage(envelope, data) {
+  const file = path.join(MAIL_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`);
+  fs.writeFileSync(file, data);
+  const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || "";
+  const decoded = subject.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (m, b64) => Buffer.from(b64, "base64").toString());
+  console.log(`${envelope.to.join(", ")}: ${decoded} -> ${file}`);
+}
+
+net.createServer(socket => {
+  let buffer = "";
+  let envelope = { from: "", to: [] };
+  let data = null;
+  const reply = line => socket.write(line + "\r\n");
+
+  socket.setEncoding("utf8");
+  socket.on("error", err => console.error(err.message));
+  reply("220 smtp-sink ready");
+
+  socket.on("data", chunk => {
+    buffer += chunk;
+    const lines = buffer.split("\r\n");
+    buffer = lines.pop();
+    lines.forEach(line => {
+      if (data !== null) {
+        if (line === ".") {
+          saveMessage(envelope, data.join("\r\n") + "\r\n");
+          envelope = { from: "", to: [] };
+          data = null;
+          reply("250 Saved");
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") reply("250 smtp-sink");
+      else if (command === "MAIL") {
+        envelope.from = line.slice(10).replace(/[<>]/g, "");
+        reply("250 OK");
+      } else if (command === "RCPT") {
+        envelope.to.push(line.slice(8).replace(/[<>]/g, ""));
+        reply("250 OK");
+      } else if (command === "DATA") {
+        if (!envelope.to.length) return reply("503 RCPT first");
+        data = [];
+        reply("354 End with .");
+      } else if (command === "RSET") {
+        envelope = { from: "", to: [] };
+        reply("250 OK");
+      } else if (command === "NOOP") reply("250 OK");
+      else if (command === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 Not implemented");
+    });
+  });
+}).listen(PORT, () => {
+  console.log(`SMTP sink on port ${PORT}, saving to ${MAIL_DIR}`);
+});
@@ -0,0 +1,99 @@
+// On-device persistence for both storefronts. Everything is kept in
+// localStorage under "preorder-" keys, wrapped with a schema version so a
+// future format change can drop or migrate old data instead of misreading
+// it. Plain script; module.exports at the bottom.
+//
+// Saved cart lines keep a snapshot of the book, so a cart can be restored
+// offline and compared with the catalog once a fresh copy is loaded.
+
+const STORAGE_SCHEMA_VERSION = 1;
+const STORAGE_PREFIX = "preorder-";
+
+// Node and bundlers require the shared rule files; browsers load them as globals
+const cartRules = typeof require === "function"
+  ? { ...require("./catalog"), ...require("./pricing"), ...require("./i18n") }
+  : globalThis;
+
+function loadSaved(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    return saved && saved.version === STORAGE_SCHEMA_VERSION ? saved.data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveLocal(key, data) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify({
+      version: STORAGE_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      data
+    }));
+  } catch (err) {
+    // Private browsing or a full quota: keep working without persistence
+    console.error(err);
+  }
+}
+
+// "Clear all my data": every key this site wrote, in both storages
+function clearAllSaved() {
+  [localStorage, sessionStorage].forEach(store => {
+    Object.keys(store)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .forEach(key => store.removeItem(key));
+  });
+}
+
+// Match saved { book, quantity, person? } lines against the current catalog. Lines
+// for removed or sold-out titles are dropped, quantities are clamped to
+// stock, and every change is described in notices for the customer, in
+// lang (see i18n.js).
+function reconcileCart(saved, books, lang) {
+  const lines = [];
+  const notices = [];
+  const tr = (key, params) => cartRules.t(lang, key, params);
+
+  (saved || []).forEach(line => {
+    const book = books.find(b => b.id === line.book.id);
+    if (!book) {
+      notices.push(tr("cart.gone", { title: cartRules.editionTitle(line.book) }));
+      return;
+    }
+
+    const unavailable = cartRules.statusError(book, lang);
+    if (unavailable) {
+      notices.push(tr("cart.unavailable", { reason: unavailable }));
+      return;
+    }
+
+    const available = cartRules.availableOf(book);
+    if (available === 0) {
+      notices.push(tr("cart.soldOut", { title: cartRules.editionTitle(book) }));
+      return;
+    }
+
+    let quantity = line.quantity;
+    if (quantity > available) {
+      notices.push(tr("cart.reduced", { available, title: cartRules.editionTitle(book), quantity }));
+      quantity = available;
+    }
+
+    const before = cartRules.unitPrice(line.book);
+    const after = cartRules.unitPrice(book);
+    if (before !== after) {
+      notices.push(tr("cart.priceChanged", {
+        title: cartRules.editionTitle(book), after: cartRules.formatPHP(after, lang), before: cartRules.formatPHP(before, lang)
+      }));
+    }
+
+    // Spread keeps extra fields such as a group order's person
+    lines.push({ ...line, book, quantity });
+  });
+
+  return { lines, notices };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { STORAGE_SCHEMA_VERSION, loadSaved, saveLocal, clearAllSaved, reconcileCart };
+}
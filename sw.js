@@ -0,0 +1,154 @@
+// Service worker for the storefront (index.html), registered from
+// script.js. It makes the page installable and usable offline:
+//
+//   app shell      precached, then stale-while-revalidate: served from the
+//                  cache and refreshed in the background for the next visit
+//   catalog feed   network first; the last good full feed answers when the
+//                  backend cannot be reached
+//   cover images   cache first, keeping the most recent MAX_COVERS
+//
+// script.js also keeps the last feed with its version (storage.js) so it can
+// render it before the network answers and re-fetch it conditionally; the
+// copy here covers a device whose saved data was cleared. The volunteers'
+// check-in page (checkin.js) registers it too; its files are not in SHELL
+// and are cached by stale-while-revalidate on first use. Bump CACHE_VERSION
+// when SHELL changes.
+
+importScripts("config.js");
+
+const CACHE_VERSION = "v5";
+const SHELL_CACHE = "preorder-shell-" + CACHE_VERSION;
+const FEED_CACHE = "preorder-feed";
+const COVER_CACHE = "preorder-covers";
+const MAX_COVERS = 60;
+
+const SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "manifest.webmanifest",
+  "icon.svg",
+  "config.js",
+  "schedule.js",
+  "payment.js",
+  "pricing.js",
+  "catalog.js",
+  "waitlist.js",
+  "storage.js",
+  "share.js",
+  "manage.js",
+  "i18n.js",
+  "qr.js",
+  "receipt.js",
+  "validation.js",
+  "backend.js",
+  "search.js",
+  "dom.js",
+  "script.js",
+  "outbox.js"
+];
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop shell caches from earlier versions
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith("preorder-shell-") && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (isCatalogRequest(url)) {
+    event.respondWith(networkFirstFeed(request, url));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirstCover(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// The catalog GET of either network backend (see backend.js); the page may
+// pick one with ?backend=, so both are recognised
+function isCatalogRequest(url) {
+  if (BACKEND.url && url.href.startsWith(BACKEND.url)) return !url.searchParams.has("action");
+  return Boolean(BACKEND.restUrl) && url.href.startsWith(BACKEND.restUrl) && url.pathname.endsWith("/catalog");
+}
+
+// Cached under the URL without ?since=, which only asks for a conditional reply
+function feedKey(url) {
+  const key = new URL(url.href);
+  key.searchParams.delete("since");
+  return key.href;
+}
+
+// Both copies are taken before the page gets the response and reads its body
+function networkFirstFeed(request, url) {
+  return fetch(request)
+    .then(response => {
+      const forCache = response.clone();
+      response.clone().json()
+        .then(feed => {
+          if (!feed.books) return;
+          return caches.open(FEED_CACHE).then(cache => cache.put(feedKey(url), forCache));
+        })
+        .catch(() => {});
+      return response;
+    })
+    .catch(err => caches.open(FEED_CACHE)
+      .then(cache => cache.match(feedKey(url)))
+      .then(cached => {
+        if (cached) return cached;
+        throw err;
+      }));
+}
+
+// Covers are usually on another host, so responses may be opaque; they are
+// still fine to hand back to an <img>
+function cacheFirstCover(request) {
+  return caches.open(COVER_CACHE).then(cache => cache.match(request).then(cached => {
+    if (cached) return cached;
+    return fetch(request).then(response => {
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone()).then(() => trimCovers(cache));
+      }
+      return response;
+    });
+  }));
+}
+
+function trimCovers(cache) {
+  return cache.keys().then(keys => Promise.all(
+    keys.slice(0, Math.max(0, keys.length - MAX_COVERS)).map(key => cache.delete(key))
+  ));
+}
+
+// Pages are cached and looked up without their query string, so search
+// links (index.html?q=…) and ?backend= or ?lang= URLs open offline too
+function staleWhileRevalidate(request) {
+  const navigate = request.mode === "navigate";
+  const key = navigate ? request.url.split("?")[0] : request;
+  return caches.open(SHELL_CACHE).then(cache => cache.match(key, { ignoreSearch: navigate }).then(cached => {
+    const fresh = fetch(request)
+      .then(response => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+      });
+    if (!cached) return fresh;
+    fresh.catch(() => {});
+    return cached;
+  }));
+}
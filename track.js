@@ -0,0 +1,288 @@
+const STATUS_STEPS = [
+  { value: "pending_payment", label: "Pending payment" },
+  { value: "paid", label: "Paid" },
+  { value: "ready", label: "Ready for pickup" },
+  { value: "picked_up", label: "Picked up" }
+];
+
+const backend = createBackend(BACKEND);
+
+const lookupForm = document.getElementById("lookup-form");
+const orderDetails = document.getElementById("order-details");
+const paymentForm = document.getElementById("payment-form");
+const managePanel = document.getElementById("manage-panel");
+const changeForm = document.getElementById("change-form");
+const changeLines = document.getElementById("change-lines");
+const changePickup = document.getElementById("change-pickup");
+const changeDate = document.getElementById("change-pickupdate");
+const changeMessage = document.getElementById("change-message");
+
+// The order currently shown, with the email it was looked up by
+let current = null;
+// The order opened from its manage link, with the token, while it is shown
+let managed = null;
+let pickups = null;
+
+// Prefill from a link such as track.html?orderId=PO-ABC123; a manage link
+// (…&token=…) opens the order straight away with its change form
+const params = new URLSearchParams(location.search);
+if (params.get("orderId")) {
+  lookupForm.orderId.value = params.get("orderId");
+}
+if (params.get("orderId") && params.get("token")) {
+  loadManaged(params.get("orderId"), params.get("token"));
+}
+
+lookupForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  loadOrder(this.orderId.value.trim(), this.email.value.trim());
+});
+
+function loadOrder(orderId, email) {
+  current = null;
+  managed = null;
+  managePanel.style.display = "none";
+  paymentForm.style.display = "none";
+  orderDetails.innerHTML = "<p>Looking up your order...</p>";
+  backend.lookupOrder(orderId, email)
+    .then(order => {
+      if (order.error) {
+        orderDetails.innerHTML = `<p style='color:red;'>${escapeHTML(order.error)}</p>`;
+        return;
+      }
+      current = { orderId: order.orderId, email };
+      renderOrderDetails(order);
+      paymentForm.style.display = order.status === "pending_payment" ? "block" : "none";
+    })
+    .catch(err => {
+      orderDetails.innerHTML = "<p style='color:red;'>Could not reach the server. Please try again.</p>";
+      console.error(err);
+    });
+}
+
+// Record a GCash/Maya payment against the order shown
+paymentForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  if (!current) return;
+
+  const form = this;
+  readPaymentForm(form)
+    .then(payment => {
+      if (!payment) throw new Error("Please enter your payment details.");
+      return backend.addPayment(current.orderId, current.email, payment);
+    })
+    .then(response => {
+      if (response.error) throw new Error(response.error);
+      form.reset();
+      alert("Thank you! We will confirm your payment soon.");
+    })
+    .catch(err => {
+      alert(err.message);
+      console.error(err);
+    });
+});
+
+function loadManaged(orderId, token) {
+  orderDetails.innerHTML = "<p>Looking up your order...</p>";
+  Promise.all([backend.manageOrder(orderId, token), loadPickups()])
+    .then(([order]) => {
+      if (order.error) {
+        orderDetails.innerHTML = `<p style='color:red;'>${escapeHTML(order.error)}</p>`;
+        return;
+      }
+      showManaged(order, token);
+    })
+    .catch(err => {
+      orderDetails.innerHTML = "<p style='color:red;'>Could not reach the server. Please try again.</p>";
+      console.error(err);
+    });
+}
+
+function loadPickups() {
+  if (pickups) return Promise.resolve(pickups);
+  return backend.fetchPickups().then(data => { pickups = data; return data; });
+}
+
+function showManaged(order, token) {
+  managed = { order, token };
+  current = { orderId: order.orderId, email: order.email };
+  renderOrderDetails(order);
+  paymentForm.style.display = order.status === "pending_payment" ? "block" : "none";
+  renderManage(order);
+}
+
+// The change form: one quantity per line as ordered, and the pickup
+function renderManage(order) {
+  managePanel.style.display = "block";
+  changeMessage.textContent = "";
+  const loc = pickups.find(l => l.location === order.pickup);
+  const closed = orderChangeError(order, loc, todayString());
+  document.getElementById("manage-deadline").textContent = closed ||
+    `You can change or cancel this order until ${order.editableUntil}.`;
+  changeForm.style.display = closed ? "none" : "block";
+  if (closed) return;
+
+  changeLines.innerHTML = "<tr><th>Title</th><th>Qty</th></tr>";
+  order.lines.forEach((line, idx) => {
+    const item = order.items.find(i =>
+      (i.bundle ? i.bundle.id : i.id) === line.id && (i.person || "") === (line.person || ""));
+    const title = item.bundle ? item.bundle.title : item.title;
+    changeLines.appendChild(el("tr", {},
+      el("td", {}, title, line.person && [el("br"), el("small", {}, `for ${line.person}`)]),
+      el("td", {}, el("input", { type: "number", min: 0, value: line.quantity, dataset: { idx } }))
+    ));
+  });
+
+  changePickup.innerHTML = "";
+  pickups.forEach(l => {
+    const opt = document.createElement("option");
+    opt.value = l.location;
+    opt.textContent = `${l.location} - ${weekdayLabel(l)}`;
+    changePickup.appendChild(opt);
+  });
+  changePickup.value = order.pickup;
+  renderChangeDates();
+}
+
+// Open dates at the chosen location, keeping the order's own date listed
+function renderChangeDates() {
+  const loc = pickups.find(l => l.location === changePickup.value);
+  const dates = loc ? upcomingPickupDates(loc, todayString()) : [];
+  const keep = managed.order.pickup === changePickup.value && !dates.includes(managed.order.pickupdate);
+  changeDate.innerHTML = "";
+  (keep ? [managed.order.pickupdate, ...dates] : dates).forEach(date => {
+    const opt = document.createElement("option");
+    opt.value = date;
+    opt.textContent = new Date(date + "T00:00:00").toLocaleDateString("en-PH", {
+      weekday: "short", month: "short", day: "numeric", year: "numeric"
+    });
+    changeDate.appendChild(opt);
+  });
+  if (managed.order.pickup === changePickup.value) changeDate.value = managed.order.pickupdate;
+}
+
+changePickup.addEventListener("change", renderChangeDates);
+
+changeForm.addEventListener("submit", function(e){
+  e.preventDefault();
+  if (!managed) return;
+
+  const items = managed.order.lines
+    .map((line, idx) => ({ ...line, quantity: Number(changeLines.querySelector(`[data-idx="${idx}"]`).value) }))
+    .filter(line => line.quantity > 0);
+  if (items.length === 0) {
+    changeMessage.textContent = "To remove every title, cancel the order instead.";
+    return;
+  }
+  if (items.some(line => !Number.isInteger(line.quantity))) {
+    changeMessage.textContent = "Quantities must be whole numbers.";
+    return;
+  }
+
+  backend.changeOrder(managed.order.orderId, managed.token, { items, pickup: changePickup.value, pickupdate: changeDate.value })
+    .then(response => {
+      if (response.error) {
+        const short = (response.lines || []).map(l => `${l.title}: ${l.available} left`);
+        changeMessage.textContent = [response.error, ...short].join(" ");
+        return;
+      }
+      showManaged(response, managed.token);
+      changeMessage.textContent = `Your changes were saved. New total: ₱${response.total}.`;
+    })
+    .catch(err => {
+      changeMessage.textContent = "Could not reach the server. Please try again.";
+      console.error(err);
+    });
+});
+
+document.getElementById("cancel-order-btn").addEventListener("click", () => {
+  if (!managed) return;
+  const paidNote = managed.order.status === "paid" ? " We will contact you about your refund." : "";
+  if (!confirm(`Cancel order ${managed.order.orderId}? This cannot be undone.${paidNote}`)) return;
+
+  backend.cancelOrder(managed.order.orderId, managed.token)
+    .then(response => {
+      if (response.error) {
+        changeMessage.textContent = response.error;
+        return;
+      }
+      showManaged(response, managed.token);
+    })
+    .catch(err => {
+      changeMessage.textContent = "Could not reach the server. Please try again.";
+      console.error(err);
+    });
+});
+
+// Render items, pickup details and where the order is in its lifecycle.
+// Titles, names and the people of a group order (which a shared cart link
+// can set to anything) are escaped.
+function renderOrderDetails(order) {
+  let html = `
+    <h3>Order ${escapeHTML(order.orderId)}</h3>
+    ${renderStatus(order.status)}
+    <p>Pick-up: <b>${escapeHTML(order.pickup)}</b> on <b>${escapeHTML(order.pickupdate)}</b></p>
+    <table>
+      <tr>
+        <th>#</th>
+        <th>Title</th>
+        <th>Author</th>
+        <th>Qty</th>
+        <th>Price</th>
+      </tr>
+  `;
+
+  const grouped = order.items.some(item => item.person);
+  order.items.forEach((item, idx) => {
+    html += `
+      <tr>
+        <td>${idx+1}</td>
+        <td>
+          ${escapeHTML(item.title)}
+          ${item.bundle ? `<br><small>from ${escapeHTML(item.bundle.title)}</small>` : ""}
+          ${grouped ? `<br><small>for ${escapeHTML(item.person || "—")}</small>` : ""}
+        </td>
+        <td>${escapeHTML(item.author)}</td>
+        <td>${item.quantity}</td>
+        <td>₱${item.lineTotal}</td>
+      </tr>
+    `;
+  });
+
+  html += "</table>";
+  if (grouped) {
+    const rows = personSubtotals(order.items, order.discount)
+      .map(p => `<tr><td>${escapeHTML(p.person || "—")}</td><td>${p.quantity}</td><td>₱${p.share}</td></tr>`)
+      .join("");
+    html += `<table><tr><th>Person</th><th>Books</th><th>To pay</th></tr>${rows}</table>`;
+  }
+  if (order.discount) {
+    html += `<p>Promo ${escapeHTML(order.promoCode)}: −₱${order.discount}</p>`;
+  }
+  html += `<p><b>Total: ₱${order.total}</b></p>`;
+  if (order.history && order.history.length) {
+    const changes = order.history
+      .map(h => `<li>${new Date(h.at).toLocaleString("en-PH")}: ${escapeHTML(h.changes.join("; "))}</li>`)
+      .join("");
+    html += `<h4>Changes</h4><ul class="order-history">${changes}</ul>`;
+  }
+  orderDetails.innerHTML = html;
+}
+
+function renderStatus(status) {
+  if (status === "cancelled") {
+    return `<p class="status-cancelled">This order was cancelled.</p>`;
+  }
+  if (status === "draft") {
+    return `<p>Copies you waitlisted are now set aside for you. We will contact you to confirm this order before payment.</p>`;
+  }
+
+  const current = STATUS_STEPS.findIndex(s => s.value === status);
+  const steps = STATUS_STEPS.map((step, i) => {
+    let cls = "";
+    if (i < current) cls = "done";
+    if (i === current) cls = "current";
+    return `<li class="${cls}">${step.label}</li>`;
+  });
+  return `<ol class="status-steps">${steps.join("")}</ol>`;
+}
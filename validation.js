@@ -0,0 +1,73 @@
+// Checks on what a customer types at checkout, shared by the storefront
+// (inline field errors) and the backends (Code.gs, mockBackend), which
+// reject an order that fails them. Plain script; module.exports at the
+// bottom.
+//
+// Contact numbers must be Philippine mobile numbers and are stored as
+// +639XXXXXXXXX whichever way they were typed: 0917 123 4567,
+// 917-123-4567, 63 917 1234567 and +63 (917) 123-4567 are all the same
+// number. Emails are stored trimmed and lower-cased (lookups ignore case).
+// Messages come from the i18n.js catalogs in the customer's language.
+
+const MAX_LINE_QUANTITY = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+
+const validationRules = typeof require === "function" ? require("./i18n") : globalThis;
+
+// "+639171234567", or "" when value is not a Philippine mobile number
+function normalizePHMobile(value) {
+  const digits = String(value || "").replace(/[\s\-().]/g, "");
+  const match = digits.match(/^(?:\+?63|0)?(9\d{9})$/);
+  return match ? "+63" + match[1] : "";
+}
+
+function isValidEmail(value) {
+  const email = String(value || "").trim();
+  return email.length <= MAX_EMAIL_LENGTH && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Why a cart line's quantity is not allowed, or ""
+function quantityError(quantity, lang) {
+  const n = Number(quantity);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LINE_QUANTITY) {
+    return validationRules.t(lang, "validation.quantity", { max: MAX_LINE_QUANTITY });
+  }
+  return "";
+}
+
+// { customer, fields } for an order's fullname, email, contact and fb:
+// customer holds the cleaned values to store, fields a message per field
+// that needs fixing ({} when everything is fine)
+function validateCustomer(input, lang) {
+  const message = (key, params) => validationRules.t(lang, "validation." + key, params);
+  const fullname = String(input.fullname || "").trim();
+  const email = String(input.email || "").trim().toLowerCase();
+  const contact = normalizePHMobile(input.contact);
+  const fb = String(input.fb || "").trim();
+  const fields = {};
+
+  if (!fullname) fields.fullname = message("fullname.required");
+  else if (fullname.length > MAX_NAME_LENGTH) fields.fullname = message("fullname.tooLong", { max: MAX_NAME_LENGTH });
+
+  if (!email) fields.email = message("email.required");
+  else if (!isValidEmail(email)) fields.email = message("email.invalid");
+
+  if (!String(input.contact || "").trim()) fields.contact = message("contact.required");
+  else if (!contact) fields.contact = message("contact.invalid");
+
+  if (fb.length > MAX_NAME_LENGTH) fields.fb = message("fb.tooLong", { max: MAX_NAME_LENGTH });
+
+  return { customer: { fullname, email, contact, fb }, fields };
+}
+
+// One message for an API reply listing every field error
+function fieldsErrorMessage(fields, lang) {
+  return validationRules.t(lang, "validation.fields", { messages: Object.values(fields).join(" ") });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_LINE_QUANTITY, normalizePHMobile, isValidEmail, quantityError, validateCustomer, fieldsErrorMessage
+  };
+}
@@ -0,0 +1,55 @@
+// Waitlist for titles that cannot be ordered yet (coming soon) or any more
+// (sold out), shared by both storefronts, the admin console and the
+// backends (Code.gs, mockBackend). Plain script; module.exports at the bottom.
+//
+// An entry: { id, timestamp, bookId, title, fullname, email, contact,
+//             pickup, quantity, status, orderId }
+//
+// status is "waiting" until an admin converts the entry into a draft order
+// (orderId is then set) once stock arrives. Entries convert oldest first.
+
+const WAITLIST_STATUSES = ["waiting", "converted"];
+const MAX_WAITLIST_QUANTITY = 20;
+
+const waitlistRules = typeof require === "function"
+  ? { ...require("./catalog"), ...require("./validation"), ...require("./i18n") }
+  : globalThis;
+
+// Why an entry cannot be added, or "". book is the catalog book it names
+// (or undefined); pickups the pickup locations (see schedule.js). Name,
+// email and contact number follow validateCustomer's checkout rules, except
+// that either an email or a contact number will do; the backends store the
+// customer it returns. Messages are in lang (see i18n.js).
+function waitlistError(entry, book, pickups, lang) {
+  const tr = (key, params) => waitlistRules.t(lang, key, params);
+  if (!book) return tr("waitlist.notInCatalog");
+  if (waitlistRules.bookStatus(book) === "available") {
+    return tr("waitlist.availableNow", { title: waitlistRules.editionTitle(book) });
+  }
+  const { fields } = waitlistRules.validateCustomer(entry, lang);
+  const email = String(entry.email || "").trim();
+  const contact = String(entry.contact || "").trim();
+  if (fields.fullname) return fields.fullname;
+  if (!email && !contact) {
+    return tr("waitlist.reach");
+  }
+  if (email && fields.email) return fields.email;
+  if (contact && fields.contact) return fields.contact;
+  if (!pickups.some(l => l.location === entry.pickup)) return tr("validation.pickup");
+  const quantity = Number(entry.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_WAITLIST_QUANTITY) {
+    return tr("waitlist.quantity", { max: MAX_WAITLIST_QUANTITY });
+  }
+  return "";
+}
+
+// Waiting entries among ids, oldest first, as the order they convert in
+function entriesToConvert(entries, ids) {
+  return entries
+    .filter(e => ids.includes(e.id) && e.status === "waiting")
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { WAITLIST_STATUSES, MAX_WAITLIST_QUANTITY, waitlistError, entriesToConvert };
+}